@@ -0,0 +1,147 @@
+// --- Asset Manifest ---
+// Sprite sheets drawn in place of the built-in shapes. Put the PNGs in
+// assets/sprites/ and describe their layout here; no game code needs to change.
+// Every sheet is optional: one that is missing or fails to load (or lacks an
+// animation) falls back to the built-in shapes, so art can arrive a piece at a time.
+//
+// Layout: frames of frameWidth x frameHeight px, one animation per row, played left
+// to right at `fps` (`loop: false` holds the last frame). With `directions` > 1 an
+// animation takes that many consecutive rows starting at `row`, one per facing,
+// clockwise from east: 4 = E, S, W, N; 8 = E, SE, S, SW, W, NW, N, NE. With one
+// direction the frame is rotated to face the target instead (draw the art facing
+// east), unless `rotate` is false. `scale` is the drawn height relative to the
+// entity's collision size.
+//
+// Animations the game plays (a missing one falls back to "walk", then "idle"):
+//   player, player2: idle, walk, attack (firing), death (downed)
+//   zombie.*:        walk, attack, death (played once where it fell)
+//   item.*:          idle
+
+const ASSET_MANIFEST = {
+  basePath: "assets/sprites/",
+  sprites: {
+    player: {
+      src: "player.png",
+      frameWidth: 64,
+      frameHeight: 64,
+      scale: 1.6,
+      directions: 8,
+      animations: {
+        idle: { row: 0, frames: 1, fps: 1 },
+        walk: { row: 8, frames: 6, fps: 10 },
+        attack: { row: 16, frames: 2, fps: 20 },
+        death: { row: 24, frames: 4, fps: 8, loop: false },
+      },
+    },
+    player2: {
+      src: "player2.png",
+      frameWidth: 64,
+      frameHeight: 64,
+      scale: 1.6,
+      directions: 8,
+      animations: {
+        idle: { row: 0, frames: 1, fps: 1 },
+        walk: { row: 8, frames: 6, fps: 10 },
+        attack: { row: 16, frames: 2, fps: 20 },
+        death: { row: 24, frames: 4, fps: 8, loop: false },
+      },
+    },
+    "zombie.walker": {
+      src: "zombie_walker.png",
+      frameWidth: 64,
+      frameHeight: 64,
+      scale: 1.5,
+      animations: {
+        walk: { row: 0, frames: 6, fps: 6 },
+        attack: { row: 1, frames: 4, fps: 10, loop: false },
+        death: { row: 2, frames: 6, fps: 10, loop: false },
+      },
+    },
+    "zombie.runner": {
+      src: "zombie_runner.png",
+      frameWidth: 64,
+      frameHeight: 64,
+      scale: 1.5,
+      animations: {
+        walk: { row: 0, frames: 6, fps: 12 },
+        attack: { row: 1, frames: 4, fps: 12, loop: false },
+        death: { row: 2, frames: 6, fps: 10, loop: false },
+      },
+    },
+    "zombie.brute": {
+      src: "zombie_brute.png",
+      frameWidth: 96,
+      frameHeight: 96,
+      scale: 1.4,
+      animations: {
+        walk: { row: 0, frames: 6, fps: 5 },
+        attack: { row: 1, frames: 4, fps: 8, loop: false },
+        death: { row: 2, frames: 6, fps: 8, loop: false },
+      },
+    },
+    "zombie.spitter": {
+      src: "zombie_spitter.png",
+      frameWidth: 64,
+      frameHeight: 64,
+      scale: 1.5,
+      animations: {
+        walk: { row: 0, frames: 6, fps: 6 },
+        attack: { row: 1, frames: 4, fps: 10, loop: false },
+        death: { row: 2, frames: 6, fps: 10, loop: false },
+      },
+    },
+    "zombie.exploder": {
+      src: "zombie_exploder.png",
+      frameWidth: 64,
+      frameHeight: 64,
+      scale: 1.5,
+      animations: {
+        walk: { row: 0, frames: 6, fps: 8 },
+        death: { row: 1, frames: 4, fps: 12, loop: false },
+      },
+    },
+    "zombie.boss": {
+      src: "zombie_boss.png",
+      frameWidth: 128,
+      frameHeight: 128,
+      scale: 1.3,
+      animations: {
+        walk: { row: 0, frames: 6, fps: 5 },
+        attack: { row: 1, frames: 4, fps: 8, loop: false },
+        death: { row: 2, frames: 8, fps: 8, loop: false },
+      },
+    },
+    "item.triple_shot": {
+      src: "item_triple_shot.png",
+      frameWidth: 32,
+      frameHeight: 32,
+      scale: 1.6,
+      rotate: false,
+      animations: { idle: { row: 0, frames: 4, fps: 6 } },
+    },
+    "item.health_pack": {
+      src: "item_health_pack.png",
+      frameWidth: 32,
+      frameHeight: 32,
+      scale: 1.6,
+      rotate: false,
+      animations: { idle: { row: 0, frames: 4, fps: 6 } },
+    },
+    "item.damage_boost": {
+      src: "item_damage_boost.png",
+      frameWidth: 32,
+      frameHeight: 32,
+      scale: 1.6,
+      rotate: false,
+      animations: { idle: { row: 0, frames: 4, fps: 6 } },
+    },
+    "item.bomb": {
+      src: "item_bomb.png",
+      frameWidth: 32,
+      frameHeight: 32,
+      scale: 1.6,
+      rotate: false,
+      animations: { idle: { row: 0, frames: 4, fps: 6 } },
+    },
+  },
+};
@@ -0,0 +1,238 @@
+// --- Achievements ---
+// Listens to the game events (scripts/events.js) and keeps lifetime stats in
+// localStorage. An achievement unlocks once its stat reaches the goal; progress and
+// unlock dates show on the achievements page. Titles and descriptions live in the
+// string catalogs as achievements.<id>.title / .description.
+//
+// Online, only the host's browser runs the simulation, so only the host earns them.
+// Loaded before game.js: game.js globals are only used inside the listeners.
+
+const ACHIEVEMENTS_STORAGE_KEY = "zombieShooter.achievements";
+const ACHIEVEMENTS_VERSION = 1;
+const ACHIEVEMENT_TOAST_DURATION = 3500; // ms each unlock toast stays up
+
+// Lifetime stats: "sum" adds up across runs, "max" keeps the best single value.
+// `time` stats are in seconds and shown as m:ss.
+const ACHIEVEMENT_STATS = {
+  totalKills: { kind: "sum" },
+  bossKills: { kind: "sum" },
+  bestMissileKills: { kind: "max" }, // Kills from one missile blast
+  mostMissilesHeld: { kind: "max" },
+  longestWithoutHealthPack: { kind: "max", time: true }, // Within one run
+  bestWave: { kind: "max" },
+};
+
+// In page order
+const ACHIEVEMENTS = [
+  { id: "firstBlood", stat: "totalKills", goal: 1 },
+  { id: "fullRack", stat: "mostMissilesHeld", goal: 3 },
+  { id: "missileMultiKill", stat: "bestMissileKills", goal: 5 },
+  { id: "bossSlayer", stat: "bossKills", goal: 1 },
+  { id: "waveTen", stat: "bestWave", goal: 10 },
+  { id: "noHealthPack", stat: "longestWithoutHealthPack", goal: 300 },
+  { id: "zombieHunter", stat: "totalKills", goal: 500 },
+];
+
+const achievementsOverlay = document.getElementById("achievements-overlay");
+const achievementSummary = document.getElementById("achievement-summary");
+const achievementList = document.getElementById("achievement-list");
+const achievementToast = document.getElementById("achievement-toast");
+const achievementToastTitle = document.getElementById("achievement-toast-title");
+
+const achievementProgress = loadAchievements(); // { stats, unlocked: { id: ISO date } }
+const achievementToastQueue = []; // Unlocked ids waiting for their toast
+let isAchievementToastShowing = false;
+let isAchievementsOpen = false;
+let healthPackFreeSince = 0; // gameTime of this run's start or last health pack
+
+// --- Storage ---
+
+function createAchievementProgress() {
+  const stats = {};
+  Object.keys(ACHIEVEMENT_STATS).forEach((stat) => {
+    stats[stat] = 0;
+  });
+  return { stats, unlocked: {} };
+}
+
+/**
+ * Saved progress, or a fresh start if there is none (or it was edited into nonsense).
+ */
+function loadAchievements() {
+  const progress = createAchievementProgress();
+  let data;
+  try {
+    data = JSON.parse(localStorage.getItem(ACHIEVEMENTS_STORAGE_KEY));
+  } catch (err) {
+    return progress; // Corrupt JSON or storage blocked (private mode)
+  }
+  if (!data || data.version !== ACHIEVEMENTS_VERSION) return progress;
+
+  Object.keys(progress.stats).forEach((stat) => {
+    const value = data.stats && data.stats[stat];
+    if (Number.isFinite(value) && value >= 0) progress.stats[stat] = value;
+  });
+  ACHIEVEMENTS.forEach(({ id }) => {
+    const date = data.unlocked && data.unlocked[id];
+    if (typeof date === "string" && !Number.isNaN(Date.parse(date))) {
+      progress.unlocked[id] = date;
+    }
+  });
+  return progress;
+}
+
+function saveAchievements() {
+  try {
+    localStorage.setItem(
+      ACHIEVEMENTS_STORAGE_KEY,
+      JSON.stringify({ version: ACHIEVEMENTS_VERSION, ...achievementProgress })
+    );
+  } catch (err) {
+    console.warn("Could not save achievements:", err);
+  }
+}
+
+// --- Progress ---
+
+/**
+ * Adds to a "sum" stat or raises a "max" stat, then unlocks whatever it completed.
+ */
+function recordAchievementStat(stat, value) {
+  const stats = achievementProgress.stats;
+  const next = ACHIEVEMENT_STATS[stat].kind === "sum" ? stats[stat] + value : value;
+  if (next <= stats[stat]) return;
+  stats[stat] = next;
+
+  for (let i = 0; i < ACHIEVEMENTS.length; i++) {
+    const achievement = ACHIEVEMENTS[i];
+    if (
+      achievement.stat === stat &&
+      next >= achievement.goal &&
+      !achievementProgress.unlocked[achievement.id]
+    ) {
+      unlockAchievement(achievement.id);
+    }
+  }
+}
+
+function unlockAchievement(id) {
+  achievementProgress.unlocked[id] = new Date().toISOString();
+  saveAchievements();
+  achievementToastQueue.push(id);
+  if (!isAchievementToastShowing) showNextAchievementToast();
+  if (isAchievementsOpen) renderAchievements();
+}
+
+// --- Game event listeners ---
+
+onGameEvent("runStarted", () => {
+  healthPackFreeSince = gameTime;
+});
+
+onGameEvent("waveStarted", (event) => {
+  recordAchievementStat("bestWave", event.wave);
+});
+
+onGameEvent("secondPassed", (event) => {
+  const seconds = Math.floor((event.time - healthPackFreeSince) / 1000);
+  recordAchievementStat("longestWithoutHealthPack", seconds);
+});
+
+onGameEvent("zombieKilled", (event) => {
+  recordAchievementStat("totalKills", 1);
+  if (event.zombie.type === BOSS_TYPE) recordAchievementStat("bossKills", 1);
+});
+
+onGameEvent("itemCollected", (event) => {
+  if (event.type === "health_pack") {
+    healthPackFreeSince = gameTime;
+  } else if (event.type === "bomb") {
+    recordAchievementStat("mostMissilesHeld", event.player.missiles);
+  }
+});
+
+onGameEvent("missileExploded", (event) => {
+  recordAchievementStat("bestMissileKills", event.kills);
+});
+
+// Stats change with every kill, so they're written out at the end of a run (and
+// when the tab closes) rather than on each change
+onGameEvent("runEnded", saveAchievements);
+window.addEventListener("pagehide", saveAchievements);
+
+// --- Toasts ---
+
+function showNextAchievementToast() {
+  const id = achievementToastQueue.shift();
+  if (id === undefined) {
+    isAchievementToastShowing = false;
+    achievementToast.style.display = "none";
+    return;
+  }
+  isAchievementToastShowing = true;
+  achievementToastTitle.textContent = t(`achievements.${id}.title`);
+  achievementToast.style.display = "flex";
+  setTimeout(showNextAchievementToast, ACHIEVEMENT_TOAST_DURATION);
+}
+
+// --- Achievements page ---
+
+function formatAchievementValue(stat, value) {
+  return ACHIEVEMENT_STATS[stat].time ? formatDuration(value * 1000) : String(value);
+}
+
+/**
+ * Fills the achievements page: every achievement with its progress or unlock date.
+ */
+function renderAchievements() {
+  const unlocked = ACHIEVEMENTS.filter(({ id }) => achievementProgress.unlocked[id]);
+  achievementSummary.textContent = t("achievements.summary", {
+    unlocked: unlocked.length,
+    total: ACHIEVEMENTS.length,
+  });
+
+  achievementList.replaceChildren();
+  ACHIEVEMENTS.forEach(({ id, stat, goal }) => {
+    const unlockedDate = achievementProgress.unlocked[id];
+    const item = document.createElement("li");
+    item.classList.toggle("unlocked", !!unlockedDate);
+
+    const title = document.createElement("strong");
+    title.textContent = `${unlockedDate ? "🏆" : "🔒"} ${t(`achievements.${id}.title`)}`;
+    const description = document.createElement("span");
+    description.textContent = t(`achievements.${id}.description`);
+    item.append(title, description);
+
+    const value = Math.min(achievementProgress.stats[stat], goal);
+    const status = document.createElement("span");
+    status.className = "achievement-status";
+    if (unlockedDate) {
+      status.textContent = t("achievements.unlockedOn", {
+        date: new Date(unlockedDate).toLocaleDateString(getLocale()),
+      });
+    } else {
+      const bar = document.createElement("progress");
+      bar.max = goal;
+      bar.value = value;
+      status.append(
+        bar,
+        ` ${formatAchievementValue(stat, value)} / ${formatAchievementValue(stat, goal)}`
+      );
+    }
+    item.append(status);
+    achievementList.appendChild(item);
+  });
+}
+
+function openAchievements() {
+  isAchievementsOpen = true;
+  renderAchievements();
+  achievementsOverlay.style.visibility = "visible";
+  achievementsOverlay.style.display = "flex";
+}
+
+function closeAchievements() {
+  isAchievementsOpen = false;
+  achievementsOverlay.style.visibility = "hidden";
+  achievementsOverlay.style.display = "none";
+}
@@ -0,0 +1,321 @@
+// --- Balance & Difficulty ---
+// Every gameplay tuning value lives in one config object; game.js reads the
+// running game's copy from `balance`. BALANCE_FIELDS lists the values with their
+// Normal setting and allowed range. A difficulty preset overrides some of them,
+// and the custom preset is a full config the player edits (or pastes as JSON) on
+// the start screen. The chosen difficulty is saved with each run and high score.
+//
+// Per-type stats stay in ZOMBIE_TYPES / WAVE_DEFINITIONS (game.js); the zombie and
+// wave fields here are multipliers on top of them.
+//
+// Loaded before game.js: game.js globals are only used inside the UI handlers.
+
+const DIFFICULTY_STORAGE_KEY = "zombieShooter.difficulty";
+const DIFFICULTY_VERSION = 1;
+
+// default: the Normal value. min/max: accepted range. step: editor increment.
+// integer: whole numbers only. Times are in ms, speeds and distances in px(/s).
+const BALANCE_FIELDS = {
+  maxHealth: { default: 100, min: 10, max: 1000, step: 1, integer: true },
+  playerSpeed: { default: 300, min: 100, max: 800, step: 10 },
+  healthPackAmount: { default: 30, min: 0, max: 1000, step: 1, integer: true },
+  reviveTime: { default: 3000, min: 500, max: 20000, step: 100 },
+  reviveHealth: { default: 30, min: 1, max: 1000, step: 1, integer: true }, // <= maxHealth
+  zombieSpeed: { default: 1, min: 0.25, max: 3, step: 0.05 }, // × ZOMBIE_TYPES speed
+  zombieHealth: { default: 1, min: 0.25, max: 5, step: 0.05 }, // × ZOMBIE_TYPES health
+  zombieDamage: { default: 1, min: 0, max: 5, step: 0.05 }, // × damage zombies deal players
+  knockbackDistance: { default: 15, min: 0, max: 60, step: 1 }, // Bullet push per hit
+  spawnRate: { default: 1, min: 0.25, max: 4, step: 0.05 }, // Divides wave spawn intervals
+  waveSize: { default: 1, min: 0.25, max: 4, step: 0.05 }, // × wave budget and maxAlive
+  waveIntermission: { default: 6000, min: 0, max: 30000, step: 500 },
+  bossWaveInterval: { default: 5, min: 1, max: 50, step: 1, integer: true },
+  upgradeChance: { default: 0.5, min: 0, max: 1, step: 0.05 }, // Item drop chance per kill
+  upgradeDuration: { default: 10000, min: 1000, max: 60000, step: 500 },
+  itemLifetime: { default: 15000, min: 5000, max: 60000, step: 500 }, // >= WARNING_TIME
+  damageBoostMultiplier: { default: 1.5, min: 1, max: 5, step: 0.05 },
+  bombRadius: { default: 140, min: 20, max: 600, step: 10 },
+  bombDamage: { default: 999, min: 1, max: 9999, step: 1 },
+  maxMissileStock: { default: 3, min: 1, max: 20, step: 1, integer: true },
+};
+const BALANCE_FIELD_NAMES = Object.keys(BALANCE_FIELDS); // Editor order
+
+// Overrides on top of the Normal values
+const DIFFICULTY_PRESETS = {
+  easy: {
+    maxHealth: 150,
+    healthPackAmount: 40,
+    reviveTime: 2000,
+    zombieSpeed: 0.85,
+    zombieHealth: 0.8,
+    zombieDamage: 0.6,
+    spawnRate: 0.8,
+    waveSize: 0.8,
+    waveIntermission: 8000,
+    upgradeChance: 0.6,
+    itemLifetime: 20000,
+  },
+  normal: {},
+  hard: {
+    healthPackAmount: 25,
+    zombieSpeed: 1.15,
+    zombieHealth: 1.3,
+    zombieDamage: 1.3,
+    spawnRate: 1.2,
+    waveSize: 1.25,
+    waveIntermission: 5000,
+    upgradeChance: 0.4,
+  },
+  nightmare: {
+    maxHealth: 75,
+    healthPackAmount: 20,
+    reviveTime: 5000,
+    reviveHealth: 20,
+    zombieSpeed: 1.3,
+    zombieHealth: 1.6,
+    zombieDamage: 1.75,
+    knockbackDistance: 8,
+    spawnRate: 1.5,
+    waveSize: 1.5,
+    waveIntermission: 3000,
+    bossWaveInterval: 4,
+    upgradeChance: 0.3,
+    upgradeDuration: 8000,
+    itemLifetime: 10000,
+    maxMissileStock: 2,
+  },
+};
+const CUSTOM_DIFFICULTY = "custom";
+const DIFFICULTY_ORDER = ["easy", "normal", "hard", "nightmare", CUSTOM_DIFFICULTY];
+const DEFAULT_DIFFICULTY = "normal";
+
+const difficultySelect = document.getElementById("difficulty-select");
+const balanceOverlay = document.getElementById("balance-overlay");
+const balanceFieldsGrid = document.getElementById("balance-fields");
+const balanceJsonInput = document.getElementById("balance-json");
+const balanceStatus = document.getElementById("balance-status");
+
+let selectedDifficulty = DEFAULT_DIFFICULTY; // Start-screen choice for the next run
+let customBalance = createBalanceConfig(); // The custom preset's values
+let isBalanceEditorOpen = false;
+const balanceInputs = {}; // Field name -> editor <input>
+loadDifficultySelection();
+
+// --- Configs ---
+
+/**
+ * A full config: the Normal values with `overrides` on top.
+ */
+function createBalanceConfig(overrides = {}) {
+  const config = {};
+  BALANCE_FIELD_NAMES.forEach((name) => {
+    const value = overrides[name];
+    config[name] = value === undefined ? BALANCE_FIELDS[name].default : value;
+  });
+  return config;
+}
+
+function isBalanceValue(name, value) {
+  const field = BALANCE_FIELDS[name];
+  return (
+    Number.isFinite(value) &&
+    value >= field.min &&
+    value <= field.max &&
+    (!field.integer || Number.isInteger(value))
+  );
+}
+
+/**
+ * Reads a config from plain data (parsed JSON, storage). Missing fields keep their
+ * Normal value; `invalid` lists the fields that were unknown or out of range (and
+ * were left out of `config`).
+ */
+function readBalanceConfig(data) {
+  const overrides = {};
+  const invalid = [];
+  if (data !== null && typeof data === "object") {
+    Object.keys(data).forEach((name) => {
+      if (BALANCE_FIELDS.hasOwnProperty(name) && isBalanceValue(name, data[name])) {
+        overrides[name] = data[name];
+      } else {
+        invalid.push(name);
+      }
+    });
+  }
+  return { config: createBalanceConfig(overrides), invalid };
+}
+
+/**
+ * True if `data` has every field, all in range (what snapshots carry).
+ */
+function isCompleteBalanceConfig(data) {
+  return (
+    data !== null &&
+    typeof data === "object" &&
+    BALANCE_FIELD_NAMES.every((name) => isBalanceValue(name, data[name]))
+  );
+}
+
+function isDifficulty(difficulty) {
+  return DIFFICULTY_ORDER.includes(difficulty);
+}
+
+/**
+ * The config a new run on `difficulty` plays with (a fresh copy).
+ */
+function getDifficultyBalance(difficulty) {
+  return difficulty === CUSTOM_DIFFICULTY
+    ? { ...customBalance }
+    : createBalanceConfig(DIFFICULTY_PRESETS[difficulty]);
+}
+
+// --- Storage ---
+
+function loadDifficultySelection() {
+  let data;
+  try {
+    data = JSON.parse(localStorage.getItem(DIFFICULTY_STORAGE_KEY));
+  } catch (err) {
+    return; // Corrupt JSON or storage blocked (private mode)
+  }
+  if (!data || data.version !== DIFFICULTY_VERSION) return;
+  if (isDifficulty(data.difficulty)) selectedDifficulty = data.difficulty;
+  // Like settings, bad fields fall back one by one
+  customBalance = readBalanceConfig(data.custom).config;
+}
+
+function saveDifficultySelection() {
+  try {
+    localStorage.setItem(
+      DIFFICULTY_STORAGE_KEY,
+      JSON.stringify({
+        version: DIFFICULTY_VERSION,
+        difficulty: selectedDifficulty,
+        custom: customBalance,
+      })
+    );
+  } catch (err) {
+    console.warn("Could not save the difficulty:", err);
+  }
+}
+
+// --- Start screen ---
+
+function selectDifficulty(difficulty) {
+  selectedDifficulty = difficulty;
+  difficultySelect.value = difficulty;
+  saveDifficultySelection();
+  renderHighScores(); // The start screen shows this difficulty's table
+}
+
+difficultySelect.value = selectedDifficulty;
+difficultySelect.addEventListener("change", () => {
+  selectDifficulty(difficultySelect.value);
+});
+
+// --- Custom preset editor ---
+
+/**
+ * One labelled number input per field, in the current language.
+ */
+function renderBalanceFields() {
+  balanceFieldsGrid.replaceChildren();
+  BALANCE_FIELD_NAMES.forEach((name) => {
+    const field = BALANCE_FIELDS[name];
+    const label = document.createElement("label");
+    label.htmlFor = `balance-${name}`;
+    label.textContent = t(`balance.${name}`);
+    const input = balanceInputs[name] || document.createElement("input");
+    input.type = "number";
+    input.id = `balance-${name}`;
+    input.min = field.min;
+    input.max = field.max;
+    input.step = field.step;
+    balanceInputs[name] = input; // Reused, so typed values survive a language change
+    balanceFieldsGrid.append(label, input);
+  });
+}
+
+function fillBalanceEditor(config) {
+  BALANCE_FIELD_NAMES.forEach((name) => {
+    balanceInputs[name].value = config[name];
+  });
+  balanceJsonInput.value = JSON.stringify(config, null, 2);
+}
+
+/**
+ * Lists the bad fields with their allowed ranges (or clears the message).
+ */
+function showBalanceErrors(invalid) {
+  balanceStatus.textContent =
+    invalid.length === 0
+      ? ""
+      : t("balance.invalidFields", {
+          fields: invalid
+            .map((name) => {
+              const field = BALANCE_FIELDS[name];
+              return field ? `${t(`balance.${name}`)} (${field.min}–${field.max})` : name;
+            })
+            .join(", "),
+        });
+}
+
+function openBalanceEditor() {
+  isBalanceEditorOpen = true;
+  renderBalanceFields();
+  fillBalanceEditor(customBalance);
+  showBalanceErrors([]);
+  balanceOverlay.style.visibility = "visible";
+  balanceOverlay.style.display = "flex";
+}
+
+function closeBalanceEditor() {
+  isBalanceEditorOpen = false;
+  balanceOverlay.style.visibility = "hidden";
+  balanceOverlay.style.display = "none";
+}
+
+/**
+ * "Normal values": refills the editor without saving.
+ */
+function resetBalanceEditor() {
+  fillBalanceEditor(createBalanceConfig());
+  showBalanceErrors([]);
+}
+
+/**
+ * "Load JSON": fills the editor from the text box. Fields it leaves out take
+ * their Normal value; nothing changes if any field is bad.
+ */
+function importBalanceJson() {
+  let data;
+  try {
+    data = JSON.parse(balanceJsonInput.value);
+  } catch (err) {
+    data = null;
+  }
+  if (data === null || typeof data !== "object" || Array.isArray(data)) {
+    balanceStatus.textContent = t("balance.invalidJson");
+    return;
+  }
+  const { config, invalid } = readBalanceConfig(data);
+  showBalanceErrors(invalid);
+  if (invalid.length === 0) fillBalanceEditor(config);
+}
+
+/**
+ * "Save": stores the editor's values as the custom preset and selects it.
+ */
+function saveBalanceEditor() {
+  const values = {};
+  BALANCE_FIELD_NAMES.forEach((name) => {
+    const text = balanceInputs[name].value;
+    values[name] = text === "" ? NaN : Number(text);
+  });
+  const { config, invalid } = readBalanceConfig(values);
+  showBalanceErrors(invalid);
+  if (invalid.length > 0) return;
+
+  customBalance = config;
+  selectDifficulty(CUSTOM_DIFFICULTY);
+  closeBalanceEditor();
+}
@@ -0,0 +1,71 @@
+// --- Game Events ---
+// A small event bus so other modules (achievements, for one) can follow what
+// happens in a run without being wired into the game code. game.js fills in an
+// event's payload and emits it; listeners subscribe with onGameEvent().
+//
+// Each type has exactly one payload object, reused for every emit (kills and hits
+// can fire many times a tick), so a listener reads it right away and copies out
+// anything it wants to keep.
+//
+// Loaded before game.js, so nothing at the top level here may touch game.js globals.
+
+/**
+ * Every event type and its payload fields (the values are only defaults).
+ */
+const GAME_EVENTS = {
+  // A run began; `restored` if it was loaded from a saved snapshot
+  runStarted: { playerCount: 1, restored: false },
+  waveStarted: { wave: 0 },
+  // Once per second of run time (pauses and menus don't count)
+  secondPassed: { time: 0 },
+  // cause: "bullet", "missile" (bomb blast) or "explosion" (an exploder's blast)
+  zombieKilled: { zombie: null, cause: "bullet" },
+  // type: one of ITEM_TYPES; emitted after the item took effect
+  itemCollected: { player: null, type: "" },
+  playerDamaged: { player: null, amount: 0 },
+  missileFired: { player: null },
+  // kills: zombies that blast killed outright
+  missileExploded: { x: 0, y: 0, kills: 0 },
+  runEnded: { score: 0, wave: 0, kills: 0, timeSurvived: 0 },
+};
+
+const gameEventListeners = {}; // Type -> listener functions
+
+Object.keys(GAME_EVENTS).forEach((type) => {
+  Object.seal(GAME_EVENTS[type]); // No stray fields
+  gameEventListeners[type] = [];
+});
+
+function checkGameEventType(type) {
+  if (!gameEventListeners[type]) throw new Error(`Unknown game event "${type}"`);
+}
+
+/**
+ * Calls `listener(payload)` for every `type` event. Returns a function that
+ * unsubscribes it.
+ */
+function onGameEvent(type, listener) {
+  checkGameEventType(type);
+  gameEventListeners[type].push(listener);
+  return () => {
+    const index = gameEventListeners[type].indexOf(listener);
+    if (index !== -1) gameEventListeners[type].splice(index, 1);
+  };
+}
+
+/**
+ * Sends GAME_EVENTS[type], filled in by the caller, to its listeners. A listener
+ * that throws is logged and skipped so it can't break the game loop.
+ */
+function emitGameEvent(type) {
+  checkGameEventType(type);
+  const listeners = gameEventListeners[type];
+  const payload = GAME_EVENTS[type];
+  for (let i = 0; i < listeners.length; i++) {
+    try {
+      listeners[i](payload);
+    } catch (err) {
+      console.error(`Game event "${type}" listener failed:`, err);
+    }
+  }
+}
@@ -3,129 +3,931 @@ const canvas = document.getElementById("gameCanvas");
 const ctx = canvas.getContext("2d");
 
 const scoreElement = document.getElementById("score");
+const waveElement = document.getElementById("wave");
 const healthValueElement = document.getElementById("health-value");
 const healthBarElement = document.getElementById("health-bar");
+const weaponElement = document.getElementById("weapon");
 const weaponStatusElement = document.getElementById("weapon-status");
+// HUD rows per player; player 2's row is only shown in co-op (body.coop)
+const playerHuds = [
+  {
+    weapon: weaponElement,
+    healthValue: healthValueElement,
+    healthBar: healthBarElement,
+    status: weaponStatusElement,
+    last: {}, // Last values written (see updatePlayerHud)
+  },
+  {
+    weapon: document.getElementById("p2-weapon"),
+    healthValue: document.getElementById("p2-health-value"),
+    healthBar: document.getElementById("p2-health-bar"),
+    status: document.getElementById("p2-weapon-status"),
+    last: {},
+  },
+];
 const messagesDiv = document.getElementById("game-messages");
 const messageTitle = document.getElementById("message-title");
 const messageScore = document.getElementById("message-score");
+const pauseOverlay = document.getElementById("pause-overlay");
+const continueButton = document.getElementById("continueButton");
+const settingsOverlay = document.getElementById("settings-overlay");
+const keyBindingsList = document.getElementById("key-bindings");
+const masterVolumeInput = document.getElementById("master-volume");
+const musicVolumeInput = document.getElementById("music-volume");
+const sfxVolumeInput = document.getElementById("sfx-volume");
+const muteToggle = document.getElementById("mute-toggle");
+const touchSensitivityInput = document.getElementById("touch-sensitivity");
+const autoAimToggle = document.getElementById("auto-aim-toggle");
+const particleQualitySelect = document.getElementById("particle-quality");
+const colorPaletteSelect = document.getElementById("color-palette");
+const languageSelect = document.getElementById("language-select");
+const highContrastToggle = document.getElementById("high-contrast-toggle");
+const reducedMotionToggle = document.getElementById("reduced-motion-toggle");
+const hudScaleInput = document.getElementById("hud-scale");
+const initialsForm = document.getElementById("initials-form");
+const initialsInput = document.getElementById("initials-input");
+const highScoreTable = document.getElementById("high-scores");
+const highScoreBody = highScoreTable.querySelector("tbody");
+const highScoreCaption = highScoreTable.querySelector("caption");
+const assetLoadingElement = document.getElementById("asset-loading");
+const assetProgress = document.getElementById("asset-progress");
 
 let gameLoopId;
 let isGameOver = false;
+let isPaused = false;
+let showDebugOverlay = false; // Toggled with the backquote key
+
+// Simulation Timing (fixed timestep, rendering is interpolated between ticks)
+const FIXED_TIMESTEP = 1 / 60; // seconds of game time per simulation tick
+const MAX_FRAME_TIME = 0.25; // seconds, clamp long frames (tab switch, hitches)
+const MAX_STEPS_PER_FRAME = 8; // Cap catch-up ticks so a slow device can't spiral
+let lastFrameTime = null;
+let accumulator = 0;
+// Game clock in ms. Only advances inside updateGame(), so every timer keyed off it
+// (upgrades, item lifetime, spawns, attacks, explosions) freezes while paused.
+let gameTime = 0;
+
+// World & Camera. The world is a fixed-size arena; the canvas is only a viewport
+// onto it. Entity positions are always world coordinates.
+const WORLD_WIDTH = 3000;
+const WORLD_HEIGHT = 3000;
+const CAMERA_SMOOTHING = 6; // Higher = camera catches up with the player faster
+const VIEW_CULL_MARGIN = 150; // px beyond the viewport where projectiles despawn
+const GROUND_TILE_SIZE = 100; // Spacing of the floor grid lines
+
+// Obstacles (axis-aligned rectangles in world coordinates) block the player,
+// zombies, bullets, missiles and spit. kind: "wall" | "car" | "crate".
+// The area around the world center is kept clear for the player spawn.
+const OBSTACLE_LAYOUT = [
+  // Corner bunkers (L-shaped walls)
+  { kind: "wall", x: 600, y: 600, width: 500, height: 40 },
+  { kind: "wall", x: 600, y: 640, width: 40, height: 360 },
+  { kind: "wall", x: 1900, y: 600, width: 500, height: 40 },
+  { kind: "wall", x: 2360, y: 640, width: 40, height: 360 },
+  { kind: "wall", x: 600, y: 2360, width: 500, height: 40 },
+  { kind: "wall", x: 600, y: 2000, width: 40, height: 360 },
+  { kind: "wall", x: 1900, y: 2360, width: 500, height: 40 },
+  { kind: "wall", x: 2360, y: 2000, width: 40, height: 360 },
+  // Central courtyard: walls with chokepoints in the middle of each side and at the corners
+  { kind: "wall", x: 1200, y: 1100, width: 250, height: 30 },
+  { kind: "wall", x: 1550, y: 1100, width: 250, height: 30 },
+  { kind: "wall", x: 1200, y: 1870, width: 250, height: 30 },
+  { kind: "wall", x: 1550, y: 1870, width: 250, height: 30 },
+  { kind: "wall", x: 1100, y: 1200, width: 30, height: 250 },
+  { kind: "wall", x: 1100, y: 1550, width: 30, height: 250 },
+  { kind: "wall", x: 1870, y: 1200, width: 30, height: 250 },
+  { kind: "wall", x: 1870, y: 1550, width: 30, height: 250 },
+  // Abandoned cars
+  { kind: "car", x: 300, y: 1400, width: 120, height: 60 },
+  { kind: "car", x: 2600, y: 1500, width: 120, height: 60 },
+  { kind: "car", x: 1450, y: 300, width: 60, height: 120 },
+  { kind: "car", x: 1400, y: 2600, width: 60, height: 120 },
+  { kind: "car", x: 850, y: 1450, width: 120, height: 60 },
+  { kind: "car", x: 2050, y: 1350, width: 120, height: 60 },
+  { kind: "car", x: 800, y: 900, width: 60, height: 120 },
+  { kind: "car", x: 2200, y: 2100, width: 120, height: 60 },
+  // Crates
+  { kind: "crate", x: 1280, y: 1280, width: 50, height: 50 },
+  { kind: "crate", x: 1670, y: 1670, width: 50, height: 50 },
+  { kind: "crate", x: 1670, y: 1280, width: 50, height: 50 },
+  { kind: "crate", x: 1280, y: 1670, width: 50, height: 50 },
+  { kind: "crate", x: 400, y: 400, width: 50, height: 50 },
+  { kind: "crate", x: 450, y: 400, width: 50, height: 50 },
+  { kind: "crate", x: 2550, y: 2550, width: 50, height: 50 },
+  { kind: "crate", x: 2600, y: 2500, width: 50, height: 50 },
+  { kind: "crate", x: 2550, y: 450, width: 50, height: 50 },
+  { kind: "crate", x: 450, y: 2550, width: 50, height: 50 },
+  { kind: "crate", x: 1000, y: 2100, width: 50, height: 50 },
+  { kind: "crate", x: 2000, y: 900, width: 50, height: 50 },
+];
+const OBSTACLE_STYLES = {
+  wall: { fill: "#4a4e69", stroke: "#9a8c98" },
+  car: { fill: "#2f6690", stroke: "#d9dcd6" },
+  crate: { fill: "#8d6e63", stroke: "#3e2723" },
+};
+
+// Pathfinding: zombies follow a flow field over a nav grid that points every
+// cell toward the player. A cell is blocked when its center lies inside an
+// obstacle grown by NAV_CLEARANCE; with 30px+ walls the grown rect is always
+// wider than a cell, so thin walls can't slip between cell centers.
+const NAV_CELL_SIZE = 50;
+const NAV_CLEARANCE = 12; // px of padding so zombies don't scrape along walls
+const NAV_DIRECT_CHASE_DISTANCE = 75; // Close enough to ignore the flow field
 
-// Game Configuration
+// Game Configuration (speeds are in pixels per second). Difficulty-dependent
+// tuning (player speed, health, drop rates...) is in `balance`, see scripts/balance.js.
 const PLAYER_SIZE = 20;
-const PLAYER_SPEED = 5;
 const BULLET_SIZE = 5;
-const BULLET_SPEED = 10;
-const ZOMBIE_SIZE = 25;
-const ZOMBIE_SPEED = 1.5;
-const ZOMBIE_SPAWN_INTERVAL = 1500; // milliseconds
-const ZOMBIE_KNOCKBACK_DISTANCE = 15; // Distance to push zombies back on hit
+const BULLET_SPEED = 600;
+
+// Weapons. fireDelay: ms between shots, spread: radians of random cone,
+// pellets: projectiles per shot, damage: per projectile, pierce: extra zombies a
+// projectile passes through, range: px before it fizzles, magazine: rounds per
+// reload (reserve ammo is unlimited), reloadTime: ms, knockback: multiplier.
+// Display names live in the string catalogs (scripts/i18n.js) as weapons.<type>.
+const WEAPON_TYPES = {
+  pistol: {
+    fireDelay: 200,
+    spread: 0.03,
+    pellets: 1,
+    damage: 10,
+    pierce: 0,
+    range: 800,
+    speed: BULLET_SPEED,
+    size: BULLET_SIZE,
+    magazine: 12,
+    reloadTime: 900,
+    knockback: 1,
+    color: "yellow",
+  },
+  shotgun: {
+    fireDelay: 750,
+    spread: 0.4,
+    pellets: 7,
+    damage: 8,
+    pierce: 0,
+    range: 330,
+    speed: 560,
+    size: 4,
+    magazine: 6,
+    reloadTime: 1600,
+    knockback: 0.6,
+    color: "#ffd27f",
+  },
+  smg: {
+    fireDelay: 80,
+    spread: 0.12,
+    pellets: 1,
+    damage: 6,
+    pierce: 0,
+    range: 600,
+    speed: 680,
+    size: 4,
+    magazine: 35,
+    reloadTime: 1400,
+    knockback: 0.4,
+    color: "#fff59d",
+  },
+  sniper: {
+    fireDelay: 1100,
+    spread: 0,
+    pellets: 1,
+    damage: 60,
+    pierce: 4,
+    range: 1500,
+    speed: 1400,
+    size: 6,
+    magazine: 5,
+    reloadTime: 2000,
+    knockback: 2,
+    color: "#80deea",
+  },
+  flamethrower: {
+    fireDelay: 40,
+    spread: 0.25,
+    pellets: 1,
+    damage: 3,
+    pierce: 2,
+    range: 210,
+    speed: 380,
+    size: 8,
+    magazine: 100,
+    reloadTime: 2200,
+    knockback: 0,
+    color: "#ff7b00",
+    flame: true, // Drawn as a growing, fading puff instead of a bullet
+  },
+};
+const WEAPON_ORDER = ["pistol", "shotgun", "smg", "sniper", "flamethrower"]; // Slots for the weapon1-5 bindings
+const STARTING_WEAPON = "pistol";
+const TRIPLE_SHOT_SPREAD = 0.35; // Angle in radians between the three volleys
+const TRIPLE_SHOT_DELAY_MULTIPLIER = 1.5; // Triple shot fires a bit slower
+const WEAPON_WHEEL_COOLDOWN = 150; // ms between mouse wheel weapon switches
 const MAX_ITEMS_PER_TYPE = 3; // Limit of active items per type
-const BOMB_RADIUS = 140; // Area of effect for bomb item
-const BOMB_DAMAGE = 999; // Effectively kill zombies within radius
-const BOMB_MISSILE_SPEED = 7;
+const BOMB_MISSILE_SPEED = 420;
 const BOMB_MISSILE_SIZE = 10;
-const MAX_MISSILE_STOCK = 3; // Max missiles player can hold
 const EXPLOSION_DURATION = 500; // ms visible explosion effect
-const MAX_HEALTH = 100;
-const ZOMBIE_DAMAGE = 10;
+const LOW_HEALTH_FRACTION = 0.3; // HUD health warning at or below this share of max health
+const SPIT_SIZE = 8;
+const SPIT_SPEED = 260;
+
+// Local co-op: player 1 on keyboard/mouse (or touch), player 2 on the gamepad or
+// the second keyboard layout. A player at 0 health is downed until a teammate
+// stands next to them for balance.reviveTime; the run ends when everyone is down.
+const MAX_PLAYERS = 2;
+const COOP_SPAWN_OFFSET = 40; // px either side of the world center
+const COOP_SCREEN_MARGIN = 60; // px players have to keep from the edge of the shared view
+const REVIVE_RADIUS = 45; // px between the players' centers
+
+// Zombie Archetypes (speed in px/s, attackDelay in ms).
+// behavior: "melee" chases and hits on contact, "ranged" keeps its distance and
+// spits projectiles, "exploder" chases and blows up on contact or on death.
+// knockbackResistance: 0 = full knockback from bullets, 1 = immovable.
+const ZOMBIE_TYPES = {
+  walker: {
+    size: 25,
+    color: "#e94560",
+    shape: "square",
+    speed: 90,
+    health: 30,
+    damage: 10,
+    attackDelay: 1000,
+    knockbackResistance: 0,
+    score: 10,
+    behavior: "melee",
+  },
+  runner: {
+    size: 18,
+    color: "#ff8c42",
+    shape: "triangle",
+    speed: 170,
+    health: 12,
+    damage: 6,
+    attackDelay: 700,
+    knockbackResistance: 0,
+    score: 15,
+    behavior: "melee",
+  },
+  brute: {
+    size: 42,
+    color: "#8e44ad",
+    shape: "octagon",
+    speed: 55,
+    health: 150,
+    damage: 25,
+    attackDelay: 1400,
+    knockbackResistance: 0.85,
+    score: 40,
+    behavior: "melee",
+  },
+  spitter: {
+    size: 24,
+    color: "#9acd32",
+    shape: "circle",
+    speed: 75,
+    health: 25,
+    damage: 8, // Per spit projectile (and on contact)
+    attackDelay: 2200, // Time between spits
+    knockbackResistance: 0.2,
+    score: 25,
+    behavior: "ranged",
+    preferredRange: 220, // Tries to hover at this distance from the player
+    attackRange: 320, // Only spits when the player is this close
+  },
+  exploder: {
+    size: 26,
+    color: "#ffb300",
+    shape: "diamond",
+    speed: 115,
+    health: 20,
+    damage: 10, // Unused for contact; contact detonates instead
+    attackDelay: 0,
+    knockbackResistance: 0,
+    score: 20,
+    behavior: "exploder",
+    explosionRadius: 90,
+    explosionDamage: 30, // Hits the player and other zombies in the radius
+  },
+  boss: {
+    size: 70,
+    color: "#5c1a1a",
+    shape: "octagon",
+    speed: 50,
+    health: 1200, // Survives a direct missile hit
+    damage: 35,
+    attackDelay: 1200,
+    knockbackResistance: 1,
+    score: 500,
+    behavior: "melee",
+  },
+};
+
+// Default weighted spawn table. Each weight ramps linearly from `start` (wave 1)
+// to `end` (wave SPAWN_TABLE_RAMP_WAVES and later), so tougher archetypes show
+// up as the run goes on. A wave definition can override it with its own `weights`.
+const ZOMBIE_SPAWN_TABLE = [
+  { type: "walker", start: 70, end: 30 },
+  { type: "runner", start: 15, end: 25 },
+  { type: "exploder", start: 10, end: 15 },
+  { type: "spitter", start: 5, end: 15 },
+  { type: "brute", start: 0, end: 15 },
+];
+const SPAWN_TABLE_RAMP_WAVES = 15;
+
+// Wave Definitions. One plain object per wave:
+//   budget        - zombies spawned over the wave (the boss is extra)
+//   spawnInterval - ms between spawns
+//   maxAlive      - spawning pauses while this many zombies are alive
+//   healthScale   - multiplier on archetype health
+//   weights       - optional { type: weight } override of ZOMBIE_SPAWN_TABLE
+// Waves past the end of the list are extrapolated from the last entry with WAVE_SCALING.
+// The difficulty scales budget, maxAlive and spawnInterval on top (see getWaveConfig).
+const WAVE_DEFINITIONS = [
+  { budget: 8, spawnInterval: 1400, maxAlive: 8, healthScale: 1, weights: { walker: 85, runner: 15 } },
+  { budget: 12, spawnInterval: 1250, maxAlive: 10, healthScale: 1 },
+  { budget: 16, spawnInterval: 1100, maxAlive: 12, healthScale: 1 },
+  { budget: 20, spawnInterval: 1000, maxAlive: 14, healthScale: 1.1 },
+  { budget: 14, spawnInterval: 1100, maxAlive: 12, healthScale: 1.1 }, // Boss wave: lighter escort
+];
+const WAVE_SCALING = {
+  budgetGrowth: 1.12, // Budget multiplier per extra wave
+  spawnIntervalDecay: 0.94, // Spawn interval multiplier per extra wave
+  minSpawnInterval: 300,
+  maxAliveGrowth: 2, // Extra concurrent zombies per extra wave
+  maxAliveCap: 45,
+  healthGrowth: 0.06, // Added to healthScale per extra wave
+};
+const BOSS_TYPE = "boss"; // Spawns every balance.bossWaveInterval waves
+const WAVE_BANNER_DURATION = 2500; // ms the "Wave N" banner stays up
+
+// Collision Broadphase
+const COLLISION_CELL_SIZE = 64; // px per spatial hash cell (>= typical zombie size)
+const LAYER_ZOMBIES = 0;
+const LAYER_ITEMS = 1;
+
+// Crowd Steering: zombies spread out around the player instead of stacking
+const CROWD_PERSONAL_SPACE = 6; // Extra px gap zombies try to keep from neighbours
+const CROWD_SEPARATION_WEIGHT = 1.5; // Separation push relative to the chase direction
+const CROWD_MAX_OVERLAP = 0.3; // Fraction of combined radii two zombies may overlap at most
+const CROWD_JITTER = 0.3; // Max radians of wander added to the heading
+const CROWD_JITTER_RATE = 2; // How fast the wander drifts
+const CROWD_FLANK_DISTANCE = 250; // Inside this range zombies fan out to surround the player
+const CROWD_FLANK_ANGLE = 0.7; // Max radians a flanker veers off the direct line
+
+// High Scores (localStorage). Bump the version if the entry shape changes;
+// stored tables with another version are ignored. Each difficulty has its own table.
+const HIGH_SCORE_STORAGE_KEY = "zombieShooter.highScores";
+const HIGH_SCORE_VERSION = 2;
+const HIGH_SCORE_LIMIT = 10; // Entries kept per difficulty
+const INITIALS_LENGTH = 3;
+const DEFAULT_INITIALS = "AAA"; // Used when the player leaves the field empty
+
+// Save & Resume: one in-progress run is kept in localStorage. Bump the version
+// whenever the snapshot shape changes; older snapshots are discarded.
+const SNAPSHOT_STORAGE_KEY = "zombieShooter.snapshot";
+const SNAPSHOT_VERSION = 3;
+
+// Settings (localStorage). Volumes are linear gains from 0 to 1.
+const SETTINGS_STORAGE_KEY = "zombieShooter.settings";
+const SETTINGS_VERSION = 1;
+const DEFAULT_SETTINGS = {
+  masterVolume: 0.8,
+  musicVolume: 0.6,
+  sfxVolume: 0.8,
+  muted: false,
+  touchAimSensitivity: 1, // Finger-drag to aim-movement ratio
+  touchAutoAim: false, // Aim stick locks onto the nearest zombie
+  language: DEFAULT_LANGUAGE, // Replaced by the browser's language in getDefaultSettings()
+  colorPalette: "default", // Key into COLOR_PALETTES
+  highContrast: false,
+  reducedMotion: false, // Defaults to the OS "reduce motion" preference, see getDefaultSettings()
+  hudScale: 1, // HUD text size multiplier
+  particleQuality: "high", // Key into PARTICLE_QUALITY; "low" on touch devices, see getDefaultSettings()
+};
+const TOUCH_AIM_SENSITIVITY_MIN = 0.5;
+const TOUCH_AIM_SENSITIVITY_MAX = 2;
+const HUD_SCALE_MIN = 0.8;
+const HUD_SCALE_MAX = 1.6;
+
+// Colour palettes by role (Settings > Accessibility). The colourblind ones use the
+// Okabe-Ito set (red-green) and a red/pink/teal set (blue-yellow) so no two roles
+// that matter in a fight rely on a confusable pair. Empty `zombies` = archetype colours.
+const COLOR_PALETTES = {
+  default: {
+    player: "#00ffff",
+    player2: "#ff9ff3",
+    healthBar: "lime",
+    healthBarBack: "rgba(255, 0, 0, 0.5)",
+    hudHealth: "#00ffff",
+    hudHealthLow: "#e94560",
+    bossBar: "#e94560",
+    zombies: {},
+    items: {
+      triple_shot: "#3DDC84",
+      health_pack: "#ff0000",
+      damage_boost: "#FFD700",
+      bomb: "#ff3b30",
+    },
+  },
+  deuteranopia: {
+    player: "#56B4E9",
+    player2: "#009E73",
+    healthBar: "#56B4E9",
+    healthBarBack: "rgba(90, 90, 90, 0.7)",
+    hudHealth: "#56B4E9",
+    hudHealthLow: "#E69F00",
+    bossBar: "#D55E00",
+    zombies: {
+      walker: "#D55E00",
+      runner: "#E69F00",
+      brute: "#CC79A7",
+      spitter: "#0072B2",
+      exploder: "#F0E442",
+      boss: "#8c2d04",
+    },
+    items: {
+      triple_shot: "#009E73",
+      health_pack: "#D55E00",
+      damage_boost: "#F0E442",
+      bomb: "#E69F00",
+    },
+  },
+  tritanopia: {
+    player: "#00e5ff",
+    player2: "#ffffff",
+    healthBar: "#00e5ff",
+    healthBarBack: "rgba(90, 90, 90, 0.7)",
+    hudHealth: "#00e5ff",
+    hudHealthLow: "#ff4d6d",
+    bossBar: "#e8384f",
+    zombies: {
+      walker: "#e8384f",
+      runner: "#ff9ec4",
+      brute: "#8a8a8a",
+      spitter: "#009e8e",
+      exploder: "#f5f5f5",
+      boss: "#7a0019",
+    },
+    items: {
+      triple_shot: "#009e8e",
+      health_pack: "#e8384f",
+      damage_boost: "#ff9ec4",
+      bomb: "#f5f5f5",
+    },
+  },
+};
+const HIGH_CONTRAST_OUTLINE = "#ffffff";
+const BGM_LEVEL_DB = -18; // Base mix level of the music synths, before the music slider
+const MUSIC_STEM_FADE = 1.5; // s for a music stem to fade in or out
+const MUSIC_UPDATE_INTERVAL = 500; // ms between checks of which stems should play
+const SFX_FULL_VOLUME_DISTANCE = 250; // px from the view's center heard at full volume
+const SFX_MAX_DISTANCE = 900; // px from the view's center at which sounds fade out
+const SFX_PAN_WIDTH = 0.8; // Events at the screen edges pan this far (1 = hard left/right)
+const GROAN_INTERVAL = 1800; // ms, average time between zombie groan attempts
+const HEARTBEAT_INTERVAL = 900; // ms between heartbeats at low health
+
+// Key bindings: action -> KeyboardEvent.key (lowercased). Rebindable in Settings.
+const DEFAULT_KEY_BINDINGS = {
+  moveUp: "w",
+  moveDown: "s",
+  moveLeft: "a",
+  moveRight: "d",
+  fireMissile: "r",
+  reload: "q",
+  weapon1: "1",
+  weapon2: "2",
+  weapon3: "3",
+  weapon4: "4",
+  weapon5: "5",
+  pause: "p",
+  toggleMute: "m",
+  toggleDebug: "`",
+  // Player 2's keyboard layout (co-op)
+  p2MoveUp: "i",
+  p2MoveDown: "k",
+  p2MoveLeft: "j",
+  p2MoveRight: "l",
+  p2Fire: "o",
+  p2FireMissile: "u",
+  p2Reload: "h",
+  p2SwitchWeapon: "y",
+};
+// Arrow keys always move and Esc always pauses/closes, so they can't be rebound
+const ARROW_KEY_ACTIONS = {
+  arrowup: "moveUp",
+  arrowdown: "moveDown",
+  arrowleft: "moveLeft",
+  arrowright: "moveRight",
+};
+const RESERVED_KEYS = ["escape", "arrowup", "arrowdown", "arrowleft", "arrowright"];
+
+// Gamepad (standard mapping). Deadzones are fractions of full stick travel.
+const GAMEPAD_DEADZONE = 0.2; // Left stick (movement)
+const GAMEPAD_AIM_DEADZONE = 0.3; // Right stick (aim); larger so aim doesn't jitter at rest
+const GAMEPAD_TRIGGER_THRESHOLD = 0.3; // Analog trigger travel that counts as pressed
+const GAMEPAD_AIM_DISTANCE = 150; // px from the player where the stick places the cursor
+const GAMEPAD_AIM_ASSIST_ANGLE = 0.15; // Radians; zombies this close to the aim line get locked
+const GAMEPAD_AIM_ASSIST_RANGE = 500; // px
+const DAMAGE_RUMBLE_DURATION = 150; // ms
+
+// Touch twin-stick
+const TOUCH_AIM_STICK_DEADZONE = 0.3; // Aim stick deflection that starts firing
+const TOUCH_AIM_DISTANCE = 150; // px from the player where the aim stick places the cursor
+const TOUCH_AUTO_AIM_RANGE = 450; // px
+
+// Entity Pools: instances created up front so early waves don't allocate
+const POOL_PREWARM = {
+  bullets: 64,
+  missiles: 4,
+  zombies: 48,
+  spitProjectiles: 16,
+  explosions: 8,
+  particles: 128,
+  corpses: 0, // Only used with sprite art
+};
+
+// Particles (hit feedback). Cosmetic only: not saved in snapshots or sent online.
+// The quality setting caps how many exist at once and scales how many each effect
+// emits, so busy waves stay smooth on phones.
+const PARTICLE_QUALITY = {
+  low: { maxParticles: 80, maxDecals: 24, density: 0.4 },
+  medium: { maxParticles: 200, maxDecals: 60, density: 0.7 },
+  high: { maxParticles: 500, maxDecals: 150, density: 1 },
+};
+const PARTICLE_DRAG = 5; // Per second; sparks and droplets slow to a stop quickly
+const MUZZLE_FLASH_SIZE = 14;
+const MUZZLE_FLASH_DURATION = 60; // ms
+const MUZZLE_FLASH_COLOR = "#fff3b0";
+const SPARK_SPEED = 260; // px/s
+const SPARK_LIFETIME = 220; // ms
+const SPARK_COLOR = "#ffd54f";
+const BLOOD_COLOR = "#a00000";
+const BLOOD_SPRAY_SPEED = 160; // px/s
+const BLOOD_DECAL_COLOR = "rgba(110, 0, 0, 0.7)";
+const BLOOD_DECAL_LIFETIME = 12000; // ms a splatter stays on the floor
+const BLOOD_DECAL_FADE = 4000; // ms of fading out at the end of that
+const DAMAGE_NUMBER_SIZE = 13; // px, scaled with the HUD text
+const DAMAGE_NUMBER_RISE = 45; // px/s
+const DAMAGE_NUMBER_LIFETIME = 700; // ms
+const DEATH_BURST_COUNT = 14;
+const DEATH_BURST_SPEED = 200; // px/s
+const SPARKLE_COUNT = 10;
+const SPARKLE_LIFETIME = 600; // ms
+
+// Sprites (see assets/manifest.js and scripts/sprites.js). Only used when the art loaded.
+const PLAYER_ATTACK_ANIMATION_TIME = 150; // ms of "attack" frames after each shot
+const CORPSE_LINGER = 3000; // ms a zombie's last death frame stays on the floor
+const CORPSE_FADE = 1000; // ms of fading out at the end of that
 
 // New Configuration for Items
+const ITEM_TYPES = ["triple_shot", "health_pack", "damage_boost", "bomb"];
 const ITEM_SIZE = 15;
-const UPGRADE_DURATION = 10000; // 10 seconds in ms
-const UPGRADE_CHANCE = 0.5;
-const ITEM_LIFETIME = 15000; // 15 seconds lifetime for item
 const WARNING_TIME = 5000; // Flicker starts at 5 seconds remaining
-const DAMAGE_BOOST_MULTIPLIER = 1.5; // NEW: 50% increased damage (1.5x)
+const ITEM_PATTERN_COLOR = "rgba(0, 0, 0, 0.55)"; // Inner markings on item icons
 
 // Game State
-let player;
-let bullets = [];
-let missiles = [];
-let zombies = [];
-let items = []; // New array for items
-let explosions = []; // Active explosion visuals
+let runDifficulty = DEFAULT_DIFFICULTY; // Difficulty of the current (or last) run
+let balance = getDifficultyBalance(DEFAULT_DIFFICULTY); // Its tuning values (BALANCE_FIELDS)
+let players = []; // Player 1 first; player 2 only in co-op
+let localPlayerIndex = 0; // Player this browser's mouse/keyboard/touch drive (1 for an online guest)
+// Active entity lists. Pooled entities are swap-removed in place and handed back
+// to their pool (see EntityPool), so these arrays are never reallocated.
+const bullets = [];
+const missiles = [];
+const zombies = [];
+const spitProjectiles = []; // Projectiles fired by spitter zombies
+const items = []; // New array for items
+const explosions = []; // Active explosion visuals
+const particles = []; // Sparks, droplets, flashes and damage numbers (drawn over entities)
+const bloodDecals = []; // Splatters on the floor (drawn under entities)
+const corpses = []; // Zombie death animations (only when the sprite sheet has one)
 let score = 0;
-let lastZombieSpawnTime = 0;
-let bombCount = 0;
+let kills = 0; // Zombies killed this run (for the high-score table)
+let pendingHighScore = null; // Entry waiting for initials on the game-over screen
+let nextZombieId = 1; // Zombie ids stay unique across pool reuse (online snapshots match by id)
+
+let waveState = createWaveState();
+
+// Last score/wave written to the HUD (see updateStatsDisplay)
+const lastHudValues = {};
+
+// Reused candidate lists so per-tick queries don't allocate
+const bulletHitCandidates = [];
+const playerContactCandidates = [];
+const crowdNeighbors = [];
 
 // Input State
+// Held actions (keys are mapped to actions through the key bindings)
 let keys = {
-  w: false,
-  a: false,
-  s: false,
-  d: false,
-  up: false,
-  down: false,
-  left: false,
-  right: false,
+  moveUp: false,
+  moveDown: false,
+  moveLeft: false,
+  moveRight: false,
+  p2MoveUp: false,
+  p2MoveDown: false,
+  p2MoveLeft: false,
+  p2MoveRight: false,
+  p2Fire: false,
 };
-let mouse = { x: 0, y: 0, isFiring: false };
+// screenX/Y are canvas pixels; x/y are the same point in world coordinates
+let mouse = { x: 0, y: 0, screenX: 0, screenY: 0, isFiring: false };
+
+// Camera (top-left corner of the viewport in world coordinates)
+const obstacles = OBSTACLE_LAYOUT; // Static for now; the same layout every run
+const camera = { x: 0, y: 0, prevX: 0, prevY: 0 };
+const cameraTarget = { x: 0, y: 0 };
 
 // --- Audio Global Variables ---
-let shotSynth;
-let hitSynth;
-let itemSynth;
-let bgmLoop;
+let masterGain; // Every sound goes through master; music and SFX have their own bus
+let musicGain;
+let sfxGain;
 let isAudioSetup = false;
+let isAudioUnavailable = false; // Tone.js missing or broken: the game plays silently
 let transportStarted = false; // Track if transport was ever started to avoid repeated scheduling
-let lastShotSfxTime = 0;
-let lastHitSfxTime = 0;
-let lastItemSfxTime = 0;
+const sfxChannels = {}; // SFX_TYPES key -> { voices, lastStart } (see playSfx)
+const musicStems = {}; // MUSIC_STEMS key -> { gain, loop, step, active }
+let nextGroanTime = 0; // gameTime of the next zombie groan (see updateAudio)
+let nextHeartbeatTime = 0;
+let nextMusicUpdateTime = 0;
+
+// Sound effects. `create(output)` builds one voice's synth connected to `output`;
+// `play(synth, time)` sounds it. Each type gets `voices` copies, and `duration` (s)
+// is how long a voice stays busy. A sound with no free voice, or repeated within
+// `minInterval` (s), is dropped, so bursts can't pile up on a synth's schedule.
+// `level` is its mix level in dB.
+const SFX_TYPES = {
+  shot: {
+    voices: 3,
+    minInterval: 0.06,
+    duration: 0.15,
+    level: 0,
+    create: (output) =>
+      new Tone.MembraneSynth({
+        pitchDecay: 0.05,
+        octaves: 4,
+        envelope: { attack: 0.001, decay: 0.4, sustain: 0.01, release: 0.1 },
+      }).connect(output),
+    play: (synth, time) => synth.triggerAttackRelease("C4", "32n", time),
+  },
+  // Zombie death (noise burst)
+  hit: {
+    voices: 4,
+    minInterval: 0.03,
+    duration: 0.3,
+    level: 0,
+    create: (output) =>
+      new Tone.NoiseSynth({
+        noise: { type: "brown" },
+        envelope: { attack: 0.001, decay: 0.2, sustain: 0, release: 0.1 },
+      }).connect(output),
+    play: (synth, time) => synth.triggerAttackRelease("8n", time),
+  },
+  // Missiles and exploders: a long, muffled rumble
+  explosion: {
+    voices: 2,
+    minInterval: 0.08,
+    duration: 1.3,
+    level: 4,
+    create: (output) =>
+      new Tone.NoiseSynth({
+        noise: { type: "brown" },
+        envelope: { attack: 0.005, decay: 1, sustain: 0, release: 0.3 },
+      }).connect(new Tone.Filter(600, "lowpass").connect(output)),
+    play: (synth, time) => synth.triggerAttackRelease("2n", time),
+  },
+  // Player hurt: a short downward buzz
+  playerHurt: {
+    voices: 2,
+    minInterval: 0.25,
+    duration: 0.3,
+    level: -6,
+    create: (output) =>
+      new Tone.Synth({
+        oscillator: { type: "square" },
+        envelope: { attack: 0.005, decay: 0.2, sustain: 0, release: 0.05 },
+      }).connect(output),
+    play: (synth, time) => {
+      synth.triggerAttackRelease(220, 0.2, time);
+      synth.frequency.exponentialRampToValueAtTime(110, time + 0.2);
+    },
+  },
+  // Zombie groan: a low, filtered sawtooth sliding down (pitch varies per groan)
+  groan: {
+    voices: 3,
+    minInterval: 0.4,
+    duration: 0.9,
+    level: -12,
+    create: (output) =>
+      new Tone.Synth({
+        oscillator: { type: "sawtooth" },
+        envelope: { attack: 0.15, decay: 0.3, sustain: 0.4, release: 0.3 },
+      }).connect(new Tone.Filter(500, "lowpass").connect(output)),
+    play: (synth, time) => {
+      const pitch = 90 + Math.random() * 40; // Hz
+      synth.triggerAttackRelease(pitch, 0.5, time);
+      synth.frequency.exponentialRampToValueAtTime(pitch * 0.7, time + 0.8);
+    },
+  },
+  // Low health: lub-dub
+  heartbeat: {
+    voices: 1,
+    minInterval: 0.5,
+    duration: 0.4,
+    level: -2,
+    create: (output) =>
+      new Tone.MembraneSynth({
+        pitchDecay: 0.02,
+        octaves: 2,
+        envelope: { attack: 0.001, decay: 0.15, sustain: 0, release: 0.05 },
+      }).connect(output),
+    play: (synth, time) => {
+      synth.triggerAttackRelease("C1", "16n", time);
+      synth.triggerAttackRelease("C1", "16n", time + 0.18);
+    },
+  },
+  // Fire missile with none in stock: a dry click
+  emptyClick: {
+    voices: 1,
+    minInterval: 0.15,
+    duration: 0.1,
+    level: -8,
+    create: (output) =>
+      new Tone.Synth({
+        oscillator: { type: "square" },
+        envelope: { attack: 0.001, decay: 0.03, sustain: 0, release: 0.01 },
+      }).connect(output),
+    play: (synth, time) => synth.triggerAttackRelease("C6", "64n", time),
+  },
+  // Item collection / revive (simple chime)
+  item: {
+    voices: 2,
+    minInterval: 0.05,
+    duration: 1,
+    level: 0,
+    create: (output) =>
+      new Tone.Synth({
+        oscillator: { type: "sine" },
+        envelope: { attack: 0.01, decay: 0.5, sustain: 0.0, release: 0.5 },
+      }).connect(output),
+    play: (synth, time) => synth.triggerAttackRelease("E5", "8n", time),
+  },
+};
+
+// Adaptive music: stems that loop in sync and fade in or out (see updateMusicStems).
+// A stem plays once `minZombies` are on screen; with `lowHealth` set it also needs
+// the local player's health to be low (true) or not (false). `notes` are played one
+// per `interval` (null = rest) and `level` is in dB relative to BGM_LEVEL_DB.
+const MUSIC_STEMS = {
+  // The original four-note loop, always playing
+  bass: {
+    minZombies: 0,
+    level: 0,
+    interval: "1n",
+    notes: ["C3", "G3", "A#3", "F3"],
+    create: () => new Tone.Synth({ oscillator: { type: "sawtooth" } }),
+    play: (synth, note, time) => synth.triggerAttackRelease(note, "0.5n", time),
+  },
+  drums: {
+    minZombies: 4,
+    level: 4,
+    interval: "4n",
+    notes: ["C1", null, "C1", "C1"],
+    create: () =>
+      new Tone.MembraneSynth({
+        pitchDecay: 0.03,
+        octaves: 6,
+        envelope: { attack: 0.001, decay: 0.3, sustain: 0, release: 0.1 },
+      }),
+    play: (synth, note, time) => synth.triggerAttackRelease(note, "8n", time),
+  },
+  hats: {
+    minZombies: 12,
+    level: -8,
+    interval: "8n",
+    notes: [null, "x"], // Off-beats
+    create: () =>
+      new Tone.NoiseSynth({
+        noise: { type: "white" },
+        envelope: { attack: 0.001, decay: 0.05, sustain: 0, release: 0.02 },
+      }),
+    play: (synth, note, time) => synth.triggerAttackRelease("32n", time),
+  },
+  // Dropped at low health so the danger stem stands out
+  lead: {
+    minZombies: 25,
+    lowHealth: false,
+    level: -6,
+    interval: "8n",
+    notes: ["C4", "D#4", "G4", "D#4", "A#3", "D#4", "F4", "D#4"],
+    create: () =>
+      new Tone.Synth({
+        oscillator: { type: "square" },
+        envelope: { attack: 0.01, decay: 0.15, sustain: 0.1, release: 0.1 },
+      }),
+    play: (synth, note, time) => synth.triggerAttackRelease(note, "16n", time),
+  },
+  // Low health: a slow, dissonant swell
+  danger: {
+    minZombies: 0,
+    lowHealth: true,
+    level: -2,
+    interval: "1n",
+    notes: ["F#3", "C4"],
+    create: () =>
+      new Tone.Synth({
+        oscillator: { type: "triangle" },
+        envelope: { attack: 0.5, decay: 0.5, sustain: 0.6, release: 1.5 },
+      }),
+    play: (synth, note, time) => synth.triggerAttackRelease(note, "2n", time),
+  },
+};
 
 // --- Audio Functions ---
 
+/**
+ * Builds the mixer, sound effects and music. If Tone.js didn't load (or audio can't
+ * start here) the game carries on without sound instead of throwing.
+ */
 function setupAudio() {
-  if (isAudioSetup) return;
-
-  // 1. Synth for Player Shot (Quick pluck sound)
-  shotSynth = new Tone.MembraneSynth({
-    pitchDecay: 0.05,
-    octaves: 4,
-    envelope: { attack: 0.001, decay: 0.4, sustain: 0.01, release: 0.1 },
-  }).toDestination();
-
-  // 2. Synth for Zombie Hit/Death (Noise burst)
-  hitSynth = new Tone.NoiseSynth({
-    noise: { type: "brown" },
-    envelope: { attack: 0.001, decay: 0.2, sustain: 0, release: 0.1 },
-  }).toDestination();
-
-  // 3. Synth for Item Collection (Simple chime)
-  itemSynth = new Tone.Synth({
-    oscillator: { type: "sine" },
-    envelope: { attack: 0.01, decay: 0.5, sustain: 0.0, release: 0.5 },
-  }).toDestination();
-
-  // 4. Background Music (Simple dark loop)
-  const bgmSynth = new Tone.Synth().toDestination();
-  bgmSynth.oscillator.type = "sawtooth";
-  bgmSynth.volume.value = -18; // Keep BGM volume low
-
-  const notes = ["C3", "G3", "A#3", "F3"];
-  let index = 0;
-  bgmLoop = new Tone.Loop((time) => {
-    const note = notes[index % notes.length];
-    bgmSynth.triggerAttackRelease(note, "0.5n", time);
-    index++;
-  }, "1n");
+  if (isAudioSetup || isAudioUnavailable) return;
+  if (typeof Tone === "undefined") {
+    console.warn("Tone.js failed to load; playing without sound");
+    isAudioUnavailable = true;
+    return;
+  }
+  try {
+    createAudioGraph();
+  } catch (err) {
+    console.warn("Could not set up audio; playing without sound:", err);
+    isAudioUnavailable = true;
+    return;
+  }
+  isAudioSetup = true;
+  applyAudioSettings();
+}
+
+function createAudioGraph() {
+  // 0. Mixer: synths -> music/SFX bus -> master -> speakers (levels from settings)
+  masterGain = new Tone.Gain(0).toDestination();
+  musicGain = new Tone.Gain(0).connect(masterGain);
+  sfxGain = new Tone.Gain(0).connect(masterGain);
+
+  // 1. Sound effects: each voice is synth -> panner -> SFX bus
+  Object.entries(SFX_TYPES).forEach(([type, config]) => {
+    const voices = [];
+    for (let i = 0; i < config.voices; i++) {
+      const panner = new Tone.Panner(0).connect(sfxGain);
+      voices.push({ synth: config.create(panner), panner, busyUntil: 0 });
+    }
+    sfxChannels[type] = { voices, lastStart: -Infinity };
+  });
+
+  // 2. Background music: one synth and loop per stem, each with its own fader
+  Object.entries(MUSIC_STEMS).forEach(([name, config]) => {
+    const gain = new Tone.Gain(0).connect(musicGain);
+    const synth = config.create().connect(gain);
+    synth.volume.value = BGM_LEVEL_DB + config.level; // Keep BGM low in the mix
+    const stem = { gain, loop: null, step: 0, active: false };
+    stem.loop = new Tone.Loop((time) => {
+      const note = config.notes[stem.step % config.notes.length];
+      stem.step++;
+      if (note !== null) config.play(synth, note, time);
+    }, config.interval);
+    musicStems[name] = stem;
+  });
 
   // Don't call start(0) here - we'll start it properly in startBGM
 
   Tone.Transport.bpm.value = 80;
-  isAudioSetup = true;
+}
+
+/**
+ * Pushes the volume/mute settings into the mixer. Safe to call before audio is set up.
+ */
+function applyAudioSettings() {
+  if (!isAudioSetup) return;
+  masterGain.gain.value = settings.muted ? 0 : settings.masterVolume;
+  musicGain.gain.value = settings.musicVolume;
+  sfxGain.gain.value = settings.sfxVolume;
 }
 
 function startBGM() {
-  if (bgmLoop) {
+  // Restart every stem together so they stay in sync; the mix starts calm
+  for (const name in musicStems) {
+    const stem = musicStems[name];
     // Cancel all scheduled events to prevent conflicts
-    bgmLoop.cancel();
+    stem.loop.cancel();
     // Start the loop at the current transport time ("+0" means "now")
-    bgmLoop.start("+0");
-    bgmLoop.mute = false;
+    stem.loop.start("+0");
+    stem.loop.mute = false;
+    stem.step = 0;
+    stem.active = isMusicStemWanted(MUSIC_STEMS[name], 0, false);
+    stem.gain.gain.cancelScheduledValues(Tone.now());
+    stem.gain.gain.value = stem.active ? 1 : 0;
   }
+  nextGroanTime = 0;
+  nextHeartbeatTime = 0;
+  nextMusicUpdateTime = 0;
 
   // Start the transport if not already running
   if (Tone.Transport.state !== "started") {
@@ -135,39 +937,135 @@ function startBGM() {
 }
 
 function stopBGM() {
-  // Silence the loop and stop it so music halts when the game stops
-  if (bgmLoop) {
-    bgmLoop.mute = true;
+  // Silence the loops and stop them so music halts when the game stops
+  for (const name in musicStems) {
+    const loop = musicStems[name].loop;
+    loop.mute = true;
     // Cancel all scheduled events to fully stop the loop
-    bgmLoop.cancel();
+    loop.cancel();
+  }
+}
+
+/**
+ * Suspends the Tone.js transport (BGM) while the game is paused.
+ */
+function pauseBGM() {
+  if (transportStarted && Tone.Transport.state === "started") {
+    Tone.Transport.pause();
+  }
+}
+
+/**
+ * Resumes the Tone.js transport from where pauseBGM() left it.
+ */
+function resumeBGM() {
+  if (transportStarted && Tone.Transport.state !== "started") {
+    Tone.Transport.start();
   }
 }
 
-function playShotSFX() {
-  if (shotSynth && Tone.context.state === "running") {
-    // Ensure time is monotonic to avoid Tone.js scheduling errors
-    const scheduledTime = Math.max(Tone.now(), lastShotSfxTime + 0.001);
-    shotSynth.triggerAttackRelease("C4", "32n", scheduledTime);
-    lastShotSfxTime = scheduledTime;
+/**
+ * Plays a sound effect (an SFX_TYPES key) heard from world position (x, y): panned
+ * by where it is on screen and quieter the further it is from the view's center.
+ * Without a position it plays centered at full volume (UI-like sounds).
+ */
+function playSfx(type, x = null, y = null) {
+  if (!isAudioSetup || Tone.context.state !== "running") return;
+  const config = SFX_TYPES[type];
+  const channel = sfxChannels[type];
+  const now = Tone.now();
+  if (now - channel.lastStart < config.minInterval) return;
+
+  let voice = null;
+  for (let i = 0; i < channel.voices.length; i++) {
+    if (channel.voices[i].busyUntil <= now) {
+      voice = channel.voices[i];
+      break;
+    }
   }
+  if (!voice) return; // Every voice is still sounding; skip rather than queue
+
+  let pan = 0;
+  let gain = 1;
+  if (x !== null) {
+    gain = getSfxDistanceGain(x, y);
+    if (gain <= 0) return; // Too far away to hear
+    pan = getSfxPan(x);
+  }
+  voice.panner.pan.setValueAtTime(pan, now);
+  voice.synth.volume.setValueAtTime(config.level + Tone.gainToDb(gain), now);
+  config.play(voice.synth, now);
+  voice.busyUntil = now + config.duration;
+  channel.lastStart = now;
+}
+
+/**
+ * Stereo position for a world x: -1 (left edge of the view) to 1 (right edge),
+ * narrowed by SFX_PAN_WIDTH.
+ */
+function getSfxPan(x) {
+  const halfWidth = canvas.width / 2;
+  return clamp((x - (camera.x + halfWidth)) / halfWidth, -1, 1) * SFX_PAN_WIDTH;
+}
+
+/**
+ * 1 within SFX_FULL_VOLUME_DISTANCE of the view's center, fading to 0 at SFX_MAX_DISTANCE.
+ */
+function getSfxDistanceGain(x, y) {
+  const distance = dist(x, y, camera.x + canvas.width / 2, camera.y + canvas.height / 2);
+  return clamp(
+    1 - (distance - SFX_FULL_VOLUME_DISTANCE) / (SFX_MAX_DISTANCE - SFX_FULL_VOLUME_DISTANCE),
+    0,
+    1
+  );
 }
 
-function playHitSFX() {
-  if (hitSynth && Tone.context.state === "running") {
-    // Ensure time is monotonic to avoid Tone.js scheduling errors
-    const scheduledTime = Math.max(Tone.now(), lastHitSfxTime + 0.001);
-    hitSynth.triggerAttackRelease("8n", scheduledTime);
-    lastHitSfxTime = scheduledTime;
+/**
+ * Per-tick audio: zombie groans, the low-health heartbeat and the music stems.
+ */
+function updateAudio() {
+  if (!isAudioSetup) return;
+  const now = gameTime;
+  if (now >= nextGroanTime && zombies.length > 0) {
+    nextGroanTime = now + GROAN_INTERVAL * (0.5 + Math.random());
+    // A random zombie; only ones on screen groan, so a bigger crowd groans more often
+    const zombie = zombies[Math.floor(Math.random() * zombies.length)];
+    if (!isOutsideView(zombie.x, zombie.y)) playSfx("groan", zombie.x, zombie.y);
+  }
+
+  const local = getLocalPlayer();
+  if (!local.downed && isLowHealth(local.health) && now >= nextHeartbeatTime) {
+    nextHeartbeatTime = now + HEARTBEAT_INTERVAL;
+    playSfx("heartbeat");
+  }
+
+  if (now >= nextMusicUpdateTime) {
+    nextMusicUpdateTime = now + MUSIC_UPDATE_INTERVAL;
+    updateMusicStems();
   }
 }
 
-function playItemSFX() {
-  if (itemSynth && Tone.context.state === "running") {
-    // Ensure time is monotonic to avoid Tone.js scheduling errors
-    const scheduledTime = Math.max(Tone.now(), lastItemSfxTime + 0.001);
-    itemSynth.triggerAttackRelease("E5", "8n", scheduledTime);
-    lastItemSfxTime = scheduledTime;
+/**
+ * Fades music stems in or out for the zombies on screen and the local player's health.
+ */
+function updateMusicStems() {
+  let onScreen = 0;
+  for (let i = 0; i < zombies.length; i++) {
+    if (!zombies[i].isDead && !isOutsideView(zombies[i].x, zombies[i].y)) onScreen++;
   }
+  const lowHealth = isLowHealth(getLocalPlayer().health);
+  for (const name in musicStems) {
+    const stem = musicStems[name];
+    const active = isMusicStemWanted(MUSIC_STEMS[name], onScreen, lowHealth);
+    if (active === stem.active) continue;
+    stem.active = active;
+    stem.gain.gain.rampTo(active ? 1 : 0, MUSIC_STEM_FADE);
+  }
+}
+
+function isMusicStemWanted(config, zombiesOnScreen, lowHealth) {
+  if (zombiesOnScreen < config.minZombies) return false;
+  return config.lowHealth === undefined || config.lowHealth === lowHealth;
 }
 // --- End Audio Functions ---
 
@@ -182,47 +1080,121 @@ function dist(x1, y1, x2, y2) {
 }
 
 /**
- * Updates the score and health display on the UI, and weapon status.
+ * Updates the score and wave display, plus each player's health and weapon status.
  */
 function updateStatsDisplay() {
-  scoreElement.textContent = score;
-  healthValueElement.textContent = Math.max(0, player.health);
-  healthBarElement.value = Math.max(0, player.health);
+  // Called every tick: skip the DOM writes (and string building) when nothing changed
+  const last = lastHudValues;
+  if (last.score !== score || last.wave !== waveState.number) {
+    last.score = score;
+    last.wave = waveState.number;
+    scoreElement.textContent = score;
+    waveElement.textContent = waveState.number;
+  }
+  for (let i = 0; i < players.length; i++) {
+    updatePlayerHud(players[i], playerHuds[i]);
+  }
+}
 
-  if (player.health <= 30) {
-    healthBarElement.style.accentColor = "#e94560"; // Low health color (Red)
-  } else {
-    healthBarElement.style.accentColor = "#00ffff"; // Normal color (Cyan)
+/**
+ * One player's HUD row: health, weapon/ammo and status effects (or revive progress).
+ */
+function updatePlayerHud(target, hud) {
+  const now = gameTime;
+  const health = Math.max(0, target.health);
+  const tripleRemaining =
+    target.tripleShotEndTime > now
+      ? Math.floor((target.tripleShotEndTime - now) / 1000)
+      : -1;
+  const boostRemaining =
+    target.damageBoostEndTime > now
+      ? Math.floor((target.damageBoostEndTime - now) / 1000)
+      : -1;
+  const ammo = target.ammo[target.weapon];
+  const reloading = target.reloadEndTime > 0;
+  const revivePercent = target.downed
+    ? Math.floor((target.reviveProgress / balance.reviveTime) * 100)
+    : -1;
+
+  const last = hud.last;
+  if (
+    last.health === health &&
+    last.triple === tripleRemaining &&
+    last.boost === boostRemaining &&
+    last.missiles === target.missiles &&
+    last.weapon === target.weapon &&
+    last.ammo === ammo &&
+    last.reloading === reloading &&
+    last.revive === revivePercent
+  ) {
+    return;
+  }
+  last.health = health;
+  last.triple = tripleRemaining;
+  last.boost = boostRemaining;
+  last.missiles = target.missiles;
+  last.weapon = target.weapon;
+  last.ammo = ammo;
+  last.reloading = reloading;
+  last.revive = revivePercent;
+
+  // Low health gets a warning sign too, not just a colour change
+  const lowHealth = isLowHealth(health);
+  hud.healthValue.textContent = lowHealth ? `⚠ ${health}` : health;
+  hud.healthBar.value = health;
+  hud.healthBar.style.accentColor = lowHealth ? palette.hudHealthLow : palette.hudHealth;
+
+  const weaponName = t(`weapons.${target.weapon}`);
+  hud.weapon.textContent = reloading
+    ? t("hud.reloading", { weapon: weaponName })
+    : t("hud.ammo", {
+        weapon: weaponName,
+        ammo,
+        magazine: WEAPON_TYPES[target.weapon].magazine,
+      });
+  if (target.index === 0) {
+    // The touch missile button belongs to player 1
+    missileCountElement.textContent = target.missiles;
+    missileButton.classList.toggle("empty", target.missiles <= 0);
   }
 
+  if (target.downed) {
+    hud.status.textContent =
+      revivePercent > 0 ? t("status.reviving", { percent: revivePercent }) : t("status.downed");
+    return;
+  }
   // Weapon Status Display (support stacked effects)
   const statuses = [];
-  const now = Date.now();
-  if (player.tripleShotEndTime > now) {
-    const remaining = Math.max(
-      0,
-      Math.floor((player.tripleShotEndTime - now) / 1000)
-    );
-    statuses.push(`Triple Shot: ${remaining}s`);
+  if (tripleRemaining >= 0) {
+    statuses.push(t("status.tripleShot", { seconds: tripleRemaining }));
   }
-  if (player.damageBoostEndTime > now) {
-    const remaining = Math.max(
-      0,
-      Math.floor((player.damageBoostEndTime - now) / 1000)
-    );
-    statuses.push(`Damage Boost: ${remaining}s`);
+  if (boostRemaining >= 0) {
+    statuses.push(t("status.damageBoost", { seconds: boostRemaining }));
   }
-  if (bombCount > 0) {
-    statuses.push(`Missiles: ${bombCount}/${MAX_MISSILE_STOCK}`);
+  if (target.missiles > 0) {
+    statuses.push(
+      t("status.missiles", { count: target.missiles, max: balance.maxMissileStock })
+    );
   }
-  weaponStatusElement.textContent = statuses.join(" | ");
+  hud.status.textContent = statuses.join(" | ");
 }
 
 /**
  * Counts active items of a given type.
  */
 function countItemsByType(type) {
-  return items.reduce((count, item) => (item.type === type ? count + 1 : count), 0);
+  let count = 0;
+  for (let i = 0; i < items.length; i++) {
+    if (items[i].type === type) count++;
+  }
+  return count;
+}
+
+/**
+ * Wraps an angle into [-PI, PI].
+ */
+function wrapAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
 }
 
 /**
@@ -233,1032 +1205,4260 @@ function clamp(val, min, max) {
 }
 
 /**
- * Adds an explosion visual effect.
+ * Linear interpolation between a and b by t (0..1).
  */
-function addExplosion(x, y) {
-  explosions.push({ x, y, startTime: Date.now() });
+function lerp(a, b, t) {
+  return a + (b - a) * t;
 }
 
 /**
- * Picks a spawn position near the given point with a random offset, and clamps inside the canvas.
+ * True if the point is more than `margin` px outside the camera's viewport.
  */
-function getItemSpawnPosition(baseX, baseY) {
-  const angle = Math.random() * Math.PI * 2;
-  const distance = 80 + Math.random() * 120; // Spread items 80-200px from the source
-  const x = baseX + Math.cos(angle) * distance;
-  const y = baseY + Math.sin(angle) * distance;
-  const halfSize = ITEM_SIZE / 2;
-  return {
-    x: clamp(x, halfSize, canvas.width - halfSize),
-    y: clamp(y, halfSize, canvas.height - halfSize),
-  };
+function isOutsideView(x, y, margin = 0) {
+  return (
+    x < camera.x - margin ||
+    x > camera.x + canvas.width + margin ||
+    y < camera.y - margin ||
+    y > camera.y + canvas.height + margin
+  );
 }
 
 /**
- * Triggers a bomb explosion that damages all zombies in radius.
+ * Projectile culling: true if the point is more than `margin` px outside the view.
+ * Online each player has their own screen, so it has to be outside a view-sized
+ * box around every player (the host can't know the guest's screen size).
  */
-function triggerBombExplosion(cx, cy) {
-  let kills = 0;
-  zombies = zombies.filter((zombie) => {
-    const distance = dist(cx, cy, zombie.x, zombie.y);
-    if (distance <= BOMB_RADIUS) {
-      zombie.health -= BOMB_DAMAGE;
-      kills += 1;
+function isOutsidePlayerViews(x, y, margin) {
+  if (!isOnlineGame()) return isOutsideView(x, y, margin);
+  const reachX = canvas.width / 2 + margin;
+  const reachY = canvas.height / 2 + margin;
+  for (let i = 0; i < players.length; i++) {
+    if (Math.abs(x - players[i].x) <= reachX && Math.abs(y - players[i].y) <= reachY) {
       return false;
     }
-    return true;
-  });
-  if (kills > 0) {
-    score += kills * 10;
   }
-  addExplosion(cx, cy);
-  playHitSFX(); // Use hit SFX as explosion placeholder
+  return true;
 }
 
 /**
- * Renders active explosion effects.
+ * True if the point is more than `margin` px outside the world.
  */
-function drawExplosions() {
-  const now = Date.now();
-  explosions.forEach((explosion) => {
-    const elapsed = now - explosion.startTime;
-    const progress = Math.min(elapsed / EXPLOSION_DURATION, 1);
-    const radius = BOMB_RADIUS * (0.2 + 0.8 * progress);
-    const alpha = 1 - progress;
-
-    const gradient = ctx.createRadialGradient(
-      explosion.x,
-      explosion.y,
-      radius * 0.2,
-      explosion.x,
-      explosion.y,
-      radius
-    );
-    gradient.addColorStop(0, `rgba(255, 240, 200, ${alpha})`);
-    gradient.addColorStop(0.4, `rgba(255, 180, 80, ${alpha * 0.9})`);
-    gradient.addColorStop(1, `rgba(255, 80, 40, 0)`);
+function isOutsideWorld(x, y, margin = 0) {
+  return (
+    x < -margin ||
+    x > WORLD_WIDTH + margin ||
+    y < -margin ||
+    y > WORLD_HEIGHT + margin
+  );
+}
 
-    ctx.save();
-    ctx.fillStyle = gradient;
-    ctx.beginPath();
-    ctx.arc(explosion.x, explosion.y, radius, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.restore();
-  });
+/**
+ * Removes array[index] by moving the last element into its slot. O(1) and
+ * allocation-free, but doesn't keep order.
+ */
+function swapRemove(array, index) {
+  const last = array.pop();
+  if (index < array.length) array[index] = last;
 }
 
 /**
- * Ensures no item type exceeds the per-type cap by removing oldest extras.
+ * Swap-removes every entity matching `shouldRemove` and returns it to `pool` if
+ * one is given. Iterates backwards so every entity is visited exactly once.
  */
-function enforceItemCap() {
-  const itemsByType = {};
-  items.forEach((item) => {
-    if (!itemsByType[item.type]) {
-      itemsByType[item.type] = [];
+function removeWhere(array, shouldRemove, pool) {
+  for (let i = array.length - 1; i >= 0; i--) {
+    const entity = array[i];
+    if (shouldRemove(entity)) {
+      swapRemove(array, i);
+      if (pool) pool.release(entity);
     }
-    itemsByType[item.type].push(item);
-  });
+  }
+}
 
-  Object.values(itemsByType).forEach((typedItems) => {
-    if (typedItems.length > MAX_ITEMS_PER_TYPE) {
-      // Remove oldest items first
-      typedItems
-        .sort((a, b) => a.creationTime - b.creationTime)
-        .slice(0, typedItems.length - MAX_ITEMS_PER_TYPE)
-        .forEach((excess) => {
-          const idx = items.indexOf(excess);
-          if (idx !== -1) items.splice(idx, 1);
-        });
-    }
-  });
+/**
+ * Returns every entity in the array to its pool and empties the array.
+ */
+function releaseAll(array, pool) {
+  for (let i = 0; i < array.length; i++) pool.release(array[i]);
+  array.length = 0;
 }
 
-// --- Game Object Classes ---
+// --- Entity Pools ---
 
 /**
- * Player Class (The Hero)
+ * Free-list pool for one entity type. acquire() hands out a recycled instance
+ * (or creates one when the pool is empty); the caller must init() it.
  */
-class Player {
-  constructor(x, y, size) {
-    this.x = x;
-    this.y = y;
-    this.size = size;
-    this.health = MAX_HEALTH;
-    this.color = "#00ffff";
-
-    // Weapon/Upgrade State
-    this.lastShotTime = 0;
-    this.tripleShotEndTime = 0;
-    this.damageBoostEndTime = 0;
-    this.currentShotDelay = 200; // ms (Default Rate of fire)
-    this.defaultShotDelay = 200;
-    this.bulletDamageMultiplier = 1; // Default damage multiplier is 1
+class EntityPool {
+  constructor(create, prewarm = 0) {
+    this.create = create;
+    this.free = [];
+    this.created = 0; // Total instances ever made (active + free)
+    for (let i = 0; i < prewarm; i++) this.free.push(this._make());
   }
 
-  draw() {
-    ctx.save();
+  _make() {
+    this.created++;
+    return this.create();
+  }
 
-    // Player Body
-    ctx.fillStyle = this.color;
-    ctx.beginPath();
-    ctx.arc(this.x, this.y, this.size / 2, 0, Math.PI * 2);
-    ctx.fill();
+  acquire() {
+    return this.free.length > 0 ? this.free.pop() : this._make();
+  }
 
-    // Draw the weapon/direction line (towards the mouse/aim)
-    const angle = Math.atan2(mouse.y - this.y, mouse.x - this.x);
-    ctx.strokeStyle = "#ffffff";
-    ctx.lineWidth = 3;
-    ctx.beginPath();
-    ctx.moveTo(this.x, this.y);
-    ctx.lineTo(
-      this.x + Math.cos(angle) * (this.size / 2 + 10),
-      this.y + Math.sin(angle) * (this.size / 2 + 10)
-    );
-    ctx.stroke();
+  release(entity) {
+    this.free.push(entity);
+  }
+}
 
-    ctx.restore();
+/**
+ * Pool sizes for inspection: shown in the debug overlay (backquote key) and
+ * callable from the browser console.
+ */
+function getPoolStats() {
+  const stats = {};
+  for (const name in entityPools) {
+    const pool = entityPools[name];
+    stats[name] = {
+      active: pool.created - pool.free.length,
+      free: pool.free.length,
+      created: pool.created,
+    };
   }
+  return stats;
+}
 
-  update() {
-    let dx = 0;
-    let dy = 0;
+// --- Spatial Hash (collision broadphase) ---
 
-    // Desktop (WASD or Arrow Keys)
-    if (keys.w || keys.up) dy -= PLAYER_SPEED;
-    if (keys.s || keys.down) dy += PLAYER_SPEED;
-    if (keys.a || keys.left) dx -= PLAYER_SPEED;
-    if (keys.d || keys.right) dx += PLAYER_SPEED;
+/**
+ * Uniform-grid spatial hash. Entities are bucketed by their center, one cell
+ * each, on a numbered layer (zombies, items, ...). Queries widen the search by
+ * the largest radius inserted on that layer, so big entities are never missed.
+ * Buckets are kept between ticks and only emptied, so rebuilding doesn't allocate.
+ */
+class SpatialHash {
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // key -> array of entities
+    this.usedKeys = []; // Keys filled since the last clear()
+    this.maxRadius = []; // Per-layer largest entity radius
+  }
 
-    // Mobile (Joystick Movement)
-    if (joystickState.active) {
-      dx += joystickState.dx * PLAYER_SPEED;
-      dy += joystickState.dy * PLAYER_SPEED;
-    }
+  _key(layer, cx, cy) {
+    // Offset so cells slightly outside the arena (negative coords) stay unique
+    return (layer * 8192 + (cx + 4096)) * 8192 + (cy + 4096);
+  }
 
-    // Normalize diagonal movement speed
-    if (dx !== 0 && dy !== 0) {
-      const magnitude = Math.sqrt(dx * dx + dy * dy);
-      dx = (dx / magnitude) * PLAYER_SPEED;
-      dy = (dy / magnitude) * PLAYER_SPEED;
+  clear() {
+    for (let i = 0; i < this.usedKeys.length; i++) {
+      this.cells.get(this.usedKeys[i]).length = 0;
     }
+    this.usedKeys.length = 0;
+    this.maxRadius.length = 0;
+  }
 
-    this.x += dx;
-    this.y += dy;
-
-    // Keep player within bounds
-    this.x = Math.max(
-      this.size / 2,
-      Math.min(canvas.width - this.size / 2, this.x)
-    );
-    this.y = Math.max(
-      this.size / 2,
-      Math.min(canvas.height - this.size / 2, this.y)
+  insert(layer, entity) {
+    const key = this._key(
+      layer,
+      Math.floor(entity.x / this.cellSize),
+      Math.floor(entity.y / this.cellSize)
     );
-
-    const now = Date.now();
-    // Update active upgrade effects (supports stacking)
-    const tripleActive = this.tripleShotEndTime > now;
-    const damageBoostActive = this.damageBoostEndTime > now;
-
-    this.currentShotDelay = tripleActive ? 300 : this.defaultShotDelay;
-    this.bulletDamageMultiplier = damageBoostActive
-      ? DAMAGE_BOOST_MULTIPLIER
-      : 1;
-
-    if (mouse.isFiring) {
-      this.shoot();
+    let cell = this.cells.get(key);
+    if (!cell) {
+      cell = [];
+      this.cells.set(key, cell);
     }
+    if (cell.length === 0) this.usedKeys.push(key);
+    cell.push(entity);
 
-    updateStatsDisplay();
+    const radius = entity.size / 2;
+    if (!(this.maxRadius[layer] >= radius)) this.maxRadius[layer] = radius;
   }
 
   /**
-   * Applies a weapon upgrade or collects an item.
+   * Fills `out` with entities on `layer` whose cells overlap the circle (x, y, radius).
+   * This is a broadphase: callers still do the exact distance check.
    */
-  applyUpgrade(type) {
-    if (type === "health_pack") {
-      const healthRestored = 30; // Restore 30 health
-      this.health = Math.min(MAX_HEALTH, this.health + healthRestored);
-      // Health pack is instantaneous, no timed duration
-      return;
-    }
-
-    // --- Weapon Upgrades (Timed) --- (allow stacking)
-    if (type === "triple_shot") {
-      this.tripleShotEndTime = Date.now() + UPGRADE_DURATION;
-      this.currentShotDelay = 300;
-    } else if (type === "damage_boost") {
-      this.damageBoostEndTime = Date.now() + UPGRADE_DURATION;
-    } else if (type === "bomb") {
-      // Store bomb for manual use
-      bombCount = Math.min(MAX_MISSILE_STOCK, bombCount + 1);
-      return;
+  query(layer, x, y, radius, out) {
+    out.length = 0;
+    const reach = radius + (this.maxRadius[layer] || 0);
+    const minX = Math.floor((x - reach) / this.cellSize);
+    const maxX = Math.floor((x + reach) / this.cellSize);
+    const minY = Math.floor((y - reach) / this.cellSize);
+    const maxY = Math.floor((y + reach) / this.cellSize);
+
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cy = minY; cy <= maxY; cy++) {
+        const cell = this.cells.get(this._key(layer, cx, cy));
+        if (!cell) continue;
+        for (let i = 0; i < cell.length; i++) out.push(cell[i]);
+      }
     }
+    return out;
   }
+}
 
-  /**
-   * Fires a bomb missile toward the current aim if available.
-   */
-  fireBombMissile() {
-    if (bombCount <= 0) return;
-    const angle = Math.atan2(mouse.y - this.y, mouse.x - this.x);
-    missiles.push(
-      new Missile(
-        this.x + Math.cos(angle) * (this.size / 2 + 5),
-        this.y + Math.sin(angle) * (this.size / 2 + 5),
-        BOMB_MISSILE_SIZE,
-        angle
-      )
-    );
-    bombCount -= 1;
-    playShotSFX();
-  }
+// Spatial hash shared by every collision query; rebuilt once per tick.
+const collisionGrid = new SpatialHash(COLLISION_CELL_SIZE);
 
-  /**
-   * Helper function to create a single bullet.
-   */
-  _createBullet(angle) {
-    const bullet = new Bullet(
-      this.x + Math.cos(angle) * (this.size / 2 + 5),
-      this.y + Math.sin(angle) * (this.size / 2 + 5),
-      BULLET_SIZE,
-      angle
-    );
-    bullets.push(bullet);
+/**
+ * Rebuilds the collision grid from the current zombies and items.
+ */
+function rebuildCollisionGrid() {
+  collisionGrid.clear();
+  for (let i = 0; i < zombies.length; i++) {
+    if (!zombies[i].isDead) collisionGrid.insert(LAYER_ZOMBIES, zombies[i]);
   }
+  for (let i = 0; i < items.length; i++) {
+    collisionGrid.insert(LAYER_ITEMS, items[i]);
+  }
+}
 
-  shoot() {
-    const now = Date.now();
-    if (now - this.lastShotTime > this.currentShotDelay) {
-      const angle = Math.atan2(mouse.y - this.y, mouse.x - this.x);
-
-      const tripleActive = this.tripleShotEndTime > now;
-
-      if (!tripleActive) {
-        this._createBullet(angle);
-      } else {
-        // Fire three bullets in a spread (approx +/- 10 degrees spread)
-        const spread = 0.35; // Angle in radians
-        this._createBullet(angle - spread);
-        this._createBullet(angle);
-        this._createBullet(angle + spread);
-      }
+/**
+ * Adds an explosion visual effect.
+ */
+function addExplosion(x, y, radius = balance.bombRadius) {
+  const explosion = entityPools.explosions.acquire();
+  explosion.x = x;
+  explosion.y = y;
+  explosion.radius = radius;
+  explosion.startTime = gameTime;
+  explosions.push(explosion);
+}
 
-      playShotSFX(); // Play shot sound effect
-      this.lastShotTime = now;
+/**
+ * Picks a spawn position near the given point with a random offset, clamped inside
+ * the world and (when possible) clear of obstacles.
+ */
+function getItemSpawnPosition(baseX, baseY) {
+  const halfSize = ITEM_SIZE / 2;
+  let x, y;
+  // Re-roll a few times so items don't land inside a wall, car or crate
+  for (let attempt = 0; attempt < 8; attempt++) {
+    const angle = Math.random() * Math.PI * 2;
+    const distance = 80 + Math.random() * 120; // Spread items 80-200px from the source
+    x = clamp(baseX + Math.cos(angle) * distance, halfSize, WORLD_WIDTH - halfSize);
+    y = clamp(baseY + Math.sin(angle) * distance, halfSize, WORLD_HEIGHT - halfSize);
+    if (!isCircleBlocked(x, y, halfSize)) break;
+  }
+  return { x, y };
+}
+
+/**
+ * Triggers a bomb explosion that damages all zombies in radius.
+ */
+function triggerBombExplosion(cx, cy) {
+  // Blasts are rare and can chain (exploders), so each gets its own candidate list
+  const candidates = collisionGrid.query(LAYER_ZOMBIES, cx, cy, balance.bombRadius, []);
+  let blastKills = 0;
+  candidates.forEach((zombie) => {
+    // Bomb kills don't drop items
+    if (
+      dist(cx, cy, zombie.x, zombie.y) <= balance.bombRadius &&
+      damageZombie(zombie, balance.bombDamage, false, 1, "missile")
+    ) {
+      blastKills++;
+    }
+  });
+  removeDeadZombies();
+  addExplosion(cx, cy);
+  playSfx("explosion", cx, cy);
+
+  const event = GAME_EVENTS.missileExploded;
+  event.x = cx;
+  event.y = cy;
+  event.kills = blastKills;
+  emitGameEvent("missileExploded");
+}
+
+/**
+ * Detonates an exploder zombie, hurting players and any other zombies nearby.
+ */
+function explodeZombie(zombie) {
+  const { explosionRadius, explosionDamage } = zombie.archetype;
+  for (let i = 0; i < players.length; i++) {
+    const target = players[i];
+    if (
+      !target.downed &&
+      dist(zombie.x, zombie.y, target.x, target.y) <= explosionRadius + target.size / 2
+    ) {
+      damagePlayer(target, explosionDamage);
     }
   }
+  const candidates = collisionGrid.query(
+    LAYER_ZOMBIES,
+    zombie.x,
+    zombie.y,
+    explosionRadius,
+    []
+  );
+  candidates.forEach((other) => {
+    if (
+      other !== zombie &&
+      dist(zombie.x, zombie.y, other.x, other.y) <= explosionRadius
+    ) {
+      // Can chain into other exploders
+      damageZombie(other, explosionDamage, true, 1, "explosion");
+    }
+  });
+  addExplosion(zombie.x, zombie.y, explosionRadius);
+  playSfx("explosion", zombie.x, zombie.y);
 }
 
 /**
- * Bullet Class
+ * Applies damage to a zombie and handles its death: score, on-death effects and
+ * the random item drop. Returns true if this hit killed it. `damageMultiplier` is
+ * only shown (damage numbers); `amount` already includes it. `cause` is passed on
+ * in the zombieKilled event ("bullet", "missile" or "explosion").
+ * Dead zombies are flagged and cleaned up by removeDeadZombies().
  */
-class Bullet {
-  constructor(x, y, size, angle) {
-    this.x = x;
-    this.y = y;
-    this.size = size;
-    this.vx = Math.cos(angle) * BULLET_SPEED;
-    this.vy = Math.sin(angle) * BULLET_SPEED;
-    this.color = "yellow";
+function damageZombie(
+  zombie,
+  amount,
+  canDropItem = true,
+  damageMultiplier = 1,
+  cause = "bullet"
+) {
+  if (zombie.isDead) return false;
+  // Overkill (bombs) shows as the health that was left
+  const shown = Math.min(amount, zombie.health);
+  emitDamageNumber(zombie.x, zombie.y - zombie.size / 2, shown, damageMultiplier);
+  zombie.health -= amount;
+  if (zombie.health > 0) return false;
+
+  zombie.isDead = true;
+  emitDeathBurst(zombie);
+  addCorpse(zombie.spriteKey, zombie.x, zombie.y, zombie.size, zombie.getFacing());
+  if (zombie === waveState.boss) waveState.boss = null;
+  score += zombie.scoreValue;
+  kills += 1;
+  playSfx("hit", zombie.x, zombie.y); // Zombie death sound
+
+  const event = GAME_EVENTS.zombieKilled;
+  event.zombie = zombie;
+  event.cause = cause;
+  emitGameEvent("zombieKilled");
+
+  if (zombie.archetype.behavior === "exploder") {
+    explodeZombie(zombie);
   }
+  if (canDropItem) {
+    dropRandomItem(zombie.x, zombie.y);
+  }
+  return true;
+}
 
-  draw() {
-    ctx.fillStyle = this.color;
-    ctx.beginPath();
-    ctx.arc(this.x, this.y, this.size / 2, 0, Math.PI * 2);
-    ctx.fill();
+/**
+ * Hard cap on crowd overlap: pushes apart any two zombies overlapping more than
+ * CROWD_MAX_OVERLAP of their combined radii. Bigger zombies get shoved less, so
+ * a boss plows through walkers rather than the other way round. One pass, so a
+ * dense pile can still be slightly over the cap until the next tick.
+ */
+function separateZombies() {
+  for (let i = 0; i < zombies.length; i++) {
+    const zombie = zombies[i];
+    if (zombie.isDead) continue;
+    collisionGrid.query(LAYER_ZOMBIES, zombie.x, zombie.y, zombie.size / 2, crowdNeighbors);
+    let moved = false;
+    for (let j = 0; j < crowdNeighbors.length; j++) {
+      const other = crowdNeighbors[j];
+      if (other === zombie || other.isDead) continue;
+      const dx = zombie.x - other.x;
+      const dy = zombie.y - other.y;
+      const minDistance = ((zombie.size + other.size) / 2) * (1 - CROWD_MAX_OVERLAP);
+      const distanceSq = dx * dx + dy * dy;
+      if (distanceSq >= minDistance * minDistance || distanceSq === 0) continue;
+      // Split the correction by mass so the pair ends up exactly minDistance apart
+      const distance = Math.sqrt(distanceSq);
+      const mass = zombie.size * zombie.size;
+      const otherMass = other.size * other.size;
+      const overlap = minDistance - distance;
+      const push = (overlap * otherMass) / (mass + otherMass);
+      const otherPush = overlap - push;
+      zombie.x += (dx / distance) * push;
+      zombie.y += (dy / distance) * push;
+      other.x -= (dx / distance) * otherPush;
+      other.y -= (dy / distance) * otherPush;
+      resolveObstacleCollisions(other);
+      moved = true;
+    }
+    if (moved) resolveObstacleCollisions(zombie);
   }
+}
+
+/**
+ * Removes zombies flagged as dead from the active list.
+ */
+function removeDeadZombies() {
+  removeWhere(zombies, isZombieDead, entityPools.zombies);
+}
+
+function isZombieDead(zombie) {
+  return zombie.isDead;
+}
 
-  update() {
-    this.x += this.vx;
-    this.y += this.vy;
+/**
+ * Rolls the item drop for a killed zombie (balance.upgradeChance).
+ */
+function dropRandomItem(x, y) {
+  if (Math.random() >= balance.upgradeChance) return;
+
+  const randomType = ITEM_TYPES[Math.floor(Math.random() * ITEM_TYPES.length)];
+
+  // Only spawn if under per-type limit
+  if (countItemsByType(randomType) < MAX_ITEMS_PER_TYPE) {
+    const spawnPos = getItemSpawnPosition(x, y);
+    items.push(new Item(spawnPos.x, spawnPos.y, ITEM_SIZE, randomType));
   }
+}
 
-  isOffScreen() {
-    return (
-      this.x < 0 ||
-      this.x > canvas.width ||
-      this.y < 0 ||
-      this.y > canvas.height
-    );
+/**
+ * Damages a player. At 0 health they go down; the game ends once every player is down.
+ */
+function damagePlayer(target, amount) {
+  if (isGameOver || target.downed) return;
+  amount = Math.round(amount * balance.zombieDamage); // Only zombies hurt players
+  target.health -= amount;
+  playSfx("playerHurt", target.x, target.y);
+  if (target === getGamepadPlayer()) {
+    rumbleGamepad(DAMAGE_RUMBLE_DURATION, Math.min(1, 0.3 + amount / 30));
+  }
+  if (target.health <= 0) {
+    target.health = 0;
+    target.downed = true;
+    target.downedTime = gameTime;
+    target.reviveProgress = 0;
   }
+
+  const event = GAME_EVENTS.playerDamaged;
+  event.player = target;
+  event.amount = amount;
+  emitGameEvent("playerDamaged");
+
+  if (target.downed && players.every(isPlayerDown)) gameOver();
 }
 
 /**
- * Bomb Missile Class
+ * True at or below LOW_HEALTH_FRACTION of the run's max health (HUD warning, heartbeat).
  */
-class Missile {
-  constructor(x, y, size, angle) {
-    this.x = x;
-    this.y = y;
-    this.size = size;
-    this.vx = Math.cos(angle) * BOMB_MISSILE_SPEED;
-    this.vy = Math.sin(angle) * BOMB_MISSILE_SPEED;
-    this.color = "#ff9800";
+function isLowHealth(health) {
+  return health <= balance.maxHealth * LOW_HEALTH_FRACTION;
+}
+
+function isPlayerDown(target) {
+  return target.downed;
+}
+
+function getLocalPlayer() {
+  return players[localPlayerIndex];
+}
+
+/**
+ * One-shot player commands from keys, buttons and the pad: "fireMissile", "reload",
+ * "switchWeapon" (arg: weapon type) and "cycleWeapon" (arg: 1 or -1). An online
+ * guest only forwards them; the host's simulation runs them (see net.js).
+ */
+function runPlayerCommand(target, command, arg) {
+  if (isNetworkGuest()) {
+    queueNetworkCommand(command, arg);
+    return;
   }
+  if (command === "fireMissile") {
+    target.fireBombMissile();
+  } else if (command === "reload") {
+    target.reload();
+  } else if (command === "switchWeapon") {
+    target.switchWeapon(arg);
+  } else if (command === "cycleWeapon") {
+    target.cycleWeapon(arg);
+  }
+}
 
-  draw() {
-    ctx.fillStyle = this.color;
-    ctx.beginPath();
-    ctx.arc(this.x, this.y, this.size / 2, 0, Math.PI * 2);
-    ctx.fill();
+/**
+ * Closest player still standing, or null when everyone is down.
+ */
+function getNearestLivingPlayer(x, y) {
+  let nearest = null;
+  let nearestDistance = Infinity;
+  for (let i = 0; i < players.length; i++) {
+    const target = players[i];
+    if (target.downed) continue;
+    const distance = dist(x, y, target.x, target.y);
+    if (distance < nearestDistance) {
+      nearest = target;
+      nearestDistance = distance;
+    }
   }
+  return nearest;
+}
 
-  update() {
-    this.x += this.vx;
-    this.y += this.vy;
+/**
+ * Downed players fill a revive meter while a teammate stands within REVIVE_RADIUS.
+ * Stepping away resets it.
+ */
+function updateRevives(dt) {
+  for (let i = 0; i < players.length; i++) {
+    const downed = players[i];
+    if (!downed.downed) continue;
+    let helped = false;
+    for (let j = 0; j < players.length; j++) {
+      const other = players[j];
+      if (!other.downed && dist(other.x, other.y, downed.x, downed.y) <= REVIVE_RADIUS) {
+        helped = true;
+      }
+    }
+    if (!helped) {
+      downed.reviveProgress = 0;
+      continue;
+    }
+    downed.reviveProgress += dt * 1000;
+    if (downed.reviveProgress >= balance.reviveTime) {
+      downed.downed = false;
+      downed.reviveProgress = 0;
+      downed.health = Math.min(balance.reviveHealth, balance.maxHealth);
+      playSfx("item", downed.x, downed.y);
+    }
   }
+}
 
-  isOffScreen() {
-    return (
-      this.x < -this.size ||
-      this.x > canvas.width + this.size ||
-      this.y < -this.size ||
-      this.y > canvas.height + this.size
+// --- Particles ---
+
+/**
+ * Takes a particle from the pool, or returns null once the quality budget is used up
+ * (effects then just come out thinner).
+ */
+function spawnParticle(shape, x, y, vx, vy, size, color, lifetime) {
+  if (particles.length >= PARTICLE_QUALITY[settings.particleQuality].maxParticles) return null;
+  const particle = entityPools.particles
+    .acquire()
+    .init(shape, x, y, vx, vy, size, color, lifetime);
+  particles.push(particle);
+  return particle;
+}
+
+/**
+ * How many particles an effect designed for `count` gets at the current quality.
+ */
+function scaleParticleCount(count) {
+  return Math.max(1, Math.round(count * PARTICLE_QUALITY[settings.particleQuality].density));
+}
+
+/**
+ * Sprays particles out of a point, within `spread` radians around `angle`, with
+ * some randomness in speed, size and lifetime.
+ */
+function emitBurst(
+  shape,
+  x,
+  y,
+  count,
+  speed,
+  size,
+  color,
+  lifetime,
+  angle = 0,
+  spread = Math.PI * 2
+) {
+  const total = scaleParticleCount(count);
+  for (let i = 0; i < total; i++) {
+    const direction = angle + (Math.random() - 0.5) * spread;
+    const velocity = speed * (0.4 + Math.random() * 0.6);
+    spawnParticle(
+      shape,
+      x,
+      y,
+      Math.cos(direction) * velocity,
+      Math.sin(direction) * velocity,
+      size * (0.6 + Math.random() * 0.8),
+      color,
+      lifetime * (0.7 + Math.random() * 0.6)
     );
   }
 }
 
+function emitMuzzleFlash(x, y, angle) {
+  if (settings.reducedMotion) return; // It's a flash
+  spawnParticle(
+    "flash",
+    x,
+    y,
+    0,
+    0,
+    MUZZLE_FLASH_SIZE,
+    MUZZLE_FLASH_COLOR,
+    MUZZLE_FLASH_DURATION
+  );
+  emitBurst("spark", x, y, 3, SPARK_SPEED, 2, MUZZLE_FLASH_COLOR, SPARK_LIFETIME / 2, angle, 0.5);
+}
+
 /**
- * Zombie Class (The Enemy)
+ * A bullet hitting a zombie: sparks bounce back toward the shooter, blood sprays on
+ * in the bullet's direction.
  */
-class Zombie {
-  constructor(x, y, size) {
-    this.x = x;
-    this.y = y;
-    this.size = size;
-    this.color = "#e94560"; // Zombie red
-    this.initialHealth = 30;
-    this.health = this.initialHealth; // 2-3 shots to kill
+function emitHitEffects(x, y, angle, sparks) {
+  if (sparks && !settings.reducedMotion) {
+    const back = angle + Math.PI;
+    emitBurst("spark", x, y, 5, SPARK_SPEED, 2, SPARK_COLOR, SPARK_LIFETIME, back, 1.4);
   }
+  emitBurst("dot", x, y, 4, BLOOD_SPRAY_SPEED, 3, BLOOD_COLOR, 300, angle, 0.9);
+}
 
-  draw() {
-    ctx.save();
+/**
+ * Floating damage number over a zombie. Boosted hits show the multiplier too.
+ */
+function emitDamageNumber(x, y, amount, damageMultiplier) {
+  const boosted = damageMultiplier > 1;
+  const particle = spawnParticle(
+    "text",
+    x + (Math.random() - 0.5) * 16,
+    y,
+    0,
+    -DAMAGE_NUMBER_RISE,
+    DAMAGE_NUMBER_SIZE,
+    boosted ? palette.items.damage_boost : "#ffffff",
+    DAMAGE_NUMBER_LIFETIME
+  );
+  if (!particle) return;
+  particle.drag = 0; // Rises steadily
+  particle.text = boosted
+    ? `${Math.round(amount)} ×${Math.round(damageMultiplier * 10) / 10}`
+    : String(Math.round(amount));
+}
 
-    // Zombie Body (Square for a more menacing look)
-    ctx.fillStyle = this.color;
-    ctx.fillRect(
-      this.x - this.size / 2,
-      this.y - this.size / 2,
-      this.size,
-      this.size
-    );
+function emitDeathBurst(zombie) {
+  const color = palette.zombies[zombie.type] || zombie.color;
+  emitBurst("dot", zombie.x, zombie.y, DEATH_BURST_COUNT, DEATH_BURST_SPEED, 4, color, 500);
+  emitBurst("dot", zombie.x, zombie.y, 6, BLOOD_SPRAY_SPEED, 4, BLOOD_COLOR, 400);
+  addBloodSplatter(zombie.x, zombie.y, zombie.size);
+}
 
-    // Draw health bar
-    const healthBarWidth = this.size;
-    const healthBarHeight = 3;
-    const currentHealthRatio = this.health / this.initialHealth;
+function emitPickupSparkle(x, y, color) {
+  emitBurst("dot", x, y, SPARKLE_COUNT, 90, 3, color, SPARKLE_LIFETIME);
+  emitBurst("dot", x, y, SPARKLE_COUNT / 2, 60, 2, "#ffffff", SPARKLE_LIFETIME);
+}
 
-    // Background (Red)
-    ctx.fillStyle = "rgba(255, 0, 0, 0.5)";
-    ctx.fillRect(
-      this.x - healthBarWidth / 2,
-      this.y - this.size / 2 - healthBarHeight - 2,
-      healthBarWidth,
-      healthBarHeight
-    );
+/**
+ * Leaves a few overlapping blood blotches on the floor. At the decal budget the
+ * oldest splatter makes room.
+ */
+function addBloodSplatter(x, y, size) {
+  const maxDecals = PARTICLE_QUALITY[settings.particleQuality].maxDecals;
+  const blotches = scaleParticleCount(3);
+  for (let i = 0; i < blotches; i++) {
+    if (bloodDecals.length >= maxDecals) removeOldest(bloodDecals, entityPools.particles);
+    const decal = entityPools.particles
+      .acquire()
+      .init(
+        "dot",
+        x + (Math.random() - 0.5) * size,
+        y + (Math.random() - 0.5) * size,
+        0,
+        0,
+        size * (0.4 + Math.random() * 0.6),
+        BLOOD_DECAL_COLOR,
+        BLOOD_DECAL_LIFETIME
+      );
+    decal.fadeTime = BLOOD_DECAL_FADE;
+    bloodDecals.push(decal);
+  }
+}
 
-    // Foreground (Lime)
-    ctx.fillStyle = "lime";
-    ctx.fillRect(
-      this.x - healthBarWidth / 2,
-      this.y - this.size / 2 - healthBarHeight - 2,
-      healthBarWidth * currentHealthRatio,
-      healthBarHeight
-    );
+/**
+ * Drops the entry with the earliest startTime (lists are swap-removed, so not in order).
+ */
+function removeOldest(list, pool) {
+  if (list.length === 0) return;
+  let oldest = 0;
+  for (let i = 1; i < list.length; i++) {
+    if (list[i].startTime < list[oldest].startTime) oldest = i;
+  }
+  pool.release(list[oldest]);
+  swapRemove(list, oldest);
+}
 
-    ctx.restore();
+/**
+ * Leaves a dead zombie's death animation on the floor, if its sprite sheet has one
+ * (without art the death burst is all there is). Shares the decal budget.
+ */
+function addCorpse(spriteKey, x, y, size, facing) {
+  if (!hasSpriteAnimation(spriteKey, "death")) return;
+  if (corpses.length >= PARTICLE_QUALITY[settings.particleQuality].maxDecals) {
+    removeOldest(corpses, entityPools.corpses);
   }
+  corpses.push(entityPools.corpses.acquire().init(spriteKey, x, y, size, facing));
+}
 
-  update() {
-    // Pathfinding: move directly towards the player
-    const angle = Math.atan2(player.y - this.y, player.x - this.x);
-    this.x += Math.cos(angle) * ZOMBIE_SPEED;
-    this.y += Math.sin(angle) * ZOMBIE_SPEED;
+function isParticleExpired(particle) {
+  return gameTime - particle.startTime >= particle.lifetime;
+}
 
-    // Check for collision with player
-    if (
-      dist(this.x, this.y, player.x, player.y) <
-      this.size / 2 + player.size / 2
-    ) {
-      this.attackPlayer();
+/**
+ * Moves particles and drops expired ones (splatters and corpses don't move, they
+ * only expire).
+ */
+function updateParticles(dt) {
+  updateAll(particles, dt);
+  removeWhere(particles, isParticleExpired, entityPools.particles);
+  removeWhere(bloodDecals, isParticleExpired, entityPools.particles);
+  removeWhere(corpses, isParticleExpired, entityPools.corpses);
+}
+
+/**
+ * Draws a particle list with shared canvas state (text style for damage numbers).
+ */
+function drawParticles(list, alpha) {
+  ctx.save();
+  ctx.font = getHudFont("bold", DAMAGE_NUMBER_SIZE);
+  ctx.textAlign = "center";
+  ctx.lineCap = "round";
+  drawAll(list, alpha);
+  ctx.restore();
+}
+
+/**
+ * Renders active explosion effects.
+ */
+function drawExplosions() {
+  const now = gameTime;
+  for (let i = 0; i < explosions.length; i++) {
+    const explosion = explosions[i];
+    const elapsed = now - explosion.startTime;
+    const progress = Math.min(elapsed / EXPLOSION_DURATION, 1);
+    const alpha = 1 - progress;
+
+    if (settings.reducedMotion) {
+      // No flash: a steady ring at the blast radius that empties as it fades
+      ctx.save();
+      ctx.strokeStyle = "rgba(255, 180, 80, 0.8)";
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.arc(
+        explosion.x,
+        explosion.y,
+        explosion.radius,
+        -Math.PI / 2,
+        -Math.PI / 2 + Math.PI * 2 * alpha
+      );
+      ctx.stroke();
+      ctx.restore();
+      continue;
     }
-  }
 
-  lastAttackTime = 0;
-  ATTACK_DELAY = 1000; // ms (Zombie attacks every 1 second)
+    const radius = explosion.radius * (0.2 + 0.8 * progress);
 
-  attackPlayer() {
-    const now = Date.now();
-    if (now - this.lastAttackTime > this.ATTACK_DELAY) {
-      player.health -= ZOMBIE_DAMAGE;
-      this.lastAttackTime = now;
-      if (player.health <= 0) {
-        gameOver();
+    const gradient = ctx.createRadialGradient(
+      explosion.x,
+      explosion.y,
+      radius * 0.2,
+      explosion.x,
+      explosion.y,
+      radius
+    );
+    gradient.addColorStop(0, `rgba(255, 240, 200, ${alpha})`);
+    gradient.addColorStop(0.4, `rgba(255, 180, 80, ${alpha * 0.9})`);
+    gradient.addColorStop(1, `rgba(255, 80, 40, 0)`);
+
+    ctx.save();
+    ctx.fillStyle = gradient;
+    ctx.beginPath();
+    ctx.arc(explosion.x, explosion.y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+  }
+}
+
+/**
+ * Ensures no item type exceeds the per-type cap by removing oldest extras.
+ */
+function enforceItemCap() {
+  for (let t = 0; t < ITEM_TYPES.length; t++) {
+    const type = ITEM_TYPES[t];
+    let excess = countItemsByType(type) - MAX_ITEMS_PER_TYPE;
+    while (excess > 0) {
+      // Remove oldest items first
+      let oldestIndex = -1;
+      for (let i = 0; i < items.length; i++) {
+        if (
+          items[i].type === type &&
+          (oldestIndex === -1 ||
+            items[i].creationTime < items[oldestIndex].creationTime)
+        ) {
+          oldestIndex = i;
+        }
       }
+      swapRemove(items, oldestIndex);
+      excess--;
     }
   }
 }
 
+// --- Game Object Classes ---
+
 /**
- * Item Class (Power-ups) - New Class
+ * Player Class (The Hero)
  */
-class Item {
-  constructor(x, y, size, type) {
+class Player {
+  constructor(x, y, size, index = 0) {
+    this.index = index; // 0 = player 1, 1 = player 2 (co-op)
     this.x = x;
     this.y = y;
+    this.prevX = x;
+    this.prevY = y;
     this.size = size;
-    this.type = type; // e.g., 'triple_shot', 'health_pack', 'damage_boost'
-    this.creationTime = Date.now(); // Timestamp for item expiry
-  }
-
-  draw() {
-    const now = Date.now();
-    const elapsedTime = now - this.creationTime;
-    const remainingTime = ITEM_LIFETIME - elapsedTime;
-
-    let showItem = true;
-
-    // Flicker warning logic
-    if (remainingTime < WARNING_TIME) {
-      // Flicker period is 200ms (on for 100ms, off for 100ms)
-      const flickerInterval = 200;
-      if (Math.floor(now / 100) % 2 === 0) {
-        // Hide item half the time during warning period
-        showItem = false;
-      } else {
-        showItem = true;
-      }
-    }
+    this.health = balance.maxHealth;
 
-    if (!showItem) return; // Skip drawing if hidden by flicker
+    // Weapon/Upgrade State
+    this.weapon = STARTING_WEAPON; // Key into WEAPON_TYPES
+    this.ammo = {}; // Rounds left in each weapon's magazine
+    WEAPON_ORDER.forEach((type) => {
+      this.ammo[type] = WEAPON_TYPES[type].magazine;
+    });
+    this.reloadEndTime = 0; // gameTime the current reload finishes, 0 = not reloading
+    this.lastShotTime = -Infinity;
+    this.tripleShotEndTime = 0;
+    this.damageBoostEndTime = 0;
+    this.currentShotDelay = WEAPON_TYPES[STARTING_WEAPON].fireDelay; // ms
+    this.bulletDamageMultiplier = 1; // Default damage multiplier is 1
+    this.missiles = 0; // Bomb missiles in stock
+    this.aimAngle = 0; // Radians, updated from this player's input every tick
+    this.downed = false; // At 0 health, waiting for a teammate (see updateRevives)
+    this.downedTime = 0; // gameTime this player went down (plays the death animation)
+    this.reviveProgress = 0; // ms a teammate has stood next to this downed player
+    this.spriteKey = index === 0 ? "player" : "player2"; // See assets/manifest.js
+  }
 
+  draw(alpha) {
+    const x = lerp(this.prevX, this.x, alpha);
+    const y = lerp(this.prevY, this.y, alpha);
+    // The local player follows the live cursor between ticks
+    const angle =
+      this.index === localPlayerIndex ? Math.atan2(mouse.y - y, mouse.x - x) : this.aimAngle;
     ctx.save();
-    ctx.strokeStyle = "#ffffff";
-    ctx.lineWidth = 2;
 
-    if (this.type === "triple_shot") {
-      // Triple Shot: Green Arrow
-      ctx.fillStyle = "#3DDC84";
+    // Player Body: sprite sheet if the art loaded, else a circle (greyed out while downed)
+    const animation = this.getAnimation();
+    if (!drawSprite(this.spriteKey, animation, this.getAnimationTime(), x, y, angle, this.size)) {
+      ctx.fillStyle = this.index === 0 ? palette.player : palette.player2;
+      if (this.downed) ctx.globalAlpha = 0.4;
       ctx.beginPath();
-      ctx.moveTo(this.x, this.y - this.size / 2); // Top center
-      ctx.lineTo(this.x + this.size / 2, this.y + this.size / 2); // Bottom right
-      ctx.lineTo(this.x - this.size / 2, this.y + this.size / 2); // Bottom left
-      ctx.closePath();
+      ctx.arc(x, y, this.size / 2, 0, Math.PI * 2);
       ctx.fill();
+      ctx.globalAlpha = 1;
+    } else {
+      ctx.beginPath();
+      ctx.arc(x, y, this.size / 2, 0, Math.PI * 2); // Outline path for high contrast
+    }
+    if (settings.highContrast) {
+      ctx.strokeStyle = HIGH_CONTRAST_OUTLINE;
+      ctx.lineWidth = 3;
       ctx.stroke();
-    } else if (this.type === "health_pack") {
-      // Health Pack: Red Cross
-      const red = "#ff0000";
-      const white = "#ffffff";
+    }
 
-      // Draw a red square background
-      ctx.fillStyle = red;
-      ctx.fillRect(
-        this.x - this.size / 2,
-        this.y - this.size / 2,
-        this.size,
-        this.size
+    if (players.length > 1) {
+      // Co-op: label each player so they don't rely on colour alone
+      ctx.fillStyle = "#ffffff";
+      ctx.font = getHudFont("bold", 12);
+      ctx.textAlign = "center";
+      ctx.fillText(`P${this.index + 1}`, x, y - this.size / 2 - 8);
+    }
+
+    if (this.downed) {
+      // Revive meter fills clockwise around the downed player
+      ctx.strokeStyle = "rgba(255, 255, 255, 0.3)";
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.arc(x, y, REVIVE_RADIUS, 0, Math.PI * 2);
+      ctx.stroke();
+      if (this.reviveProgress > 0) {
+        ctx.strokeStyle = palette.healthBar;
+        ctx.beginPath();
+        ctx.arc(
+          x,
+          y,
+          REVIVE_RADIUS,
+          -Math.PI / 2,
+          -Math.PI / 2 + (this.reviveProgress / balance.reviveTime) * Math.PI * 2
+        );
+        ctx.stroke();
+      }
+      ctx.restore();
+      return;
+    }
+
+    // Draw the weapon/direction line
+    ctx.strokeStyle = "#ffffff";
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(
+      x + Math.cos(angle) * (this.size / 2 + 10),
+      y + Math.sin(angle) * (this.size / 2 + 10)
+    );
+    ctx.stroke();
+
+    ctx.restore();
+  }
+
+  /**
+   * Sprite animation for the current state: death while downed, attack just after
+   * a shot, walk while moving, else idle.
+   */
+  getAnimation() {
+    if (this.downed) return "death";
+    if (gameTime - this.lastShotTime < PLAYER_ATTACK_ANIMATION_TIME) return "attack";
+    if (this.x !== this.prevX || this.y !== this.prevY) return "walk";
+    return "idle";
+  }
+
+  getAnimationTime() {
+    if (this.downed) return gameTime - this.downedTime;
+    if (gameTime - this.lastShotTime < PLAYER_ATTACK_ANIMATION_TIME) {
+      return gameTime - this.lastShotTime;
+    }
+    return gameTime;
+  }
+
+  update(dt) {
+    this.prevX = this.x;
+    this.prevY = this.y;
+    if (this.downed) return; // Can't move or shoot until revived
+
+    const input = readPlayerInput(this);
+    this.move(input.moveX, input.moveY, dt);
+
+    const now = gameTime;
+    // Update active upgrade effects (supports stacking)
+    const tripleActive = this.tripleShotEndTime > now;
+    const damageBoostActive = this.damageBoostEndTime > now;
+
+    const fireDelay = WEAPON_TYPES[this.weapon].fireDelay;
+    this.currentShotDelay = tripleActive
+      ? fireDelay * TRIPLE_SHOT_DELAY_MULTIPLIER
+      : fireDelay;
+    this.bulletDamageMultiplier = damageBoostActive
+      ? balance.damageBoostMultiplier
+      : 1;
+
+    if (this.reloadEndTime > 0 && now >= this.reloadEndTime) {
+      this.ammo[this.weapon] = WEAPON_TYPES[this.weapon].magazine;
+      this.reloadEndTime = 0;
+    }
+
+    this.aimAngle = input.aimAngle;
+    if (input.firing) {
+      this.shoot();
+    }
+  }
+
+  /**
+   * Moves along an input direction (-1..1 per axis) for one tick, then keeps the
+   * player in the world and out of obstacles. Online guests replay it to predict.
+   */
+  move(moveX, moveY, dt) {
+    let dx = moveX * balance.playerSpeed;
+    let dy = moveY * balance.playerSpeed;
+
+    // Cap the speed (diagonals); analog sticks below full tilt stay slower
+    const magnitude = Math.sqrt(dx * dx + dy * dy);
+    if (magnitude > balance.playerSpeed) {
+      dx = (dx / magnitude) * balance.playerSpeed;
+      dy = (dy / magnitude) * balance.playerSpeed;
+    }
+
+    this.x += dx * dt;
+    this.y += dy * dt;
+
+    // Keep player within the world and out of obstacles
+    resolveObstacleCollisions(this);
+    this.x = clamp(this.x, this.size / 2, WORLD_WIDTH - this.size / 2);
+    this.y = clamp(this.y, this.size / 2, WORLD_HEIGHT - this.size / 2);
+  }
+
+  /**
+   * Applies a weapon upgrade or collects an item.
+   */
+  applyUpgrade(type) {
+    if (type === "health_pack") {
+      this.health = Math.min(balance.maxHealth, this.health + balance.healthPackAmount);
+      // Health pack is instantaneous, no timed duration
+    } else if (type === "triple_shot") {
+      // --- Weapon Upgrades (Timed) --- (allow stacking)
+      this.tripleShotEndTime = gameTime + balance.upgradeDuration;
+    } else if (type === "damage_boost") {
+      this.damageBoostEndTime = gameTime + balance.upgradeDuration;
+    } else if (type === "bomb") {
+      // Store bomb for manual use
+      this.missiles = Math.min(balance.maxMissileStock, this.missiles + 1);
+    }
+
+    const event = GAME_EVENTS.itemCollected;
+    event.player = this;
+    event.type = type;
+    emitGameEvent("itemCollected");
+  }
+
+  /**
+   * Fires a bomb missile toward the current aim if available.
+   */
+  fireBombMissile() {
+    if (this.downed) return;
+    if (this.missiles <= 0) {
+      playSfx("emptyClick", this.x, this.y);
+      return;
+    }
+    const angle = this.aimAngle;
+    missiles.push(
+      entityPools.missiles.acquire().init(
+        this.x + Math.cos(angle) * (this.size / 2 + 5),
+        this.y + Math.sin(angle) * (this.size / 2 + 5),
+        BOMB_MISSILE_SIZE,
+        angle
+      )
+    );
+    this.missiles -= 1;
+    playSfx("shot", this.x, this.y);
+
+    GAME_EVENTS.missileFired.player = this;
+    emitGameEvent("missileFired");
+  }
+
+  /**
+   * Switches to another weapon (a WEAPON_TYPES key). Cancels a reload in progress;
+   * each weapon keeps its own magazine.
+   */
+  switchWeapon(type) {
+    if (type === this.weapon || !WEAPON_TYPES[type]) return;
+    this.weapon = type;
+    this.reloadEndTime = 0;
+  }
+
+  /**
+   * Steps through WEAPON_ORDER (direction 1 = next, -1 = previous), wrapping around.
+   */
+  cycleWeapon(direction) {
+    const count = WEAPON_ORDER.length;
+    const index = WEAPON_ORDER.indexOf(this.weapon);
+    this.switchWeapon(WEAPON_ORDER[(index + direction + count) % count]);
+  }
+
+  /**
+   * Starts reloading the current weapon unless it's full or already reloading.
+   */
+  reload() {
+    const weapon = WEAPON_TYPES[this.weapon];
+    if (this.reloadEndTime > 0 || this.ammo[this.weapon] >= weapon.magazine) return;
+    this.reloadEndTime = gameTime + weapon.reloadTime;
+  }
+
+  /**
+   * Fires one volley of the current weapon's pellets around `angle`.
+   */
+  _fireVolley(weapon, angle) {
+    for (let i = 0; i < weapon.pellets; i++) {
+      const pelletAngle = angle + (Math.random() - 0.5) * weapon.spread;
+      bullets.push(
+        entityPools.bullets.acquire().init(
+          this.x + Math.cos(pelletAngle) * (this.size / 2 + 5),
+          this.y + Math.sin(pelletAngle) * (this.size / 2 + 5),
+          weapon.size,
+          pelletAngle,
+          weapon,
+          this.bulletDamageMultiplier
+        )
       );
+    }
+  }
 
-      // Draw a white cross
-      ctx.fillStyle = white;
-      const crossWidth = this.size * 0.2;
-      const crossLength = this.size * 0.7;
+  shoot() {
+    const now = gameTime;
+    if (this.reloadEndTime > 0) return;
+    if (now - this.lastShotTime > this.currentShotDelay) {
+      if (this.ammo[this.weapon] <= 0) {
+        this.reload(); // Dry fire starts a reload
+        return;
+      }
+      const weapon = WEAPON_TYPES[this.weapon];
+      const angle = this.aimAngle;
+
+      this._fireVolley(weapon, angle);
+      if (!weapon.flame) {
+        const muzzle = this.size / 2 + 5;
+        const muzzleX = this.x + Math.cos(angle) * muzzle;
+        emitMuzzleFlash(muzzleX, this.y + Math.sin(angle) * muzzle, angle);
+      }
+      if (this.tripleShotEndTime > now) {
+        // Triple shot: two extra volleys to the sides (same ammo cost)
+        this._fireVolley(weapon, angle - TRIPLE_SHOT_SPREAD);
+        this._fireVolley(weapon, angle + TRIPLE_SHOT_SPREAD);
+      }
+      this.ammo[this.weapon] -= 1;
+      if (this.ammo[this.weapon] === 0) this.reload();
 
-      // Vertical bar
-      ctx.fillRect(
-        this.x - crossWidth / 2,
-        this.y - crossLength / 2,
-        crossWidth,
-        crossLength
+      playSfx("shot", this.x, this.y); // Rapid fire is thinned out by the shot voices
+      this.lastShotTime = now;
+    }
+  }
+}
+
+/**
+ * Bullet Class
+ */
+class Bullet {
+  constructor(
+    x = 0,
+    y = 0,
+    size = BULLET_SIZE,
+    angle = 0,
+    weapon = WEAPON_TYPES[STARTING_WEAPON]
+  ) {
+    this.hitZombies = []; // Zombies already pierced, so they aren't hit twice
+    this.init(x, y, size, angle, weapon);
+  }
+
+  /**
+   * (Re)initializes the bullet; used by the constructor and when recycled from the pool.
+   */
+  init(x, y, size, angle, weapon, damageMultiplier = 1) {
+    this.x = x;
+    this.y = y;
+    this.prevX = x;
+    this.prevY = y;
+    this.size = size;
+    this.vx = Math.cos(angle) * weapon.speed;
+    this.vy = Math.sin(angle) * weapon.speed;
+    this.weapon = weapon;
+    this.color = weapon.color;
+    this.damage = weapon.damage * damageMultiplier; // Damage boost is locked in when fired
+    this.knockback = weapon.knockback;
+    this.pierceLeft = weapon.pierce;
+    this.range = weapon.range;
+    this.traveled = 0;
+    this.isFlame = weapon.flame === true;
+    this.hitZombies.length = 0;
+    return this;
+  }
+
+  draw(alpha) {
+    if (this.isFlame) {
+      // Flame puffs swell and fade out over their range
+      const life = this.traveled / this.range;
+      ctx.save();
+      ctx.globalAlpha = Math.max(0, 0.8 * (1 - life));
+      ctx.fillStyle = life < 0.3 ? "#ffd54f" : this.color;
+      ctx.beginPath();
+      ctx.arc(
+        lerp(this.prevX, this.x, alpha),
+        lerp(this.prevY, this.y, alpha),
+        (this.size / 2) * (1 + life * 2),
+        0,
+        Math.PI * 2
       );
-      // Horizontal bar
-      ctx.fillRect(
-        this.x - crossLength / 2,
-        this.y - crossWidth / 2,
-        crossLength,
-        crossWidth
+      ctx.fill();
+      ctx.restore();
+      return;
+    }
+    ctx.fillStyle = this.color;
+    ctx.beginPath();
+    ctx.arc(
+      lerp(this.prevX, this.x, alpha),
+      lerp(this.prevY, this.y, alpha),
+      this.size / 2,
+      0,
+      Math.PI * 2
+    );
+    ctx.fill();
+  }
+
+  update(dt) {
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.x += this.vx * dt;
+    this.y += this.vy * dt;
+    this.traveled += Math.hypot(this.vx, this.vy) * dt;
+  }
+
+  /**
+   * Bullets despawn once they run out of range, hit an obstacle, leave the world
+   * or fly well past the viewport.
+   */
+  isOutOfBounds() {
+    return (
+      this.traveled >= this.range ||
+      isOutsideWorld(this.x, this.y) ||
+      isOutsidePlayerViews(this.x, this.y, VIEW_CULL_MARGIN) ||
+      isCircleBlocked(this.x, this.y, this.size / 2)
+    );
+  }
+}
+
+/**
+ * Bomb Missile Class
+ */
+class Missile {
+  constructor(x = 0, y = 0, size = BOMB_MISSILE_SIZE, angle = 0) {
+    this.init(x, y, size, angle);
+  }
+
+  init(x, y, size, angle) {
+    this.x = x;
+    this.y = y;
+    this.prevX = x;
+    this.prevY = y;
+    this.size = size;
+    this.vx = Math.cos(angle) * BOMB_MISSILE_SPEED;
+    this.vy = Math.sin(angle) * BOMB_MISSILE_SPEED;
+    this.color = "#ff9800";
+    return this;
+  }
+
+  draw(alpha) {
+    ctx.fillStyle = this.color;
+    ctx.beginPath();
+    ctx.arc(
+      lerp(this.prevX, this.x, alpha),
+      lerp(this.prevY, this.y, alpha),
+      this.size / 2,
+      0,
+      Math.PI * 2
+    );
+    ctx.fill();
+  }
+
+  update(dt) {
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.x += this.vx * dt;
+    this.y += this.vy * dt;
+  }
+
+  isOutOfBounds() {
+    return (
+      isOutsideWorld(this.x, this.y, this.size) ||
+      isOutsidePlayerViews(this.x, this.y, VIEW_CULL_MARGIN) ||
+      isCircleBlocked(this.x, this.y, this.size / 2)
+    );
+  }
+}
+
+/**
+ * Zombie Class (The Enemy)
+ */
+class Zombie {
+  constructor(x = 0, y = 0, type = "walker", healthScale = 1) {
+    this.init(x, y, type, healthScale);
+  }
+
+  init(x, y, type, healthScale) {
+    const archetype = ZOMBIE_TYPES[type];
+    this.x = x;
+    this.y = y;
+    this.prevX = x;
+    this.prevY = y;
+    this.type = type;
+    this.archetype = archetype;
+    this.spriteKey = "zombie." + type; // See assets/manifest.js
+    this.size = archetype.size;
+    this.color = archetype.color;
+    this.speed = archetype.speed * balance.zombieSpeed;
+    this.damage = archetype.damage;
+    this.attackDelay = archetype.attackDelay;
+    this.knockbackResistance = archetype.knockbackResistance;
+    this.scoreValue = archetype.score;
+    this.initialHealth = Math.max(
+      1,
+      Math.round(archetype.health * healthScale * balance.zombieHealth)
+    );
+    this.health = this.initialHealth;
+    this.isDead = false;
+    this.lastAttackTime = -Infinity;
+    this.strafeDirection = Math.random() < 0.5 ? -1 : 1; // Spitters circle either way
+    this.flankOffset = (Math.random() * 2 - 1) * CROWD_FLANK_ANGLE; // Side this one approaches from
+    this.wanderPhase = Math.random() * Math.PI * 2;
+    this.target = null; // Player being chased, picked every tick in update()
+    this.id = nextZombieId++;
+    return this;
+  }
+
+  draw(alpha) {
+    const x = lerp(this.prevX, this.x, alpha);
+    const y = lerp(this.prevY, this.y, alpha);
+    const half = this.size / 2;
+    ctx.save();
+
+    // Sprite sheet if the art loaded (attack frames right after a hit), else built-in shapes
+    const attackTime = gameTime - this.lastAttackTime;
+    const attacking = attackTime < getSpriteAnimationDuration(this.spriteKey, "attack");
+    const drawn = drawSprite(
+      this.spriteKey,
+      attacking ? "attack" : "walk",
+      attacking ? attackTime : gameTime + this.wanderPhase * 1000, // Out of step with the crowd
+      x,
+      y,
+      this.getFacing(x, y),
+      this.size
+    );
+    if (!drawn) this.drawShape(x, y, half);
+
+    // Draw health bar
+    const healthBarWidth = this.size;
+    const healthBarHeight = 3;
+    const currentHealthRatio = Math.max(0, this.health / this.initialHealth);
+
+    // Background
+    ctx.fillStyle = palette.healthBarBack;
+    ctx.fillRect(
+      x - healthBarWidth / 2,
+      y - half - healthBarHeight - 2,
+      healthBarWidth,
+      healthBarHeight
+    );
+
+    // Foreground
+    ctx.fillStyle = palette.healthBar;
+    ctx.fillRect(
+      x - healthBarWidth / 2,
+      y - half - healthBarHeight - 2,
+      healthBarWidth * currentHealthRatio,
+      healthBarHeight
+    );
+
+    ctx.restore();
+  }
+
+  /**
+   * Angle towards the player being chased (or player 1 before the first update).
+   */
+  getFacing(x = this.x, y = this.y) {
+    const target = this.target || players[0];
+    return Math.atan2(target.y - y, target.x - x);
+  }
+
+  /**
+   * Built-in zombie body (shape depends on archetype), used without sprite art.
+   */
+  drawShape(x, y, half) {
+    ctx.fillStyle = palette.zombies[this.type] || this.color;
+    ctx.beginPath();
+    if (this.archetype.shape === "triangle") {
+      // Runner: arrowhead pointing at its target
+      const angle = this.getFacing(x, y);
+      ctx.moveTo(x + Math.cos(angle) * half, y + Math.sin(angle) * half);
+      ctx.lineTo(
+        x + Math.cos(angle + 2.4) * half,
+        y + Math.sin(angle + 2.4) * half
+      );
+      ctx.lineTo(
+        x + Math.cos(angle - 2.4) * half,
+        y + Math.sin(angle - 2.4) * half
       );
+    } else if (this.archetype.shape === "octagon") {
+      for (let i = 0; i < 8; i++) {
+        const a = Math.PI / 8 + (i * Math.PI) / 4;
+        ctx.lineTo(x + Math.cos(a) * half, y + Math.sin(a) * half);
+      }
+    } else if (this.archetype.shape === "circle") {
+      ctx.arc(x, y, half, 0, Math.PI * 2);
+    } else if (this.archetype.shape === "diamond") {
+      ctx.moveTo(x, y - half);
+      ctx.lineTo(x + half, y);
+      ctx.lineTo(x, y + half);
+      ctx.lineTo(x - half, y);
+    } else {
+      // Square for a more menacing look
+      ctx.rect(x - half, y - half, this.size, this.size);
+    }
+    ctx.closePath();
+    ctx.fill();
+    if (settings.highContrast) {
+      ctx.strokeStyle = HIGH_CONTRAST_OUTLINE;
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    }
+
+    if (this.archetype.behavior === "exploder") {
+      // Pulsing core so exploders stand out from the crowd (steady with reduced motion)
+      const pulse = settings.reducedMotion ? 0 : 0.1 * Math.sin(gameTime / 120);
+      ctx.fillStyle = "rgba(255, 60, 0, 0.8)";
+      ctx.beginPath();
+      ctx.arc(x, y, half * (0.35 + pulse), 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  update(dt) {
+    this.prevX = this.x;
+    this.prevY = this.y;
+
+    // Chase the nearest player still standing
+    const target = getNearestLivingPlayer(this.x, this.y);
+    if (!target) return; // Everyone is down; the run is over
+    this.target = target;
+    const angle = Math.atan2(target.y - this.y, target.x - this.x);
+    const distanceToPlayer = dist(this.x, this.y, target.x, target.y);
+
+    let moveAngle;
+    if (this.archetype.behavior === "ranged") {
+      moveAngle = this._updateRanged(angle, distanceToPlayer);
+    } else {
+      // Pathfinding: follow the flow field around obstacles
+      moveAngle = getPathAngle(this.x, this.y, target);
+      if (distanceToPlayer < CROWD_FLANK_DISTANCE) {
+        // Fan out to the sides on approach, converging again at close range
+        moveAngle += this.flankOffset * (distanceToPlayer / CROWD_FLANK_DISTANCE);
+      }
+    }
+
+    this.wanderPhase += CROWD_JITTER_RATE * dt;
+    moveAngle += Math.sin(this.wanderPhase) * CROWD_JITTER;
+    this._steer(dt, moveAngle);
+    resolveObstacleCollisions(this);
+  }
+
+  /**
+   * Moves along `moveAngle` blended with a push away from nearby zombies.
+   * Neighbours come from the collision grid built at the start of the tick.
+   */
+  _steer(dt, moveAngle) {
+    let vx = Math.cos(moveAngle);
+    let vy = Math.sin(moveAngle);
+
+    collisionGrid.query(
+      LAYER_ZOMBIES,
+      this.x,
+      this.y,
+      this.size / 2 + CROWD_PERSONAL_SPACE,
+      crowdNeighbors
+    );
+    let pushX = 0;
+    let pushY = 0;
+    for (let i = 0; i < crowdNeighbors.length; i++) {
+      const other = crowdNeighbors[i];
+      if (other === this || other.isDead) continue;
+      const dx = this.x - other.x;
+      const dy = this.y - other.y;
+      const spacing = (this.size + other.size) / 2 + CROWD_PERSONAL_SPACE;
+      const distanceSq = dx * dx + dy * dy;
+      if (distanceSq >= spacing * spacing) continue;
+      const distance = Math.sqrt(distanceSq);
+      if (distance === 0) {
+        // Exactly on top of each other: split using the wander phase
+        pushX += Math.cos(this.wanderPhase);
+        pushY += Math.sin(this.wanderPhase);
+        continue;
+      }
+      const strength = (spacing - distance) / spacing; // 0 at the edge, 1 when fully stacked
+      pushX += (dx / distance) * strength;
+      pushY += (dy / distance) * strength;
+    }
+    vx += pushX * CROWD_SEPARATION_WEIGHT;
+    vy += pushY * CROWD_SEPARATION_WEIGHT;
+
+    // Never faster than the archetype speed; slower is fine when boxed in
+    const magnitude = Math.sqrt(vx * vx + vy * vy);
+    if (magnitude > 1) {
+      vx /= magnitude;
+      vy /= magnitude;
+    }
+    this.x += vx * this.speed * dt;
+    this.y += vy * this.speed * dt;
+  }
+
+  /**
+   * Called by the collision pass when this zombie is touching `target` (a player).
+   */
+  onPlayerContact(target) {
+    if (this.archetype.behavior === "exploder") {
+      // Detonate on contact; the blast does the damage, no score or drop
+      this.isDead = true;
+      explodeZombie(this);
+    } else {
+      this.attackPlayer(target);
+    }
+  }
+
+  /**
+   * Spitter behavior: hold position around preferredRange, circling the player,
+   * and spit when in range. Returns the heading to move along.
+   */
+  _updateRanged(angle, distanceToPlayer) {
+    const { preferredRange, attackRange } = this.archetype;
+    const band = 30; // Dead zone around the preferred range
+
+    let moveAngle;
+    if (distanceToPlayer > preferredRange + band) {
+      moveAngle = getPathAngle(this.x, this.y, this.target); // Close in (around obstacles)
+    } else if (distanceToPlayer < preferredRange - band) {
+      moveAngle = angle + Math.PI; // Back off
+    } else {
+      moveAngle = angle + (Math.PI / 2) * this.strafeDirection; // Circle
+    }
+
+    const now = gameTime;
+    if (
+      distanceToPlayer <= attackRange &&
+      now - this.lastAttackTime > this.attackDelay
+    ) {
+      spitProjectiles.push(
+        entityPools.spitProjectiles.acquire().init(
+          this.x + Math.cos(angle) * (this.size / 2 + 4),
+          this.y + Math.sin(angle) * (this.size / 2 + 4),
+          angle,
+          this.damage
+        )
+      );
+      this.lastAttackTime = now;
+    }
+    return moveAngle;
+  }
+
+  attackPlayer(target) {
+    const now = gameTime;
+    if (now - this.lastAttackTime > this.attackDelay) {
+      this.lastAttackTime = now;
+      damagePlayer(target, this.damage);
+    }
+  }
+}
+
+/**
+ * Spitter Projectile Class (slow, dodgeable enemy shot)
+ */
+class SpitProjectile {
+  constructor(x = 0, y = 0, angle = 0, damage = 0) {
+    this.init(x, y, angle, damage);
+  }
+
+  init(x, y, angle, damage) {
+    this.x = x;
+    this.y = y;
+    this.prevX = x;
+    this.prevY = y;
+    this.size = SPIT_SIZE;
+    this.vx = Math.cos(angle) * SPIT_SPEED;
+    this.vy = Math.sin(angle) * SPIT_SPEED;
+    this.damage = damage;
+    this.color = "#b6ff3b";
+    return this;
+  }
+
+  draw(alpha) {
+    const x = lerp(this.prevX, this.x, alpha);
+    const y = lerp(this.prevY, this.y, alpha);
+    ctx.save();
+    ctx.fillStyle = this.color;
+    ctx.strokeStyle = "#3f6e00";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(x, y, this.size / 2, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  update(dt) {
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.x += this.vx * dt;
+    this.y += this.vy * dt;
+  }
+
+  isOutOfBounds() {
+    return (
+      isOutsideWorld(this.x, this.y, this.size) ||
+      isOutsidePlayerViews(this.x, this.y, VIEW_CULL_MARGIN) ||
+      isCircleBlocked(this.x, this.y, this.size / 2)
+    );
+  }
+}
+
+/**
+ * Item Class (Power-ups) - New Class
+ */
+class Item {
+  constructor(x, y, size, type) {
+    this.x = x;
+    this.y = y;
+    this.size = size;
+    this.type = type; // e.g., 'triple_shot', 'health_pack', 'damage_boost'
+    this.spriteKey = "item." + type; // See assets/manifest.js
+    this.creationTime = gameTime; // Game-clock timestamp for item expiry
+  }
+
+  draw() {
+    const now = gameTime;
+    const elapsedTime = now - this.creationTime;
+    const remainingTime = balance.itemLifetime - elapsedTime;
+
+    let showItem = true;
+    const expiring = remainingTime < WARNING_TIME;
+
+    // Flicker warning logic (reduced motion shows a countdown ring instead, below)
+    if (expiring && !settings.reducedMotion) {
+      // Flicker period is 200ms (on for 100ms, off for 100ms)
+      const flickerInterval = 200;
+      if (Math.floor(now / 100) % 2 === 0) {
+        // Hide item half the time during warning period
+        showItem = false;
+      } else {
+        showItem = true;
+      }
+    }
+
+    if (!showItem) return; // Skip drawing if hidden by flicker
+
+    ctx.save();
+    ctx.strokeStyle = "#ffffff";
+    ctx.lineWidth = 2;
+    const color = palette.items[this.type];
+
+    // Each type has its own shape plus an inner pattern, so none relies on colour alone
+    if (drawSprite(this.spriteKey, "idle", elapsedTime, this.x, this.y, 0, this.size)) {
+      // Sprite art replaces the built-in shape
+    } else if (this.type === "triple_shot") {
+      // Triple Shot: Green Arrow with three stripes
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.moveTo(this.x, this.y - this.size / 2); // Top center
+      ctx.lineTo(this.x + this.size / 2, this.y + this.size / 2); // Bottom right
+      ctx.lineTo(this.x - this.size / 2, this.y + this.size / 2); // Bottom left
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+      ctx.fillStyle = ITEM_PATTERN_COLOR;
+      const stripeWidth = this.size * 0.08;
+      for (let i = -1; i <= 1; i++) {
+        ctx.fillRect(
+          this.x + i * this.size * 0.18 - stripeWidth / 2,
+          this.y,
+          stripeWidth,
+          this.size * 0.4
+        );
+      }
+    } else if (this.type === "health_pack") {
+      // Health Pack: Red Cross
+      const white = "#ffffff";
+
+      // Draw a red square background
+      ctx.fillStyle = color;
+      ctx.fillRect(
+        this.x - this.size / 2,
+        this.y - this.size / 2,
+        this.size,
+        this.size
+      );
+
+      // Draw a white cross
+      ctx.fillStyle = white;
+      const crossWidth = this.size * 0.2;
+      const crossLength = this.size * 0.7;
+
+      // Vertical bar
+      ctx.fillRect(
+        this.x - crossWidth / 2,
+        this.y - crossLength / 2,
+        crossWidth,
+        crossLength
+      );
+      // Horizontal bar
+      ctx.fillRect(
+        this.x - crossLength / 2,
+        this.y - crossWidth / 2,
+        crossLength,
+        crossWidth
+      );
+
+      // Draw border
+      ctx.strokeStyle = white;
+      ctx.strokeRect(
+        this.x - this.size / 2,
+        this.y - this.size / 2,
+        this.size,
+        this.size
+      );
+    } else if (this.type === "damage_boost") {
+      // NEW: Yellow Star for Damage Boost, with a dot in the middle
+      ctx.fillStyle = color; // Gold/Yellow
+      ctx.beginPath();
+
+      // Simple 5-pointed star approximation
+      const outerRadius = this.size / 2;
+      const innerRadius = this.size / 4;
+
+      for (let i = 0; i < 5; i++) {
+        let outerAngle = Math.PI / 2 - i * ((2 * Math.PI) / 5);
+        let innerAngle = outerAngle + Math.PI / 5;
+
+        ctx.lineTo(
+          this.x + outerRadius * Math.cos(outerAngle),
+          this.y - outerRadius * Math.sin(outerAngle)
+        );
+        ctx.lineTo(
+          this.x + innerRadius * Math.cos(innerAngle),
+          this.y - innerRadius * Math.sin(innerAngle)
+        );
+      }
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+      ctx.fillStyle = ITEM_PATTERN_COLOR;
+      ctx.beginPath();
+      ctx.arc(this.x, this.y, this.size * 0.1, 0, Math.PI * 2);
+      ctx.fill();
+    } else if (this.type === "bomb") {
+      // Bomb (missile pickup): red missile icon with a band around the body
+      ctx.save();
+      const bodyLength = this.size * 1.4;
+      const bodyWidth = this.size * 0.4;
+      ctx.fillStyle = color;
+      ctx.strokeStyle = "#ffffff";
+      ctx.lineWidth = 2;
+      // Body
+      ctx.beginPath();
+      ctx.roundRect(
+        this.x - bodyLength / 2,
+        this.y - bodyWidth / 2,
+        bodyLength,
+        bodyWidth,
+        bodyWidth / 2
+      );
+      ctx.fill();
+      ctx.stroke();
+      // Nose
+      ctx.beginPath();
+      ctx.moveTo(this.x + bodyLength / 2, this.y - bodyWidth / 2);
+      ctx.lineTo(this.x + bodyLength / 2 + bodyWidth, this.y);
+      ctx.lineTo(this.x + bodyLength / 2, this.y + bodyWidth / 2);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+      // Tail fins
+      ctx.beginPath();
+      ctx.moveTo(this.x - bodyLength / 2, this.y - bodyWidth / 2);
+      ctx.lineTo(this.x - bodyLength / 2 - bodyWidth * 0.6, this.y - bodyWidth);
+      ctx.lineTo(this.x - bodyLength / 2, this.y);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.moveTo(this.x - bodyLength / 2, this.y + bodyWidth / 2);
+      ctx.lineTo(this.x - bodyLength / 2 - bodyWidth * 0.6, this.y + bodyWidth);
+      ctx.lineTo(this.x - bodyLength / 2, this.y);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+      // Band
+      ctx.fillStyle = ITEM_PATTERN_COLOR;
+      ctx.fillRect(
+        this.x - bodyWidth * 0.3,
+        this.y - bodyWidth / 2,
+        bodyWidth * 0.6,
+        bodyWidth
+      );
+      ctx.restore();
+    }
+
+    if (expiring && settings.reducedMotion) {
+      // Steady ring that empties as the item runs out
+      ctx.strokeStyle = "#ffffff";
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.arc(
+        this.x,
+        this.y,
+        this.size * 0.9,
+        -Math.PI / 2,
+        -Math.PI / 2 + Math.PI * 2 * Math.max(0, remainingTime / WARNING_TIME)
+      );
+      ctx.stroke();
+    }
+
+    ctx.restore();
+  }
+}
+
+/**
+ * Particle Class: one pooled, short-lived visual. `shape` is "dot" (droplets, bursts,
+ * sparkles, floor splatters), "spark" (a streak along its velocity), "flash" (a
+ * shrinking glow) or "text" (damage numbers). It fades out over its last `fadeTime` ms.
+ */
+class Particle {
+  constructor() {
+    this.init("dot", 0, 0, 0, 0, 1, "#ffffff", 1);
+  }
+
+  init(shape, x, y, vx, vy, size, color, lifetime) {
+    this.shape = shape;
+    this.x = x;
+    this.y = y;
+    this.prevX = x;
+    this.prevY = y;
+    this.vx = vx;
+    this.vy = vy;
+    this.size = size;
+    this.color = color;
+    this.startTime = gameTime;
+    this.lifetime = lifetime; // ms
+    this.fadeTime = lifetime; // Fades over its whole life unless set shorter
+    this.drag = PARTICLE_DRAG;
+    this.text = "";
+    return this;
+  }
+
+  draw(alpha) {
+    const remaining = this.lifetime - (gameTime - this.startTime);
+    const x = lerp(this.prevX, this.x, alpha);
+    const y = lerp(this.prevY, this.y, alpha);
+    ctx.globalAlpha = clamp(remaining / this.fadeTime, 0, 1);
+
+    if (this.shape === "spark") {
+      ctx.strokeStyle = this.color;
+      ctx.lineWidth = this.size;
+      ctx.beginPath();
+      ctx.moveTo(x, y);
+      ctx.lineTo(x - this.vx * 0.03, y - this.vy * 0.03);
+      ctx.stroke();
+    } else if (this.shape === "text") {
+      ctx.fillStyle = this.color;
+      ctx.fillText(this.text, x, y);
+    } else {
+      // Dots keep their size; a flash shrinks as it fades
+      const radius = this.shape === "flash" ? (this.size / 2) * ctx.globalAlpha : this.size / 2;
+      ctx.fillStyle = this.color;
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  update(dt) {
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.x += this.vx * dt;
+    this.y += this.vy * dt;
+    const slowdown = Math.max(0, 1 - this.drag * dt);
+    this.vx *= slowdown;
+    this.vy *= slowdown;
+  }
+}
+
+/**
+ * Corpse Class: a dead zombie's death animation, left on the floor for a while.
+ * Only created when the zombie's sprite sheet has a "death" animation.
+ */
+class Corpse {
+  init(spriteKey, x, y, size, facing) {
+    this.spriteKey = spriteKey;
+    this.x = x;
+    this.y = y;
+    this.size = size;
+    this.facing = facing;
+    this.startTime = gameTime;
+    this.lifetime = getSpriteAnimationDuration(spriteKey, "death") + CORPSE_LINGER; // ms
+    return this;
+  }
+
+  draw() {
+    const elapsed = gameTime - this.startTime;
+    ctx.globalAlpha = clamp((this.lifetime - elapsed) / CORPSE_FADE, 0, 1);
+    drawSprite(this.spriteKey, "death", elapsed, this.x, this.y, this.facing, this.size);
+    ctx.globalAlpha = 1;
+  }
+}
+
+// One pool per recycled entity type (see EntityPool / getPoolStats)
+const entityPools = {
+  bullets: new EntityPool(() => new Bullet(), POOL_PREWARM.bullets),
+  missiles: new EntityPool(() => new Missile(), POOL_PREWARM.missiles),
+  zombies: new EntityPool(() => new Zombie(), POOL_PREWARM.zombies),
+  spitProjectiles: new EntityPool(
+    () => new SpitProjectile(),
+    POOL_PREWARM.spitProjectiles
+  ),
+  explosions: new EntityPool(
+    () => ({ x: 0, y: 0, radius: 0, startTime: 0 }),
+    POOL_PREWARM.explosions
+  ),
+  particles: new EntityPool(() => new Particle(), POOL_PREWARM.particles),
+  corpses: new EntityPool(() => new Corpse(), POOL_PREWARM.corpses),
+};
+
+// --- Game Logic ---
+
+/**
+ * Resizes the canvas (the viewport onto the world) to be square and responsive.
+ */
+function resizeCanvas() {
+  // 800px max, 90vw for smaller screens
+  const size = Math.min(window.innerWidth * 0.9, 800);
+  canvas.width = size;
+  canvas.height = size;
+
+  // The world doesn't change size, so the players stay put; just re-center the view
+  if (players.length > 0) {
+    snapCamera();
+  }
+  // Set initial mouse position to the center for aim reference
+  getMousePos({ clientX: canvas.width / 2, clientY: canvas.height / 2 });
+}
+
+// --- Camera ---
+
+/**
+ * Where the camera wants to be: centered on the players (their midpoint in local
+ * co-op, this browser's player online), clamped to the world edges. Written into
+ * the shared `cameraTarget` so the per-tick update doesn't allocate.
+ */
+function updateCameraTarget() {
+  let centerX = 0;
+  let centerY = 0;
+  if (isOnlineGame()) {
+    // Online, everyone has their own screen
+    centerX = getLocalPlayer().x;
+    centerY = getLocalPlayer().y;
+  } else {
+    for (let i = 0; i < players.length; i++) {
+      centerX += players[i].x / players.length;
+      centerY += players[i].y / players.length;
+    }
+  }
+  cameraTarget.x = clamp(
+    centerX - canvas.width / 2,
+    0,
+    Math.max(0, WORLD_WIDTH - canvas.width)
+  );
+  cameraTarget.y = clamp(
+    centerY - canvas.height / 2,
+    0,
+    Math.max(0, WORLD_HEIGHT - canvas.height)
+  );
+}
+
+/**
+ * Local co-op shares one view, so players can't walk further apart than it shows:
+ * each is held within COOP_SCREEN_MARGIN of the edges of a view centered on
+ * their midpoint. Downed players count too, so the team can't leave them behind.
+ */
+function keepPlayersTogether() {
+  if (players.length < 2 || isOnlineGame()) return;
+  let centerX = 0;
+  let centerY = 0;
+  for (let i = 0; i < players.length; i++) {
+    centerX += players[i].x / players.length;
+    centerY += players[i].y / players.length;
+  }
+  const reachX = Math.max(0, canvas.width / 2 - COOP_SCREEN_MARGIN);
+  const reachY = Math.max(0, canvas.height / 2 - COOP_SCREEN_MARGIN);
+  for (let i = 0; i < players.length; i++) {
+    const target = players[i];
+    const x = clamp(target.x, centerX - reachX, centerX + reachX);
+    const y = clamp(target.y, centerY - reachY, centerY + reachY);
+    if (x === target.x && y === target.y) continue;
+    target.x = x;
+    target.y = y;
+    resolveObstacleCollisions(target);
+  }
+}
+
+/**
+ * Eases the camera toward the players. Runs once per fixed tick.
+ */
+function updateCamera(dt) {
+  camera.prevX = camera.x;
+  camera.prevY = camera.y;
+  updateCameraTarget();
+  // Frame-rate independent exponential smoothing
+  const t = 1 - Math.exp(-CAMERA_SMOOTHING * dt);
+  camera.x += (cameraTarget.x - camera.x) * t;
+  camera.y += (cameraTarget.y - camera.y) * t;
+}
+
+/**
+ * Jumps the camera straight to its target (new game, resize).
+ */
+function snapCamera() {
+  updateCameraTarget();
+  camera.x = camera.prevX = cameraTarget.x;
+  camera.y = camera.prevY = cameraTarget.y;
+  updateMouseWorldPosition();
+}
+
+/**
+ * Converts the last known mouse screen position into world coordinates. Needed
+ * every tick because the camera can move while the mouse stays still.
+ */
+function updateMouseWorldPosition() {
+  mouse.x = mouse.screenX + camera.x;
+  mouse.y = mouse.screenY + camera.y;
+}
+
+/**
+ * Draws the floor grid for the visible part of the world, and the world border.
+ */
+function drawGround(viewX, viewY) {
+  ctx.save();
+  ctx.strokeStyle = settings.highContrast
+    ? "rgba(255, 255, 255, 0.25)"
+    : "rgba(255, 255, 255, 0.05)";
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  const startX = Math.max(0, Math.floor(viewX / GROUND_TILE_SIZE) * GROUND_TILE_SIZE);
+  const endX = Math.min(WORLD_WIDTH, viewX + canvas.width);
+  for (let x = startX; x <= endX; x += GROUND_TILE_SIZE) {
+    ctx.moveTo(x, Math.max(0, viewY));
+    ctx.lineTo(x, Math.min(WORLD_HEIGHT, viewY + canvas.height));
+  }
+  const startY = Math.max(0, Math.floor(viewY / GROUND_TILE_SIZE) * GROUND_TILE_SIZE);
+  const endY = Math.min(WORLD_HEIGHT, viewY + canvas.height);
+  for (let y = startY; y <= endY; y += GROUND_TILE_SIZE) {
+    ctx.moveTo(Math.max(0, viewX), y);
+    ctx.lineTo(Math.min(WORLD_WIDTH, viewX + canvas.width), y);
+  }
+  ctx.stroke();
+
+  ctx.strokeStyle = "#e94560";
+  ctx.lineWidth = 4;
+  ctx.strokeRect(0, 0, WORLD_WIDTH, WORLD_HEIGHT);
+  ctx.restore();
+}
+
+/**
+ * Picks a zombie archetype from a { type: weight } table.
+ */
+function pickZombieType(weights) {
+  let totalWeight = 0;
+  for (const type in weights) totalWeight += weights[type];
+
+  let roll = Math.random() * totalWeight;
+  for (const type in weights) {
+    roll -= weights[type];
+    if (roll < 0) return type;
+  }
+  return "walker";
+}
+
+/**
+ * Default archetype weights for a wave, ramped from ZOMBIE_SPAWN_TABLE.
+ */
+function getSpawnWeights(waveNumber) {
+  const progress = Math.min((waveNumber - 1) / (SPAWN_TABLE_RAMP_WAVES - 1), 1);
+  const weights = {};
+  ZOMBIE_SPAWN_TABLE.forEach((entry) => {
+    weights[entry.type] = lerp(entry.start, entry.end, progress);
+  });
+  return weights;
+}
+
+/**
+ * Spawns a zombie just outside one of the four edges of the camera's view. Sides
+ * that would fall outside the world (camera against the world edge) or inside an
+ * obstacle are skipped.
+ */
+function spawnZombie(type, healthScale = 1) {
+  const size = ZOMBIE_TYPES[type].size;
+  const half = size / 2;
+  const firstSide = Math.floor(Math.random() * 4); // 0: top, 1: right, 2: bottom, 3: left
+  let x, y;
+
+  for (let attempt = 0; attempt < 4; attempt++) {
+    const side = (firstSide + attempt) % 4;
+    if (side === 0) {
+      // Top
+      x = camera.x + Math.random() * canvas.width;
+      y = camera.y - size;
+    } else if (side === 1) {
+      // Right
+      x = camera.x + canvas.width + size;
+      y = camera.y + Math.random() * canvas.height;
+    } else if (side === 2) {
+      // Bottom
+      x = camera.x + Math.random() * canvas.width;
+      y = camera.y + canvas.height + size;
+    } else {
+      // Left
+      x = camera.x - size;
+      y = camera.y + Math.random() * canvas.height;
+    }
+    if (!isOutsideWorld(x, y, -half) && !isCircleBlocked(x, y, half)) break;
+  }
+
+  // Keep inside the world even if every side was blocked
+  x = clamp(x, half, WORLD_WIDTH - half);
+  y = clamp(y, half, WORLD_HEIGHT - half);
+
+  const zombie = entityPools.zombies.acquire().init(x, y, type, healthScale);
+  zombies.push(zombie);
+  return zombie;
+}
+
+// --- Obstacles & Pathfinding ---
+
+const NAV_COLS = Math.ceil(WORLD_WIDTH / NAV_CELL_SIZE);
+const NAV_ROWS = Math.ceil(WORLD_HEIGHT / NAV_CELL_SIZE);
+const navBlocked = new Uint8Array(NAV_COLS * NAV_ROWS); // 1 = zombies can't path through
+const flowDistance = new Int32Array(NAV_COLS * NAV_ROWS); // Steps to the nearest player, -1 = unreachable
+const flowNext = new Int32Array(NAV_COLS * NAV_ROWS); // Neighbor cell to move toward, -1 = none
+const flowQueue = new Int32Array(NAV_COLS * NAV_ROWS); // Reused BFS queue
+// Obstacles overlapping each nav cell, for cheap local collision lookups
+const obstacleCells = [];
+let flowTargetKey = -1; // Living players' cells the current flow field leads to (see updateFlowField)
+
+// 8-neighbour offsets (orthogonal first)
+const NAV_NEIGHBOR_DX = [1, -1, 0, 0, 1, 1, -1, -1];
+const NAV_NEIGHBOR_DY = [0, 0, 1, -1, 1, -1, 1, -1];
+
+/**
+ * Builds the static nav grid and per-cell obstacle lists from `obstacles`.
+ */
+function buildNavGrid() {
+  navBlocked.fill(0);
+  obstacleCells.length = 0;
+  for (let i = 0; i < NAV_COLS * NAV_ROWS; i++) obstacleCells.push([]);
+
+  obstacles.forEach((obstacle) => {
+    const minCol = Math.max(0, Math.floor(obstacle.x / NAV_CELL_SIZE));
+    const maxCol = Math.min(NAV_COLS - 1, Math.floor((obstacle.x + obstacle.width) / NAV_CELL_SIZE));
+    const minRow = Math.max(0, Math.floor(obstacle.y / NAV_CELL_SIZE));
+    const maxRow = Math.min(NAV_ROWS - 1, Math.floor((obstacle.y + obstacle.height) / NAV_CELL_SIZE));
+    for (let col = minCol; col <= maxCol; col++) {
+      for (let row = minRow; row <= maxRow; row++) {
+        obstacleCells[row * NAV_COLS + col].push(obstacle);
+      }
+    }
+  });
+
+  for (let row = 0; row < NAV_ROWS; row++) {
+    for (let col = 0; col < NAV_COLS; col++) {
+      const cx = (col + 0.5) * NAV_CELL_SIZE;
+      const cy = (row + 0.5) * NAV_CELL_SIZE;
+      const blocked = obstacles.some(
+        (o) =>
+          cx > o.x - NAV_CLEARANCE &&
+          cx < o.x + o.width + NAV_CLEARANCE &&
+          cy > o.y - NAV_CLEARANCE &&
+          cy < o.y + o.height + NAV_CLEARANCE
+      );
+      navBlocked[row * NAV_COLS + col] = blocked ? 1 : 0;
+    }
+  }
+  flowTargetKey = -1;
+}
+
+function getNavCell(x, y) {
+  const col = clamp(Math.floor(x / NAV_CELL_SIZE), 0, NAV_COLS - 1);
+  const row = clamp(Math.floor(y / NAV_CELL_SIZE), 0, NAV_ROWS - 1);
+  return row * NAV_COLS + col;
+}
+
+/**
+ * Recomputes the flow field (a BFS outward from every living player's cell, so each
+ * cell leads to the nearest one) whenever one of them moves into a different cell
+ * or goes down. Allocation-free: all buffers are reused.
+ */
+function updateFlowField() {
+  // Pack the source cells into one number to tell whether anything changed
+  let key = 0;
+  for (let i = 0; i < players.length; i++) {
+    const cell = players[i].downed ? -1 : getNavCell(players[i].x, players[i].y);
+    key = key * (NAV_COLS * NAV_ROWS + 1) + cell + 1;
+  }
+  if (key === flowTargetKey) return;
+  flowTargetKey = key;
+
+  flowDistance.fill(-1);
+  flowNext.fill(-1);
+  let head = 0;
+  let tail = 0;
+  for (let i = 0; i < players.length; i++) {
+    if (players[i].downed) continue;
+    const source = getNavCell(players[i].x, players[i].y);
+    if (flowDistance[source] === 0) continue; // Both players in one cell
+    flowDistance[source] = 0;
+    flowQueue[tail++] = source;
+  }
+
+  // Distances: 4-connected BFS over open cells
+  while (head < tail) {
+    const cell = flowQueue[head++];
+    const col = cell % NAV_COLS;
+    const row = (cell - col) / NAV_COLS;
+    for (let n = 0; n < 4; n++) {
+      const nc = col + NAV_NEIGHBOR_DX[n];
+      const nr = row + NAV_NEIGHBOR_DY[n];
+      if (nc < 0 || nr < 0 || nc >= NAV_COLS || nr >= NAV_ROWS) continue;
+      const next = nr * NAV_COLS + nc;
+      if (navBlocked[next] || flowDistance[next] !== -1) continue;
+      flowDistance[next] = flowDistance[cell] + 1;
+      flowQueue[tail++] = next;
+    }
+  }
+
+  // Directions: each reached cell points at its closest 8-neighbour,
+  // without cutting the corner past a blocked orthogonal cell
+  for (let i = 0; i < tail; i++) {
+    const cell = flowQueue[i];
+    const col = cell % NAV_COLS;
+    const row = (cell - col) / NAV_COLS;
+    let best = -1;
+    let bestDistance = flowDistance[cell];
+    for (let n = 0; n < 8; n++) {
+      const dx = NAV_NEIGHBOR_DX[n];
+      const dy = NAV_NEIGHBOR_DY[n];
+      const nc = col + dx;
+      const nr = row + dy;
+      if (nc < 0 || nr < 0 || nc >= NAV_COLS || nr >= NAV_ROWS) continue;
+      const next = nr * NAV_COLS + nc;
+      const d = flowDistance[next];
+      if (d === -1 || d >= bestDistance) continue;
+      if (dx !== 0 && dy !== 0) {
+        if (navBlocked[row * NAV_COLS + nc] || navBlocked[nr * NAV_COLS + col]) continue;
+      }
+      best = next;
+      bestDistance = d;
+    }
+    flowNext[cell] = best;
+  }
+}
+
+/**
+ * Direction (radians) a zombie at (x, y) should walk to reach `target` (a player).
+ * Uses the flow field, falling back to a straight line when close or off the field.
+ */
+function getPathAngle(x, y, target) {
+  const directAngle = Math.atan2(target.y - y, target.x - x);
+  if (dist(x, y, target.x, target.y) < NAV_DIRECT_CHASE_DISTANCE) {
+    return directAngle;
+  }
+  const next = flowNext[getNavCell(x, y)];
+  if (next === -1) return directAngle; // Player's cell, unreachable, or pushed into padding
+  const col = next % NAV_COLS;
+  const row = (next - col) / NAV_COLS;
+  // Steer at the next cell's center from where we actually are, for smoother paths
+  return Math.atan2((row + 0.5) * NAV_CELL_SIZE - y, (col + 0.5) * NAV_CELL_SIZE - x);
+}
+
+/**
+ * True if a circle overlaps any obstacle.
+ */
+function isCircleBlocked(x, y, radius) {
+  const minCol = Math.floor((x - radius) / NAV_CELL_SIZE);
+  const maxCol = Math.floor((x + radius) / NAV_CELL_SIZE);
+  const minRow = Math.floor((y - radius) / NAV_CELL_SIZE);
+  const maxRow = Math.floor((y + radius) / NAV_CELL_SIZE);
+  for (let col = Math.max(0, minCol); col <= Math.min(NAV_COLS - 1, maxCol); col++) {
+    for (let row = Math.max(0, minRow); row <= Math.min(NAV_ROWS - 1, maxRow); row++) {
+      const cellObstacles = obstacleCells[row * NAV_COLS + col];
+      for (let i = 0; i < cellObstacles.length; i++) {
+        const o = cellObstacles[i];
+        const nearestX = clamp(x, o.x, o.x + o.width);
+        const nearestY = clamp(y, o.y, o.y + o.height);
+        const dx = x - nearestX;
+        const dy = y - nearestY;
+        if (dx * dx + dy * dy < radius * radius) return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Pushes a circular entity ({ x, y, size }) out of any obstacle it overlaps.
+ */
+function resolveObstacleCollisions(entity) {
+  const radius = entity.size / 2;
+  const minCol = Math.max(0, Math.floor((entity.x - radius) / NAV_CELL_SIZE));
+  const maxCol = Math.min(NAV_COLS - 1, Math.floor((entity.x + radius) / NAV_CELL_SIZE));
+  const minRow = Math.max(0, Math.floor((entity.y - radius) / NAV_CELL_SIZE));
+  const maxRow = Math.min(NAV_ROWS - 1, Math.floor((entity.y + radius) / NAV_CELL_SIZE));
+
+  for (let col = minCol; col <= maxCol; col++) {
+    for (let row = minRow; row <= maxRow; row++) {
+      const cellObstacles = obstacleCells[row * NAV_COLS + col];
+      for (let i = 0; i < cellObstacles.length; i++) {
+        const o = cellObstacles[i];
+        const nearestX = clamp(entity.x, o.x, o.x + o.width);
+        const nearestY = clamp(entity.y, o.y, o.y + o.height);
+        const dx = entity.x - nearestX;
+        const dy = entity.y - nearestY;
+        const distanceSq = dx * dx + dy * dy;
+        if (distanceSq >= radius * radius) continue;
+
+        if (distanceSq > 0) {
+          // Edge or corner contact: push straight out from the nearest point
+          const distance = Math.sqrt(distanceSq);
+          entity.x += (dx / distance) * (radius - distance);
+          entity.y += (dy / distance) * (radius - distance);
+        } else {
+          // Center is inside the rect: leave through the closest side
+          const left = entity.x - o.x;
+          const right = o.x + o.width - entity.x;
+          const top = entity.y - o.y;
+          const bottom = o.y + o.height - entity.y;
+          const minPush = Math.min(left, right, top, bottom);
+          if (minPush === left) entity.x = o.x - radius;
+          else if (minPush === right) entity.x = o.x + o.width + radius;
+          else if (minPush === top) entity.y = o.y - radius;
+          else entity.y = o.y + o.height + radius;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Draws the obstacles that are inside the viewport.
+ */
+function drawObstacles() {
+  ctx.save();
+  ctx.lineWidth = 2;
+  for (let i = 0; i < obstacles.length; i++) {
+    const o = obstacles[i];
+    if (
+      o.x > camera.x + canvas.width ||
+      o.x + o.width < camera.x ||
+      o.y > camera.y + canvas.height ||
+      o.y + o.height < camera.y
+    ) {
+      continue;
+    }
+    const style = OBSTACLE_STYLES[o.kind];
+    ctx.fillStyle = style.fill;
+    ctx.strokeStyle = settings.highContrast ? HIGH_CONTRAST_OUTLINE : style.stroke;
+
+    if (o.kind === "car") {
+      ctx.beginPath();
+      ctx.roundRect(o.x, o.y, o.width, o.height, 10);
+      ctx.fill();
+      ctx.stroke();
+      // Windshield along the long axis
+      ctx.fillStyle = "rgba(200, 230, 255, 0.5)";
+      if (o.width > o.height) {
+        ctx.fillRect(o.x + o.width * 0.25, o.y + 6, o.width * 0.2, o.height - 12);
+      } else {
+        ctx.fillRect(o.x + 6, o.y + o.height * 0.25, o.width - 12, o.height * 0.2);
+      }
+    } else {
+      ctx.fillRect(o.x, o.y, o.width, o.height);
+      ctx.strokeRect(o.x, o.y, o.width, o.height);
+      if (o.kind === "crate") {
+        // Cross planks
+        ctx.beginPath();
+        ctx.moveTo(o.x, o.y);
+        ctx.lineTo(o.x + o.width, o.y + o.height);
+        ctx.moveTo(o.x + o.width, o.y);
+        ctx.lineTo(o.x, o.y + o.height);
+        ctx.stroke();
+      }
+    }
+  }
+  ctx.restore();
+}
+
+/**
+ * Debug view of the nav grid: blocked cells and flow directions near the camera.
+ */
+function drawFlowFieldDebug() {
+  const minCol = Math.max(0, Math.floor(camera.x / NAV_CELL_SIZE));
+  const maxCol = Math.min(NAV_COLS - 1, Math.floor((camera.x + canvas.width) / NAV_CELL_SIZE));
+  const minRow = Math.max(0, Math.floor(camera.y / NAV_CELL_SIZE));
+  const maxRow = Math.min(NAV_ROWS - 1, Math.floor((camera.y + canvas.height) / NAV_CELL_SIZE));
+  ctx.save();
+  ctx.strokeStyle = "rgba(0, 255, 136, 0.4)";
+  ctx.fillStyle = "rgba(255, 0, 0, 0.15)";
+  ctx.beginPath();
+  for (let col = minCol; col <= maxCol; col++) {
+    for (let row = minRow; row <= maxRow; row++) {
+      const cell = row * NAV_COLS + col;
+      const cx = (col + 0.5) * NAV_CELL_SIZE;
+      const cy = (row + 0.5) * NAV_CELL_SIZE;
+      if (navBlocked[cell]) {
+        ctx.fillRect(col * NAV_CELL_SIZE, row * NAV_CELL_SIZE, NAV_CELL_SIZE, NAV_CELL_SIZE);
+        continue;
+      }
+      const next = flowNext[cell];
+      if (next === -1) continue;
+      const nextCol = next % NAV_COLS;
+      const nextRow = (next - nextCol) / NAV_COLS;
+      ctx.moveTo(cx, cy);
+      ctx.lineTo(cx + (nextCol - col) * 15, cy + (nextRow - row) * 15);
+    }
+  }
+  ctx.stroke();
+  ctx.restore();
+}
+
+// --- Wave Director ---
+
+/**
+ * Fresh wave director state (before wave 1).
+ */
+function createWaveState() {
+  return {
+    number: 0,
+    phase: "intermission", // "active" while spawning/fighting, "intermission" between waves
+    config: null,
+    spawned: 0,
+    lastSpawnTime: -Infinity,
+    phaseStartTime: 0,
+    boss: null, // Active boss zombie, for the HUD bar
+  };
+}
+
+/**
+ * Resolves the config for a wave number (1-based). Waves beyond WAVE_DEFINITIONS
+ * are scaled up from the last definition.
+ */
+function getWaveConfig(waveNumber) {
+  const lastIndex = WAVE_DEFINITIONS.length - 1;
+  const base = WAVE_DEFINITIONS[Math.min(waveNumber - 1, lastIndex)];
+  const extra = Math.max(0, waveNumber - 1 - lastIndex);
+
+  const budget = base.budget * Math.pow(WAVE_SCALING.budgetGrowth, extra);
+  const spawnInterval = Math.max(
+    WAVE_SCALING.minSpawnInterval,
+    base.spawnInterval * Math.pow(WAVE_SCALING.spawnIntervalDecay, extra)
+  );
+  const maxAlive = Math.min(
+    WAVE_SCALING.maxAliveCap,
+    base.maxAlive + extra * WAVE_SCALING.maxAliveGrowth
+  );
+
+  // The difficulty scales size and pace on top of the definitions
+  return {
+    budget: Math.max(1, Math.round(budget * balance.waveSize)),
+    spawnInterval: spawnInterval / balance.spawnRate,
+    maxAlive: Math.max(1, Math.round(maxAlive * balance.waveSize)),
+    healthScale: base.healthScale + extra * WAVE_SCALING.healthGrowth,
+    weights: base.weights || getSpawnWeights(waveNumber),
+    boss: waveNumber % balance.bossWaveInterval === 0 ? BOSS_TYPE : null,
+  };
+}
+
+/**
+ * Starts the next wave: resolves its config, shows the banner and spawns the boss.
+ */
+function startNextWave() {
+  waveState.number += 1;
+  waveState.config = getWaveConfig(waveState.number);
+  waveState.phase = "active";
+  waveState.spawned = 0;
+  waveState.lastSpawnTime = -Infinity;
+  waveState.phaseStartTime = gameTime;
+  waveState.boss = null;
+
+  if (waveState.config.boss) {
+    // Bosses get tougher each time they come back
+    const bossScale = waveState.number / balance.bossWaveInterval;
+    waveState.boss = spawnZombie(waveState.config.boss, bossScale);
+  }
+
+  GAME_EVENTS.waveStarted.wave = waveState.number;
+  emitGameEvent("waveStarted");
+}
+
+/**
+ * Runs the wave director for one tick: spawns from the wave budget, detects wave
+ * completion and counts down intermissions.
+ */
+function updateWaves(dt) {
+  const now = gameTime;
+
+  if (waveState.phase === "intermission") {
+    // Keep dropped items alive during the break so they can still be collected
+    for (let i = 0; i < items.length; i++) {
+      items[i].creationTime += dt * 1000;
+    }
+    if (now - waveState.phaseStartTime >= balance.waveIntermission) {
+      startNextWave();
+    }
+    return;
+  }
+
+  const config = waveState.config;
+  if (
+    waveState.spawned < config.budget &&
+    zombies.length < config.maxAlive &&
+    now - waveState.lastSpawnTime > config.spawnInterval
+  ) {
+    spawnZombie(pickZombieType(config.weights), config.healthScale);
+    waveState.spawned += 1;
+    waveState.lastSpawnTime = now;
+  }
+
+  if (waveState.boss && waveState.boss.isDead) {
+    waveState.boss = null;
+  }
+
+  // Wave is cleared once the whole budget has spawned and everything is dead
+  if (waveState.spawned >= config.budget && zombies.length === 0) {
+    waveState.phase = "intermission";
+    waveState.phaseStartTime = now;
+  }
+}
+
+/**
+ * Canvas font for HUD text, scaled by the HUD text size setting.
+ */
+function getHudFont(weight, size) {
+  return `${weight} ${Math.round(size * settings.hudScale)}px 'Chakra Petch', sans-serif`;
+}
+
+/**
+ * Draws the "Wave N" banner, the intermission countdown and the boss health bar.
+ */
+function drawWaveOverlay() {
+  const now = gameTime;
+  const elapsed = now - waveState.phaseStartTime;
+  ctx.save();
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+
+  if (waveState.phase === "active" && elapsed < WAVE_BANNER_DURATION) {
+    const alpha = 1 - elapsed / WAVE_BANNER_DURATION;
+    ctx.fillStyle = `rgba(0, 255, 255, ${alpha})`;
+    ctx.font = getHudFont("bold", 48);
+    ctx.fillText(
+      t("wave.banner", { number: waveState.number }),
+      canvas.width / 2,
+      canvas.height / 3
+    );
+    if (waveState.config.boss) {
+      ctx.fillStyle = `rgba(233, 69, 96, ${alpha})`;
+      ctx.font = getHudFont("bold", 24);
+      ctx.fillText(t("wave.bossWave"), canvas.width / 2, canvas.height / 3 + 45);
+    }
+  } else if (waveState.phase === "intermission" && waveState.number > 0) {
+    const remaining = Math.ceil((balance.waveIntermission - elapsed) / 1000);
+    ctx.fillStyle = "rgba(255, 255, 255, 0.85)";
+    ctx.font = getHudFont("bold", 28);
+    ctx.fillText(
+      t("wave.clear", { number: waveState.number }),
+      canvas.width / 2,
+      canvas.height / 3
+    );
+    ctx.font = getHudFont("", 18);
+    ctx.fillText(
+      t("wave.nextIn", { count: remaining }),
+      canvas.width / 2,
+      canvas.height / 3 + 35
+    );
+  }
+
+  const boss = waveState.boss;
+  if (boss && !boss.isDead) {
+    const barWidth = canvas.width * 0.6;
+    const barX = (canvas.width - barWidth) / 2;
+    const ratio = Math.max(0, boss.health / boss.initialHealth);
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    ctx.fillRect(barX - 2, 16, barWidth + 4, 14);
+    ctx.fillStyle = palette.bossBar;
+    ctx.fillRect(barX, 18, barWidth * ratio, 10);
+    ctx.fillStyle = "#ffffff";
+    ctx.font = getHudFont("bold", 12);
+    ctx.fillText(t("wave.boss"), canvas.width / 2, 40);
+  }
+
+  ctx.restore();
+}
+
+/**
+ * Advances the simulation by one fixed tick: movement, spawning, and collisions.
+ * @param {number} dt - Tick length in seconds (always FIXED_TIMESTEP).
+ */
+function updateGame(dt) {
+  if (isGameOver) return;
+
+  const previousSecond = Math.floor(gameTime / 1000);
+  gameTime += dt * 1000;
+  if (Math.floor(gameTime / 1000) !== previousSecond) {
+    GAME_EVENTS.secondPassed.time = gameTime;
+    emitGameEvent("secondPassed");
+  }
+
+  // 1. Spawning Logic: the wave director decides what spawns and when
+  const now = gameTime;
+  updateWaves(dt);
+
+  // 2. Update entities
+  updateTouchAim();
+  updateMouseWorldPosition(); // Aim at whatever is under the cursor now
+  updateNetworkInput(); // Online host: the guest's input for this tick
+  updateAll(players, dt);
+  keepPlayersTogether();
+  updateRevives(dt);
+  updateCamera(dt);
+  updateFlowField();
+  updateAll(bullets, dt);
+  updateAll(missiles, dt);
+  rebuildCollisionGrid(); // Neighbour lookups for crowd steering
+  updateAll(zombies, dt);
+  separateZombies();
+  updateAll(spitProjectiles, dt);
+  updateParticles(dt);
+  updateAudio();
+  // Items don't move, no update needed
+
+  // Broadphase: bucket zombies and items once, every check below queries it
+  rebuildCollisionGrid();
+
+  for (let p = 0; p < players.length; p++) {
+    const target = players[p];
+    if (target.downed) continue;
+
+    // 2b. Zombie vs Player
+    collisionGrid.query(
+      LAYER_ZOMBIES,
+      target.x,
+      target.y,
+      target.size / 2,
+      playerContactCandidates
+    );
+    for (let i = 0; i < playerContactCandidates.length; i++) {
+      const zombie = playerContactCandidates[i];
+      if (
+        !zombie.isDead &&
+        dist(zombie.x, zombie.y, target.x, target.y) <
+          zombie.size / 2 + target.size / 2
+      ) {
+        zombie.onPlayerContact(target);
+      }
+    }
+  }
+  removeDeadZombies(); // Exploders that detonated on contact
+
+  // 2c. Spit vs Player
+  removeWhere(spitProjectiles, isSpitSpent, entityPools.spitProjectiles);
+
+  // 3. Item Expiry and Player vs Item Collision Detection
+  for (let p = 0; p < players.length; p++) {
+    const target = players[p];
+    if (target.downed) continue;
+    collisionGrid.query(
+      LAYER_ITEMS,
+      target.x,
+      target.y,
+      target.size / 2,
+      playerContactCandidates
+    );
+    for (let i = 0; i < playerContactCandidates.length; i++) {
+      const item = playerContactCandidates[i];
+      // Check for player collection collision (expired items can't be picked up)
+      if (
+        !isItemGone(item) &&
+        dist(target.x, target.y, item.x, item.y) <
+          target.size / 2 + item.size / 2
+      ) {
+        target.applyUpgrade(item.type);
+        emitPickupSparkle(item.x, item.y, palette.items[item.type]);
+        playSfx("item", item.x, item.y); // Play item collected sound
+        item.collected = true;
+      }
+    }
+  }
+  removeWhere(items, isItemGone); // Collected or expired
+  enforceItemCap(); // Safety: ensure per-type cap after any removals
+
+  // 4. Collision Detection (Bullet vs Zombie)
+  removeWhere(bullets, isBulletSpent, entityPools.bullets);
+  removeDeadZombies();
+  enforceItemCap(); // Clamp newly spawned items within per-type cap immediately
+
+  // 5. Collision Detection (Missile vs Zombie or bounds)
+  removeWhere(missiles, isMissileSpent, entityPools.missiles);
+
+  // 5. Expire explosion visuals
+  removeWhere(explosions, isExplosionFinished, entityPools.explosions);
+
+  // The game ends in damagePlayer() once every player is down
+  updateStatsDisplay();
+  sendNetworkSnapshot();
+}
+
+/**
+ * Calls update(dt) on every entity in the list.
+ */
+function updateAll(entities, dt) {
+  for (let i = 0; i < entities.length; i++) entities[i].update(dt);
+}
+
+// Per-entity collision passes. They are named functions rather than inline
+// closures so a tick doesn't allocate; each returns true when the entity is spent.
+
+function isSpitSpent(spit) {
+  for (let i = 0; i < players.length; i++) {
+    const target = players[i];
+    if (
+      !target.downed &&
+      dist(spit.x, spit.y, target.x, target.y) < spit.size / 2 + target.size / 2
+    ) {
+      damagePlayer(target, spit.damage);
+      return true;
+    }
+  }
+  return spit.isOutOfBounds();
+}
+
+function isItemGone(item) {
+  // Expires after balance.itemLifetime unless collected first
+  return item.collected || gameTime - item.creationTime > balance.itemLifetime;
+}
+
+function isBulletSpent(bullet) {
+  collisionGrid.query(
+    LAYER_ZOMBIES,
+    bullet.x,
+    bullet.y,
+    bullet.size / 2,
+    bulletHitCandidates
+  );
+  for (let i = 0; i < bulletHitCandidates.length; i++) {
+    const zombie = bulletHitCandidates[i];
+    if (
+      !zombie.isDead &&
+      dist(bullet.x, bullet.y, zombie.x, zombie.y) <
+        bullet.size / 2 + zombie.size / 2 &&
+      bullet.hitZombies.indexOf(zombie) === -1
+    ) {
+      // Hit!
+      const damage = bullet.damage;
+      // Push zombie back one step along bullet direction (heavier types resist)
+      const knockback =
+        balance.knockbackDistance *
+        bullet.knockback *
+        (1 - zombie.knockbackResistance);
+      const mag = Math.hypot(bullet.vx, bullet.vy) || 1;
+      zombie.x += (bullet.vx / mag) * knockback;
+      zombie.y += (bullet.vy / mag) * knockback;
+      // Keep zombie in the world and out of obstacles
+      resolveObstacleCollisions(zombie);
+      zombie.x = clamp(zombie.x, zombie.size / 2, WORLD_WIDTH - zombie.size / 2);
+      zombie.y = clamp(zombie.y, zombie.size / 2, WORLD_HEIGHT - zombie.size / 2);
+      emitHitEffects(bullet.x, bullet.y, Math.atan2(bullet.vy, bullet.vx), !bullet.isFlame);
+      damageZombie(zombie, damage, true, damage / bullet.weapon.damage);
+      if (bullet.pierceLeft <= 0) return true; // Bullet disappears
+      bullet.pierceLeft -= 1; // Piercing rounds carry on to the next zombie
+      bullet.hitZombies.push(zombie);
+    }
+  }
+  return bullet.isOutOfBounds();
+}
+
+function isMissileSpent(missile) {
+  collisionGrid.query(
+    LAYER_ZOMBIES,
+    missile.x,
+    missile.y,
+    missile.size / 2,
+    bulletHitCandidates
+  );
+  for (let i = 0; i < bulletHitCandidates.length; i++) {
+    const zombie = bulletHitCandidates[i];
+    if (
+      !zombie.isDead &&
+      dist(missile.x, missile.y, zombie.x, zombie.y) <
+        missile.size / 2 + zombie.size / 2
+    ) {
+      triggerBombExplosion(missile.x, missile.y);
+      return true;
+    }
+  }
+
+  if (missile.isOutOfBounds()) {
+    triggerBombExplosion(missile.x, missile.y);
+    return true;
+  }
+  return false;
+}
+
+function isExplosionFinished(explosion) {
+  return gameTime - explosion.startTime > EXPLOSION_DURATION;
+}
+
+/**
+ * Clears the canvas and redraws all game entities.
+ * @param {number} alpha - Fraction (0..1) of the way from the previous tick to the current one.
+ */
+function drawGame(alpha) {
+  // Clear canvas (background)
+  ctx.fillStyle = settings.highContrast ? "#000" : "#222";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  // World space: shift everything by the interpolated camera position
+  const viewX = Math.round(lerp(camera.prevX, camera.x, alpha));
+  const viewY = Math.round(lerp(camera.prevY, camera.y, alpha));
+  ctx.save();
+  ctx.translate(-viewX, -viewY);
+  drawGround(viewX, viewY);
+  drawParticles(bloodDecals, alpha); // On the floor, under everything else
+  if (showDebugOverlay) drawFlowFieldDebug();
+  drawObstacles();
+  drawAll(corpses, alpha);
+
+  // Draw all entities
+  drawAll(players, alpha);
+  drawAll(bullets, alpha);
+  drawAll(missiles, alpha);
+  drawAll(zombies, alpha);
+  drawAll(spitProjectiles, alpha);
+  drawExplosions();
+  drawAll(items, alpha); // Draw items
+  drawParticles(particles, alpha);
+
+  // Draw the weapon aiming line on top of items for better visibility
+  drawAll(players, alpha);
+  ctx.restore();
+
+  // Screen space: HUD overlays
+  drawWaveOverlay();
+  if (showDebugOverlay) drawDebugOverlay();
+}
+
+/**
+ * Calls draw(alpha) on every entity in the list that is near the viewport.
+ */
+function drawAll(entities, alpha) {
+  for (let i = 0; i < entities.length; i++) {
+    const entity = entities[i];
+    if (!isOutsideView(entity.x, entity.y, entity.size)) entity.draw(alpha);
+  }
+}
+
+/**
+ * Debug readout (toggle with the backquote key): active/free/created counts per pool.
+ */
+function drawDebugOverlay() {
+  const stats = getPoolStats();
+  const lineHeight = 16;
+  const top = canvas.height - 16 - Object.keys(stats).length * lineHeight;
+  ctx.save();
+  ctx.font = "12px monospace";
+  ctx.textAlign = "left";
+  ctx.textBaseline = "top";
+  ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+  ctx.fillRect(8, top - 6, 280, canvas.height - top);
+  ctx.fillStyle = "#00ff88";
+  let y = top;
+  for (const name in stats) {
+    const { active, free, created } = stats[name];
+    ctx.fillText(`${name}: ${active} active / ${free} free / ${created} total`, 14, y);
+    y += lineHeight;
+  }
+  ctx.restore();
+}
+
+/**
+ * The main game loop using requestAnimationFrame.
+ * Real frame time is fed into an accumulator and consumed in fixed ticks, so the
+ * simulation runs at the same speed on 60 Hz and 144 Hz displays.
+ */
+function gameLoop(timestamp) {
+  if (isPaused) return;
+  if (lastFrameTime === null) lastFrameTime = timestamp;
+  // Clamp long frames so a hitch or background tab doesn't fast-forward the game
+  const frameTime = Math.min((timestamp - lastFrameTime) / 1000, MAX_FRAME_TIME);
+  lastFrameTime = timestamp;
+  accumulator += frameTime;
+
+  // An online guest doesn't simulate; it predicts its own player and shows the host's state
+  const update = isNetworkGuest() ? updateNetworkGuest : updateGame;
+  let steps = 0;
+  while (accumulator >= FIXED_TIMESTEP && !isGameOver) {
+    update(FIXED_TIMESTEP);
+    accumulator -= FIXED_TIMESTEP;
+    steps++;
+    if (steps >= MAX_STEPS_PER_FRAME) {
+      // Drop the remaining backlog instead of trying to catch up
+      accumulator = 0;
+      break;
+    }
+  }
+
+  drawGame(accumulator / FIXED_TIMESTEP);
+  if (!isGameOver) {
+    gameLoopId = requestAnimationFrame(gameLoop);
+  }
+}
+
+/**
+ * Handles the click event for both initial start and play again (1 player, or 2
+ * for local co-op). This function also handles the browser-mandated audio context start.
+ */
+function handleStartAudioAndGame(snapshot = null, playerCount = 1) {
+  // 0. Don't lose a high score when the player skips the initials prompt
+  submitPendingHighScore();
+
+  // 1. Ensure audio context is resumed/started on user gesture (click)
+  setupAudio();
+  if (isAudioSetup && !isAudioUnavailable) {
+    Tone.start()
+      .then(() => {
+        startBGM(); // Start BGM after context is running
+      })
+      .catch((err) => {
+        // Audio context blocked: same as no Tone.js, the game just plays silently
+        console.warn("Could not start audio; playing without sound:", err);
+        isAudioUnavailable = true;
+      });
+  }
+
+  // 2. Hide the message box and start the game (fresh, or from a snapshot)
+  initGame(snapshot, playerCount);
+}
+
+/**
+ * "Continue" on the start screen: resumes the saved run if it still loads.
+ */
+function handleContinueGame() {
+  const snapshot = loadSnapshot();
+  if (!snapshot) {
+    updateContinueButton(); // Rejected on load; hide the button
+    return;
+  }
+  handleStartAudioAndGame(snapshot);
+}
+
+/**
+ * Fills the start/game-over screen text for the current state and language.
+ */
+function renderMessages() {
+  const controlButton = document.getElementById("gameControlButton");
+  if (isGameOver) {
+    messageTitle.textContent = t("gameOver.title");
+    messageScore.textContent = t("gameOver.score", { score, wave: waveState.number });
+    controlButton.textContent = t("gameOver.playAgain"); // Change button text for replay
+  } else {
+    messageTitle.textContent = t("start.title");
+    messageScore.textContent = t("start.instructions");
+    controlButton.textContent = t("start.play");
+  }
+}
+
+/**
+ * Sets the game to an over state and displays the score message.
+ */
+function gameOver() {
+  isGameOver = true;
+  stopBGM(); // Stop BGM on game over
+  cancelAnimationFrame(gameLoopId);
+  clearSnapshot(); // Nothing left to continue
+  updateContinueButton();
+  endNetworkGame();
+
+  const event = GAME_EVENTS.runEnded;
+  event.score = score;
+  event.wave = waveState.number;
+  event.kills = kills;
+  event.timeSurvived = Math.round(gameTime);
+  emitGameEvent("runEnded");
+
+  renderMessages();
+
+  // Ask for initials if the run made the table
+  if (qualifiesForHighScore(score, getHighScoreTableKey(runDifficulty, balance))) {
+    pendingHighScore = {
+      initials: DEFAULT_INITIALS,
+      difficulty: runDifficulty,
+      score,
+      wave: waveState.number,
+      kills,
+      timeSurvived: Math.round(gameTime),
+      date: new Date().toISOString(),
+    };
+    // Custom runs only rank against runs on the same values
+    if (runDifficulty === CUSTOM_DIFFICULTY) pendingHighScore.balance = { ...balance };
+    initialsInput.value = "";
+    initialsForm.style.display = "flex";
+    initialsInput.focus();
+  }
+  renderHighScores();
+
+  messagesDiv.style.visibility = "visible";
+  messagesDiv.style.display = "flex";
+  // The button onclick attribute already points to handleStartAudioAndGame()
+}
+
+/**
+ * Clears held keys, firing and the touch sticks so nothing stays "stuck" across
+ * a restart or a pause (keyup events are lost while the window is unfocused).
+ */
+function resetInputState() {
+  keys = {
+    moveUp: false,
+    moveDown: false,
+    moveLeft: false,
+    moveRight: false,
+    p2MoveUp: false,
+    p2MoveDown: false,
+    p2MoveLeft: false,
+    p2MoveRight: false,
+    p2Fire: false,
+  };
+  mouse.isFiring = false;
+  aimStickFiring = false;
+  virtualSticks.forEach((stick) => stick.reset());
+}
+
+/**
+ * Pauses a running game: stops the loop (and with it the game clock), shows the
+ * pause overlay and suspends the BGM.
+ */
+function pauseGame() {
+  // Online runs don't pause: the other player is still playing
+  if (isPaused || isGameOver || players.length === 0 || isOnlineGame()) return;
+  isPaused = true;
+  cancelAnimationFrame(gameLoopId);
+  resetInputState();
+  pauseBGM();
+  saveSnapshot();
+
+  pauseOverlay.style.visibility = "visible";
+  pauseOverlay.style.display = "flex";
+}
 
-      // Draw border
-      ctx.strokeStyle = white;
-      ctx.strokeRect(
-        this.x - this.size / 2,
-        this.y - this.size / 2,
-        this.size,
-        this.size
-      );
-    } else if (this.type === "damage_boost") {
-      // NEW: Yellow Star for Damage Boost
-      ctx.fillStyle = "#FFD700"; // Gold/Yellow
-      ctx.beginPath();
+/**
+ * Resumes a paused game without fast-forwarding the time spent paused.
+ */
+function resumeGame() {
+  if (!isPaused) return;
+  isPaused = false;
 
-      // Simple 5-pointed star approximation
-      const outerRadius = this.size / 2;
-      const innerRadius = this.size / 4;
+  pauseOverlay.style.visibility = "hidden";
+  pauseOverlay.style.display = "none";
 
-      for (let i = 0; i < 5; i++) {
-        let outerAngle = Math.PI / 2 - i * ((2 * Math.PI) / 5);
-        let innerAngle = outerAngle + Math.PI / 5;
+  resumeBGM();
+  // Restart frame timing so the paused duration isn't fed into the accumulator
+  lastFrameTime = null;
+  accumulator = 0;
+  gameLoopId = requestAnimationFrame(gameLoop);
+}
 
-        ctx.lineTo(
-          this.x + outerRadius * Math.cos(outerAngle),
-          this.y - outerRadius * Math.sin(outerAngle)
-        );
-        ctx.lineTo(
-          this.x + innerRadius * Math.cos(innerAngle),
-          this.y - innerRadius * Math.sin(innerAngle)
-        );
-      }
-      ctx.closePath();
-      ctx.fill();
-      ctx.stroke();
-    } else if (this.type === "bomb") {
-      // Bomb (missile pickup): red missile icon
-      ctx.save();
-      const bodyLength = this.size * 1.4;
-      const bodyWidth = this.size * 0.4;
-      ctx.fillStyle = "#ff3b30";
-      ctx.strokeStyle = "#ffffff";
-      ctx.lineWidth = 2;
-      // Body
-      ctx.beginPath();
-      ctx.roundRect(
-        this.x - bodyLength / 2,
-        this.y - bodyWidth / 2,
-        bodyLength,
-        bodyWidth,
-        bodyWidth / 2
-      );
-      ctx.fill();
-      ctx.stroke();
-      // Nose
-      ctx.beginPath();
-      ctx.moveTo(this.x + bodyLength / 2, this.y - bodyWidth / 2);
-      ctx.lineTo(this.x + bodyLength / 2 + bodyWidth, this.y);
-      ctx.lineTo(this.x + bodyLength / 2, this.y + bodyWidth / 2);
-      ctx.closePath();
-      ctx.fill();
-      ctx.stroke();
-      // Tail fins
-      ctx.beginPath();
-      ctx.moveTo(this.x - bodyLength / 2, this.y - bodyWidth / 2);
-      ctx.lineTo(this.x - bodyLength / 2 - bodyWidth * 0.6, this.y - bodyWidth);
-      ctx.lineTo(this.x - bodyLength / 2, this.y);
-      ctx.closePath();
-      ctx.fill();
-      ctx.stroke();
-      ctx.beginPath();
-      ctx.moveTo(this.x - bodyLength / 2, this.y + bodyWidth / 2);
-      ctx.lineTo(this.x - bodyLength / 2 - bodyWidth * 0.6, this.y + bodyWidth);
-      ctx.lineTo(this.x - bodyLength / 2, this.y);
-      ctx.closePath();
-      ctx.fill();
-      ctx.stroke();
-      ctx.restore();
+function togglePause() {
+  if (isPaused) {
+    resumeGame();
+  } else {
+    pauseGame();
+  }
+}
+
+/**
+ * Resets the game state and starts the game loop. A snapshot brings its own players;
+ * otherwise `playerCount` (1, or 2 for local co-op) fresh ones start at the center.
+ */
+function initGame(snapshot = null, playerCount = 1) {
+  // *** FIX: Reset all input states to prevent unwanted movement on start ***
+  resetInputState();
+  mouse = { x: 0, y: 0, screenX: 0, screenY: 0, isFiring: false };
+  // ************************************************************************
+
+  // Reset state
+  isGameOver = false;
+  isPaused = false;
+  if (!isOnlineGame()) localPlayerIndex = 0; // Back from being an online guest
+  pauseOverlay.style.visibility = "hidden";
+  pauseOverlay.style.display = "none";
+  releaseAll(bullets, entityPools.bullets);
+  releaseAll(missiles, entityPools.missiles);
+  releaseAll(zombies, entityPools.zombies);
+  releaseAll(spitProjectiles, entityPools.spitProjectiles);
+  releaseAll(explosions, entityPools.explosions); // Reset explosion effects
+  releaseAll(particles, entityPools.particles);
+  releaseAll(bloodDecals, entityPools.particles);
+  releaseAll(corpses, entityPools.corpses);
+  items.length = 0; // Reset items array
+
+  if (snapshot) {
+    restoreSnapshot(snapshot);
+  } else {
+    runDifficulty = selectedDifficulty;
+    balance = getDifficultyBalance(runDifficulty);
+    // Ensure players are created after canvas resize
+    players = [];
+    const count = clamp(playerCount, 1, MAX_PLAYERS);
+    for (let i = 0; i < count; i++) {
+      const offset = count > 1 ? (i * 2 - 1) * COOP_SPAWN_OFFSET : 0; // Side by side
+      players.push(new Player(WORLD_WIDTH / 2 + offset, WORLD_HEIGHT / 2, PLAYER_SIZE, i));
     }
+    score = 0;
+    kills = 0;
+    gameTime = 0;
+    waveState = createWaveState();
+    clearSnapshot(); // A new run replaces whatever was saved
+  }
 
-    ctx.restore();
+  const event = GAME_EVENTS.runStarted;
+  event.playerCount = players.length;
+  event.restored = snapshot !== null;
+  emitGameEvent("runStarted");
+  if (!snapshot) startNextWave(); // After runStarted, so listeners see wave 1 begin
+  document.body.classList.toggle("coop", players.length > 1); // Shows player 2's HUD row
+  snapCamera();
+  flowTargetKey = -1; // Force a flow field rebuild for the new player positions
+
+  // Reset message box
+  messagesDiv.style.visibility = "hidden";
+  messagesDiv.style.display = "none";
+
+  // Reset stats
+  for (let i = 0; i < playerHuds.length; i++) {
+    playerHuds[i].healthBar.max = balance.maxHealth;
   }
+  updateStatsDisplay();
+
+  // Start game loop
+  lastFrameTime = null;
+  accumulator = 0;
+  if (gameLoopId) cancelAnimationFrame(gameLoopId);
+  gameLoopId = requestAnimationFrame(gameLoop);
 }
 
-// --- Game Logic ---
+// --- High Scores ---
 
 /**
- * Resizes the canvas to be square and responsive.
+ * True if `entry` looks like a high-score entry we wrote (storage can be edited by hand).
  */
-function resizeCanvas() {
-  // 800px max, 90vw for smaller screens
-  const size = Math.min(window.innerWidth * 0.9, 800);
-  canvas.width = size;
-  canvas.height = size;
+function isValidHighScoreEntry(entry) {
+  return (
+    entry !== null &&
+    typeof entry === "object" &&
+    typeof entry.initials === "string" &&
+    /^[A-Z0-9]{1,3}$/.test(entry.initials) &&
+    Number.isInteger(entry.score) &&
+    entry.score >= 0 &&
+    Number.isInteger(entry.wave) &&
+    entry.wave >= 0 &&
+    Number.isInteger(entry.kills) &&
+    entry.kills >= 0 &&
+    Number.isFinite(entry.timeSurvived) &&
+    entry.timeSurvived >= 0 &&
+    typeof entry.date === "string" &&
+    !isNaN(Date.parse(entry.date)) &&
+    isDifficulty(entry.difficulty) &&
+    (entry.difficulty !== CUSTOM_DIFFICULTY || isCompleteBalanceConfig(entry.balance))
+  );
+}
+
+/**
+ * Which table a run ranks in: its difficulty, or for custom runs the exact values
+ * played, so a slow-zombie custom run never ranks against a fast one.
+ */
+function getHighScoreTableKey(difficulty, config) {
+  if (difficulty !== CUSTOM_DIFFICULTY) return difficulty;
+  return `${difficulty}:${BALANCE_FIELD_NAMES.map((name) => config[name]).join(",")}`;
+}
+
+function getEntryTableKey(entry) {
+  return getHighScoreTableKey(entry.difficulty, entry.balance);
+}
 
-  // Recenter player on resize
-  if (player) {
-    player.x = canvas.width / 2;
-    player.y = canvas.height / 2;
+/**
+ * Reads every difficulty's entries from localStorage. Anything unreadable, from
+ * another version, or failing validation is dropped.
+ */
+function loadAllHighScores() {
+  let data;
+  try {
+    data = JSON.parse(localStorage.getItem(HIGH_SCORE_STORAGE_KEY));
+  } catch (err) {
+    return []; // Corrupt JSON or storage blocked (private mode)
   }
-  // Set initial mouse position to the center for aim reference
-  getMousePos({ clientX: canvas.width / 2, clientY: canvas.height / 2 });
+  if (!data || !Array.isArray(data.entries)) return [];
+  if (data.version === 1) {
+    // From before difficulties: those runs were played on the Normal values
+    data.entries.forEach((entry) => {
+      if (entry !== null && typeof entry === "object") entry.difficulty = "normal";
+    });
+  } else if (data.version !== HIGH_SCORE_VERSION) {
+    return [];
+  }
+  return data.entries.filter(isValidHighScoreEntry);
 }
 
 /**
- * Spawns a zombie randomly from one of the four sides outside the canvas.
+ * The entries of the table `tableKey` names (see getHighScoreTableKey), best first.
  */
-function spawnZombie() {
-  const side = Math.floor(Math.random() * 4); // 0: top, 1: right, 2: bottom, 3: left
-  let x, y;
+function getHighScoreTable(entries, tableKey) {
+  return entries
+    .filter((entry) => getEntryTableKey(entry) === tableKey)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, HIGH_SCORE_LIMIT);
+}
 
-  if (side === 0) {
-    // Top
-    x = Math.random() * canvas.width;
-    y = -ZOMBIE_SIZE;
-  } else if (side === 1) {
-    // Right
-    x = canvas.width + ZOMBIE_SIZE;
-    y = Math.random() * canvas.height;
-  } else if (side === 2) {
-    // Bottom
-    x = Math.random() * canvas.width;
-    y = canvas.height + ZOMBIE_SIZE;
-  } else {
-    // Left
-    x = -ZOMBIE_SIZE;
-    y = Math.random() * canvas.height;
+function loadHighScores(tableKey) {
+  return getHighScoreTable(loadAllHighScores(), tableKey);
+}
+
+function saveHighScores(entries) {
+  try {
+    localStorage.setItem(
+      HIGH_SCORE_STORAGE_KEY,
+      JSON.stringify({ version: HIGH_SCORE_VERSION, entries })
+    );
+  } catch (err) {
+    console.warn("Could not save high scores:", err);
   }
+}
 
-  zombies.push(new Zombie(x, y, ZOMBIE_SIZE));
+function qualifiesForHighScore(finalScore, tableKey) {
+  if (finalScore <= 0) return false;
+  const entries = loadHighScores(tableKey);
+  return (
+    entries.length < HIGH_SCORE_LIMIT ||
+    finalScore > entries[entries.length - 1].score
+  );
 }
 
 /**
- * Updates all game logic: movement, spawning, and collisions.
+ * Inserts an entry into its table, keeps the top HIGH_SCORE_LIMIT and saves. Returns
+ * the entry's rank (0-based), or -1 if it didn't make the cut. Ties rank below older
+ * entries.
  */
-function updateGame() {
-  if (isGameOver) return;
+function addHighScore(entry) {
+  const all = loadAllHighScores();
+  const tableKey = getEntryTableKey(entry);
+  const entries = getHighScoreTable(all, tableKey);
+  let rank = entries.findIndex((other) => entry.score > other.score);
+  if (rank === -1) rank = entries.length;
+  if (rank >= HIGH_SCORE_LIMIT) return -1;
+  entries.splice(rank, 0, entry);
+  entries.length = Math.min(entries.length, HIGH_SCORE_LIMIT);
+  saveHighScores(all.filter((other) => getEntryTableKey(other) !== tableKey).concat(entries));
+  return rank;
+}
 
-  // 1. Spawning Logic: Increase difficulty by reducing spawn interval
-  const now = Date.now();
-  const spawnRateReduction = Math.min(score * 8, 1000); // Max reduction of 1000ms
-  const currentSpawnInterval = ZOMBIE_SPAWN_INTERVAL - spawnRateReduction;
+/**
+ * Uppercases and strips the typed initials to A-Z/0-9, falling back to DEFAULT_INITIALS.
+ */
+function sanitizeInitials(text) {
+  const initials = text
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "")
+    .slice(0, INITIALS_LENGTH);
+  return initials || DEFAULT_INITIALS;
+}
+
+/**
+ * Saves the game-over entry (if any) with the initials typed so far.
+ */
+function submitPendingHighScore() {
+  if (!pendingHighScore) return;
+  pendingHighScore.initials = sanitizeInitials(initialsInput.value);
+  const rank = addHighScore(pendingHighScore);
+  pendingHighScore = null;
+  initialsForm.style.display = "none";
+  renderHighScores(rank);
+}
+
+/**
+ * Formats a duration in ms as m:ss.
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const seconds = totalSeconds % 60;
+  return `${Math.floor(totalSeconds / 60)}:${seconds < 10 ? "0" : ""}${seconds}`;
+}
+
+/**
+ * Fills the table in the messages overlay: the finished run's table after a game
+ * over, else the one for the next run's difficulty (and custom values).
+ * `highlightRank` marks a just-saved entry.
+ */
+function renderHighScores(highlightRank = -1) {
+  const difficulty = isGameOver ? runDifficulty : selectedDifficulty;
+  const config = isGameOver ? balance : getDifficultyBalance(difficulty);
+  const entries = loadHighScores(getHighScoreTableKey(difficulty, config));
+  highScoreCaption.textContent = t(
+    difficulty === CUSTOM_DIFFICULTY ? "highScores.captionCustom" : "highScores.caption",
+    { difficulty: t(`difficulty.${difficulty}`) }
+  );
+  highScoreBody.replaceChildren();
+  highScoreTable.style.display = entries.length > 0 ? "table" : "none";
+
+  entries.forEach((entry, index) => {
+    const row = document.createElement("tr");
+    if (index === highlightRank) row.classList.add("highlight");
+    [
+      index + 1,
+      entry.initials,
+      entry.score,
+      entry.wave,
+      entry.kills,
+      formatDuration(entry.timeSurvived),
+      new Date(entry.date).toLocaleDateString(getLocale()),
+    ].forEach((value) => {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    highScoreBody.appendChild(row);
+  });
+}
+
+initialsForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  submitPendingHighScore();
+});
+
+// --- Save & Resume ---
+
+// JSON has no -Infinity ("never happened" timestamps), so those are stored as null
+function encodeTime(time) {
+  return Number.isFinite(time) ? time : null;
+}
+
+function decodeTime(value) {
+  return value === null ? -Infinity : value;
+}
+
+function isFiniteNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function hasFiniteNumbers(object, keys) {
+  return (
+    object !== null &&
+    typeof object === "object" &&
+    keys.every((key) => isFiniteNumber(object[key]))
+  );
+}
+
+function isTimeValue(value) {
+  return value === null || isFiniteNumber(value);
+}
+
+/**
+ * Captures the whole simulation as a plain JSON-safe object. Timers are game-clock
+ * timestamps, so they stay valid once gameTime is restored alongside them.
+ */
+function serializeGame() {
+  const bossIndex = waveState.boss ? zombies.indexOf(waveState.boss) : -1;
+  return {
+    version: SNAPSHOT_VERSION,
+    savedAt: new Date().toISOString(),
+    difficulty: runDifficulty,
+    balance: { ...balance },
+    gameTime,
+    score,
+    kills,
+    players: players.map((p) => ({
+      x: p.x,
+      y: p.y,
+      health: p.health,
+      weapon: p.weapon,
+      ammo: { ...p.ammo },
+      reloadEndTime: p.reloadEndTime,
+      lastShotTime: encodeTime(p.lastShotTime),
+      tripleShotEndTime: p.tripleShotEndTime,
+      damageBoostEndTime: p.damageBoostEndTime,
+      missiles: p.missiles,
+      aimAngle: p.aimAngle,
+      downed: p.downed,
+      reviveProgress: p.reviveProgress,
+    })),
+    wave: {
+      number: waveState.number,
+      phase: waveState.phase,
+      spawned: waveState.spawned,
+      lastSpawnTime: encodeTime(waveState.lastSpawnTime),
+      phaseStartTime: waveState.phaseStartTime,
+      bossIndex: bossIndex === -1 ? null : bossIndex,
+    },
+    zombies: zombies.map((zombie) => ({
+      type: zombie.type,
+      x: zombie.x,
+      y: zombie.y,
+      health: zombie.health,
+      initialHealth: zombie.initialHealth,
+      lastAttackTime: encodeTime(zombie.lastAttackTime),
+      strafeDirection: zombie.strafeDirection,
+      flankOffset: zombie.flankOffset,
+      wanderPhase: zombie.wanderPhase,
+    })),
+    bullets: bullets.map((bullet) => ({
+      weapon: WEAPON_ORDER.find((type) => WEAPON_TYPES[type] === bullet.weapon),
+      x: bullet.x,
+      y: bullet.y,
+      vx: bullet.vx,
+      vy: bullet.vy,
+      size: bullet.size,
+      damage: bullet.damage,
+      pierceLeft: bullet.pierceLeft,
+      traveled: bullet.traveled,
+    })),
+    missiles: missiles.map((missile) => ({
+      x: missile.x,
+      y: missile.y,
+      vx: missile.vx,
+      vy: missile.vy,
+      size: missile.size,
+    })),
+    spitProjectiles: spitProjectiles.map((spit) => ({
+      x: spit.x,
+      y: spit.y,
+      vx: spit.vx,
+      vy: spit.vy,
+      damage: spit.damage,
+    })),
+    items: items.map((item) => ({
+      type: item.type,
+      x: item.x,
+      y: item.y,
+      size: item.size,
+      creationTime: item.creationTime,
+    })),
+  };
+}
 
-  if (now - lastZombieSpawnTime > currentSpawnInterval) {
-    spawnZombie();
-    lastZombieSpawnTime = now;
+/**
+ * Structural check of a parsed snapshot, so restoring it can't throw or leave
+ * NaN/unknown types in the simulation.
+ */
+function isValidSnapshot(snapshot) {
+  if (
+    !hasFiniteNumbers(snapshot, ["version", "gameTime", "score", "kills"]) ||
+    snapshot.version !== SNAPSHOT_VERSION ||
+    !isDifficulty(snapshot.difficulty) ||
+    !isCompleteBalanceConfig(snapshot.balance) ||
+    !Array.isArray(snapshot.players) ||
+    snapshot.players.length < 1 ||
+    snapshot.players.length > MAX_PLAYERS
+  ) {
+    return false;
   }
 
-  // 2. Update entities
-  player.update();
-  bullets.forEach((bullet) => bullet.update());
-  missiles.forEach((missile) => missile.update());
-  zombies.forEach((zombie) => zombie.update());
-  // Items don't move, no update needed
+  const playersValid = snapshot.players.every(
+    (p) =>
+      hasFiniteNumbers(p, [
+        "x",
+        "y",
+        "health",
+        "reloadEndTime",
+        "tripleShotEndTime",
+        "damageBoostEndTime",
+        "missiles",
+        "aimAngle",
+        "reviveProgress",
+      ]) &&
+      isTimeValue(p.lastShotTime) &&
+      WEAPON_TYPES.hasOwnProperty(p.weapon) &&
+      hasFiniteNumbers(p.ammo, WEAPON_ORDER) &&
+      typeof p.downed === "boolean"
+  );
+  // A run where everyone is down has already ended
+  if (!playersValid || snapshot.players.every((p) => p.downed)) {
+    return false;
+  }
 
-  // 3. Item Expiry and Player vs Item Collision Detection
-  items = items.filter((item) => {
-    const now = Date.now();
+  const wave = snapshot.wave;
+  const lists = ["zombies", "bullets", "missiles", "spitProjectiles", "items"];
+  if (
+    !hasFiniteNumbers(wave, ["number", "spawned", "phaseStartTime"]) ||
+    !Number.isInteger(wave.number) ||
+    wave.number < 1 ||
+    (wave.phase !== "active" && wave.phase !== "intermission") ||
+    !isTimeValue(wave.lastSpawnTime) ||
+    !lists.every((key) => Array.isArray(snapshot[key]))
+  ) {
+    return false;
+  }
+  if (
+    wave.bossIndex !== null &&
+    !(
+      Number.isInteger(wave.bossIndex) &&
+      wave.bossIndex >= 0 &&
+      wave.bossIndex < snapshot.zombies.length
+    )
+  ) {
+    return false;
+  }
 
-    // Check for expiry (15 seconds)
-    if (now - item.creationTime > ITEM_LIFETIME) {
-      return false; // Remove expired item
-    }
+  return (
+    snapshot.zombies.every(
+      (z) =>
+        hasFiniteNumbers(z, [
+          "x",
+          "y",
+          "health",
+          "initialHealth",
+          "strafeDirection",
+          "flankOffset",
+          "wanderPhase",
+        ]) &&
+        ZOMBIE_TYPES.hasOwnProperty(z.type) &&
+        isTimeValue(z.lastAttackTime)
+    ) &&
+    snapshot.bullets.every(
+      (b) =>
+        hasFiniteNumbers(b, ["x", "y", "vx", "vy", "size", "damage", "pierceLeft", "traveled"]) &&
+        WEAPON_TYPES.hasOwnProperty(b.weapon)
+    ) &&
+    snapshot.missiles.every((m) => hasFiniteNumbers(m, ["x", "y", "vx", "vy", "size"])) &&
+    snapshot.spitProjectiles.every((sp) =>
+      hasFiniteNumbers(sp, ["x", "y", "vx", "vy", "damage"])
+    ) &&
+    snapshot.items.every(
+      (item) =>
+        hasFiniteNumbers(item, ["x", "y", "size", "creationTime"]) &&
+        ITEM_TYPES.includes(item.type)
+    )
+  );
+}
 
-    // Check for player collection collision
-    if (
-      dist(player.x, player.y, item.x, item.y) <
-      player.size / 2 + item.size / 2
-    ) {
-      player.applyUpgrade(item.type);
-      playItemSFX(); // Play item collected sound
-      return false; // Remove item (Collected)
-    }
-    return true; // Keep item
+/**
+ * Rebuilds the simulation from a validated snapshot. Expects the entity lists to
+ * be empty (initGame releases everything first).
+ */
+function restoreSnapshot(snapshot) {
+  // First: the players and zombies below are set up with the run's values
+  runDifficulty = snapshot.difficulty;
+  balance = { ...snapshot.balance };
+  gameTime = snapshot.gameTime;
+  score = snapshot.score;
+  kills = snapshot.kills;
+
+  players = snapshot.players.map((p, index) => {
+    const restored = new Player(p.x, p.y, PLAYER_SIZE, index);
+    restored.health = p.health;
+    restored.weapon = p.weapon;
+    WEAPON_ORDER.forEach((type) => {
+      restored.ammo[type] = clamp(p.ammo[type], 0, WEAPON_TYPES[type].magazine);
+    });
+    restored.reloadEndTime = p.reloadEndTime;
+    restored.lastShotTime = decodeTime(p.lastShotTime);
+    restored.tripleShotEndTime = p.tripleShotEndTime;
+    restored.damageBoostEndTime = p.damageBoostEndTime;
+    restored.missiles = clamp(p.missiles, 0, balance.maxMissileStock);
+    restored.aimAngle = p.aimAngle;
+    restored.downed = p.downed;
+    restored.reviveProgress = p.reviveProgress;
+    return restored;
   });
-  enforceItemCap(); // Safety: ensure per-type cap after any removals
 
-  // 4. Collision Detection (Bullet vs Zombie)
-  bullets = bullets.filter((bullet) => {
-    let hit = false;
-    zombies = zombies.filter((zombie) => {
-      if (
-        dist(bullet.x, bullet.y, zombie.x, zombie.y) <
-        bullet.size / 2 + zombie.size / 2
-      ) {
-        // Hit!
-        const damage = 10 * player.bulletDamageMultiplier; // CHANGED: Use player damage multiplier
-        zombie.health -= damage; // Apply calculated damage
-        // Push zombie back one step along bullet direction
-        const mag = Math.hypot(bullet.vx, bullet.vy) || 1;
-        const knockbackX = (bullet.vx / mag) * ZOMBIE_KNOCKBACK_DISTANCE;
-        const knockbackY = (bullet.vy / mag) * ZOMBIE_KNOCKBACK_DISTANCE;
-        zombie.x += knockbackX;
-        zombie.y += knockbackY;
-        // Keep zombie in bounds
-        zombie.x = Math.max(zombie.size / 2, Math.min(canvas.width - zombie.size / 2, zombie.x));
-        zombie.y = Math.max(zombie.size / 2, Math.min(canvas.height - zombie.size / 2, zombie.y));
-        if (zombie.health <= 0) {
-          score += 10;
-          playHitSFX(); // Play zombie death sound
-
-          // --- Item Drop Logic (50% chance) ---
-          if (Math.random() < UPGRADE_CHANCE) {
-            // CHANGED: Added 'damage_boost'
-            const itemTypes = ["triple_shot", "health_pack", "damage_boost", "bomb"];
-            const randomType =
-              itemTypes[Math.floor(Math.random() * itemTypes.length)];
-
-            // Only spawn if under per-type limit
-            if (countItemsByType(randomType) < MAX_ITEMS_PER_TYPE) {
-              const spawnPos = getItemSpawnPosition(zombie.x, zombie.y);
-              const newItem = new Item(spawnPos.x, spawnPos.y, ITEM_SIZE, randomType);
-              items.push(newItem);
-            }
-          }
-          // --- End Item Drop Logic ---
-
-          return false; // Remove zombie (Killed)
-        }
-        hit = true; // Bullet disappears
-        return true; // Keep zombie
-      }
-      return true; // Keep zombie
-    });
-    return !hit && !bullet.isOffScreen(); // Keep bullet if it didn't hit and is on screen
+  snapshot.zombies.forEach((z) => {
+    const zombie = entityPools.zombies.acquire().init(z.x, z.y, z.type, 1);
+    zombie.health = z.health;
+    zombie.initialHealth = z.initialHealth;
+    zombie.lastAttackTime = decodeTime(z.lastAttackTime);
+    zombie.strafeDirection = z.strafeDirection;
+    zombie.flankOffset = z.flankOffset;
+    zombie.wanderPhase = z.wanderPhase;
+    zombies.push(zombie);
+  });
+  snapshot.bullets.forEach((b) => {
+    const bullet = entityPools.bullets
+      .acquire()
+      .init(b.x, b.y, b.size, Math.atan2(b.vy, b.vx), WEAPON_TYPES[b.weapon]);
+    bullet.damage = b.damage;
+    bullet.pierceLeft = b.pierceLeft;
+    bullet.traveled = b.traveled;
+    bullets.push(bullet);
+  });
+  snapshot.missiles.forEach((m) => {
+    missiles.push(
+      entityPools.missiles.acquire().init(m.x, m.y, m.size, Math.atan2(m.vy, m.vx))
+    );
+  });
+  snapshot.spitProjectiles.forEach((sp) => {
+    spitProjectiles.push(
+      entityPools.spitProjectiles
+        .acquire()
+        .init(sp.x, sp.y, Math.atan2(sp.vy, sp.vx), sp.damage)
+    );
+  });
+  snapshot.items.forEach((i) => {
+    const item = new Item(i.x, i.y, i.size, i.type);
+    item.creationTime = i.creationTime;
+    items.push(item);
   });
-  enforceItemCap(); // Clamp newly spawned items within per-type cap immediately
 
-  // 5. Collision Detection (Missile vs Zombie or bounds)
-  missiles = missiles.filter((missile) => {
-    let exploded = false;
-    for (let i = 0; i < zombies.length; i++) {
-      const zombie = zombies[i];
-      if (
-        dist(missile.x, missile.y, zombie.x, zombie.y) <
-        missile.size / 2 + zombie.size / 2
-      ) {
-        triggerBombExplosion(missile.x, missile.y);
-        exploded = true;
-        break;
-      }
-    }
+  const wave = snapshot.wave;
+  waveState = createWaveState();
+  waveState.number = wave.number;
+  waveState.phase = wave.phase;
+  waveState.config = getWaveConfig(wave.number);
+  waveState.spawned = wave.spawned;
+  waveState.lastSpawnTime = decodeTime(wave.lastSpawnTime);
+  waveState.phaseStartTime = wave.phaseStartTime;
+  waveState.boss = wave.bossIndex === null ? null : zombies[wave.bossIndex];
+}
 
-    if (!exploded && missile.isOffScreen()) {
-      triggerBombExplosion(missile.x, missile.y);
-      exploded = true;
-    }
+/**
+ * Saves the current run (on pause and when the page is hidden). No-op before the
+ * first game, after game over and online.
+ */
+function saveSnapshot() {
+  if (players.length === 0 || isGameOver || isOnlineGame()) return;
+  try {
+    localStorage.setItem(SNAPSHOT_STORAGE_KEY, JSON.stringify(serializeGame()));
+  } catch (err) {
+    console.warn("Could not save the game:", err);
+  }
+}
+
+/**
+ * Returns the saved snapshot, or null. Corrupt or outdated snapshots are deleted.
+ */
+function loadSnapshot() {
+  let json;
+  try {
+    json = localStorage.getItem(SNAPSHOT_STORAGE_KEY);
+  } catch (err) {
+    return null; // Storage blocked
+  }
+  if (json === null) return null;
+
+  let snapshot = null;
+  try {
+    snapshot = JSON.parse(json);
+  } catch (err) {
+    // Unparseable; rejected below like any other invalid snapshot
+  }
+  if (!isValidSnapshot(snapshot)) {
+    console.warn("Discarding a corrupt or outdated saved game");
+    clearSnapshot();
+    return null;
+  }
+  return snapshot;
+}
+
+function clearSnapshot() {
+  try {
+    localStorage.removeItem(SNAPSHOT_STORAGE_KEY);
+  } catch (err) {
+    // Storage blocked; nothing to clear
+  }
+}
+
+/**
+ * Shows "Continue" on the start/game-over screen only when a usable snapshot exists.
+ */
+function updateContinueButton() {
+  const snapshot = loadSnapshot();
+  continueButton.style.display = snapshot ? "block" : "none";
+  if (snapshot) {
+    continueButton.textContent = t("continue.details", {
+      wave: snapshot.wave.number,
+      score: snapshot.score,
+      count: snapshot.score,
+    });
+  }
+}
 
-    return !exploded;
+// --- Settings ---
+
+let palette = COLOR_PALETTES.default; // Active colour palette, set by applySettings()
+let settings = loadSettings();
+let keyToAction = {}; // Reverse of settings.keyBindings, rebuilt by applySettings()
+let isSettingsOpen = false;
+let rebindingAction = null; // Action waiting for a key press on the settings screen
+applySettings();
+
+function getDefaultSettings() {
+  const prefersReducedMotion =
+    !!window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+  // Phones and tablets get the light particle budget until the player asks for more
+  const isTouchDevice = !!window.matchMedia && window.matchMedia("(pointer: coarse)").matches;
+  return {
+    ...DEFAULT_SETTINGS,
+    language: detectLanguage(),
+    reducedMotion: prefersReducedMotion,
+    particleQuality: isTouchDevice ? "low" : DEFAULT_SETTINGS.particleQuality,
+    keyBindings: { ...DEFAULT_KEY_BINDINGS },
+  };
+}
+
+/**
+ * True if every action has its own non-reserved key.
+ */
+function isValidKeyBindings(bindings) {
+  if (bindings === null || typeof bindings !== "object") return false;
+  const used = new Set();
+  return Object.keys(DEFAULT_KEY_BINDINGS).every((action) => {
+    const key = bindings[action];
+    if (typeof key !== "string" || key === "" || RESERVED_KEYS.includes(key) || used.has(key)) {
+      return false;
+    }
+    used.add(key);
+    return true;
   });
+}
 
-  // 5. Expire explosion visuals
-  explosions = explosions.filter(
-    (explosion) => Date.now() - explosion.startTime <= EXPLOSION_DURATION
-  );
+/**
+ * Reads settings from localStorage. Invalid fields fall back to their defaults
+ * one by one; another version (or unreadable JSON) means all defaults.
+ */
+function loadSettings() {
+  const loaded = getDefaultSettings();
+  let data = null;
+  try {
+    data = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+  } catch (err) {
+    return loaded;
+  }
+  if (!data || data.version !== SETTINGS_VERSION) return loaded;
+
+  ["masterVolume", "musicVolume", "sfxVolume"].forEach((name) => {
+    if (isFiniteNumber(data[name])) loaded[name] = clamp(data[name], 0, 1);
+  });
+  if (typeof data.muted === "boolean") loaded.muted = data.muted;
+  if (typeof data.touchAutoAim === "boolean") loaded.touchAutoAim = data.touchAutoAim;
+  if (COLOR_PALETTES.hasOwnProperty(data.colorPalette)) loaded.colorPalette = data.colorPalette;
+  if (I18N_CATALOGS.hasOwnProperty(data.language)) loaded.language = data.language;
+  if (typeof data.highContrast === "boolean") loaded.highContrast = data.highContrast;
+  if (typeof data.reducedMotion === "boolean") loaded.reducedMotion = data.reducedMotion;
+  if (PARTICLE_QUALITY.hasOwnProperty(data.particleQuality)) {
+    loaded.particleQuality = data.particleQuality;
+  }
+  if (isFiniteNumber(data.hudScale)) {
+    loaded.hudScale = clamp(data.hudScale, HUD_SCALE_MIN, HUD_SCALE_MAX);
+  }
+  if (isFiniteNumber(data.touchAimSensitivity)) {
+    loaded.touchAimSensitivity = clamp(
+      data.touchAimSensitivity,
+      TOUCH_AIM_SENSITIVITY_MIN,
+      TOUCH_AIM_SENSITIVITY_MAX
+    );
+  }
+  if (data.keyBindings !== null && typeof data.keyBindings === "object") {
+    // Actions added since the save keep their default keys (if those are still free)
+    const keyBindings = { ...DEFAULT_KEY_BINDINGS, ...data.keyBindings };
+    if (isValidKeyBindings(keyBindings)) loaded.keyBindings = keyBindings;
+  }
+  return loaded;
+}
 
-  // 5. Check Game Over
-  if (player.health <= 0) {
-    gameOver();
+function saveSettings() {
+  try {
+    localStorage.setItem(
+      SETTINGS_STORAGE_KEY,
+      JSON.stringify({ version: SETTINGS_VERSION, ...settings })
+    );
+  } catch (err) {
+    console.warn("Could not save settings:", err);
   }
 }
 
 /**
- * Clears the canvas and redraws all game entities.
+ * Applies the current settings right away (mixer levels, key map and display
+ * modes), mid-run included.
  */
-function drawGame() {
-  // Clear canvas (background)
-  ctx.fillStyle = "#222";
-  ctx.fillRect(0, 0, canvas.width, canvas.height);
+function applySettings() {
+  applyAudioSettings();
+  keyToAction = {};
+  Object.keys(settings.keyBindings).forEach((action) => {
+    keyToAction[settings.keyBindings[action]] = action;
+  });
 
-  // Draw all entities
-  player.draw();
-  bullets.forEach((bullet) => bullet.draw());
-  missiles.forEach((missile) => missile.draw());
-  zombies.forEach((zombie) => zombie.draw());
-  drawExplosions();
-  items.forEach((item) => item.draw()); // Draw items
+  setLanguage(settings.language);
+  palette = COLOR_PALETTES[settings.colorPalette];
+  document.body.classList.toggle("high-contrast", settings.highContrast);
+  document.body.classList.toggle("reduced-motion", settings.reducedMotion);
+  document.documentElement.style.setProperty("--hud-scale", settings.hudScale);
+  // Make updateStatsDisplay() redraw the HUD in the new colours/language
+  [lastHudValues, ...playerHuds.map((hud) => hud.last)].forEach((cache) => {
+    Object.keys(cache).forEach((key) => delete cache[key]);
+  });
+}
 
-  // Draw the weapon aiming line on top of items for better visibility
-  player.draw();
+/**
+ * Changes one setting, applies and persists it.
+ */
+function updateSetting(name, value) {
+  settings[name] = value;
+  applySettings();
+  saveSettings();
+  syncSettingsForm();
+}
+
+function resetSettings() {
+  settings = getDefaultSettings();
+  rebindingAction = null;
+  applySettings();
+  saveSettings();
+  syncSettingsForm();
+  refreshTranslatedText();
 }
 
 /**
- * The main game loop using requestAnimationFrame.
+ * Re-renders the text built in code (setLanguage() only covers the tagged HTML).
+ * The HUD and canvas text catch up on their own next frame.
  */
-function gameLoop() {
-  updateGame();
-  drawGame();
-  if (!isGameOver) {
-    gameLoopId = requestAnimationFrame(gameLoop);
+function refreshTranslatedText() {
+  renderMessages();
+  renderOnlineStatus();
+  renderHighScores();
+  updateContinueButton();
+  renderKeyBindings();
+  if (isAchievementsOpen) renderAchievements();
+  if (isBalanceEditorOpen) renderBalanceFields();
+}
+
+function getActionLabel(action) {
+  if (action.startsWith("weapon")) {
+    const slot = Number(action.slice(6));
+    const weapon = t(`weapons.${WEAPON_ORDER[slot - 1]}`);
+    return t("actions.weaponSlot", { slot, weapon });
   }
+  return t(`actions.${action}`);
 }
 
 /**
- * Handles the click event for both initial start and play again.
- * This function also handles the browser-mandated audio context start.
+ * Display name for a KeyboardEvent.key ("w" -> "W", " " -> "Space").
  */
-function handleStartAudioAndGame() {
-  // 1. Ensure audio context is resumed/started on user gesture (click)
-  setupAudio();
-  Tone.start().then(() => {
-    startBGM(); // Start BGM after context is running
-  });
-
-  // 2. Hide the message box and start the game
-  initGame();
+function formatKeyName(key) {
+  if (key === " ") return "Space";
+  if (key.length === 1) return key.toUpperCase();
+  return key.charAt(0).toUpperCase() + key.slice(1);
 }
 
 /**
- * Sets the game to an over state and displays the score message.
+ * Copies the current settings into the form controls.
  */
-function gameOver() {
-  isGameOver = true;
-  stopBGM(); // Stop BGM on game over
-  cancelAnimationFrame(gameLoopId);
+function syncSettingsForm() {
+  languageSelect.value = settings.language;
+  masterVolumeInput.value = Math.round(settings.masterVolume * 100);
+  musicVolumeInput.value = Math.round(settings.musicVolume * 100);
+  sfxVolumeInput.value = Math.round(settings.sfxVolume * 100);
+  muteToggle.checked = settings.muted;
+  touchSensitivityInput.value = Math.round(settings.touchAimSensitivity * 100);
+  autoAimToggle.checked = settings.touchAutoAim;
+  particleQualitySelect.value = settings.particleQuality;
+  colorPaletteSelect.value = settings.colorPalette;
+  highContrastToggle.checked = settings.highContrast;
+  reducedMotionToggle.checked = settings.reducedMotion;
+  hudScaleInput.value = Math.round(settings.hudScale * 100);
+}
 
-  const controlButton = document.getElementById("gameControlButton");
+/**
+ * Builds one row per action: its label and a button showing the bound key.
+ * Clicking the button waits for the next key press (see captureKeyBinding).
+ */
+function renderKeyBindings() {
+  keyBindingsList.replaceChildren();
+  Object.keys(DEFAULT_KEY_BINDINGS).forEach((action) => {
+    const row = document.createElement("div");
+    row.className = "key-binding";
+    const label = document.createElement("span");
+    label.textContent = getActionLabel(action);
+    const button = document.createElement("button");
+    button.className = "key-bind-button";
+    button.textContent =
+      rebindingAction === action
+        ? t("settings.pressKey")
+        : formatKeyName(settings.keyBindings[action]);
+    button.addEventListener("click", () => {
+      rebindingAction = action;
+      renderKeyBindings();
+    });
+    row.appendChild(label);
+    row.appendChild(button);
+    keyBindingsList.appendChild(row);
+  });
+}
 
-  messageTitle.textContent = "เกมโอเวอร์! (Game Over!)";
-  messageScore.textContent = `คะแนนสุดท้าย: ${score}`;
-  controlButton.textContent = "เล่นใหม่"; // Change button text for replay
+/**
+ * Binds the pressed key to the action being rebound. If another action already
+ * uses that key, the two swap. Esc cancels; arrow keys are ignored (fixed movement).
+ */
+function captureKeyBinding(key) {
+  if (key === "escape") {
+    rebindingAction = null;
+    renderKeyBindings();
+    return;
+  }
+  if (RESERVED_KEYS.includes(key)) return;
 
-  messagesDiv.style.visibility = "visible";
-  messagesDiv.style.display = "flex";
-  // The button onclick attribute already points to handleStartAudioAndGame()
+  const bindings = settings.keyBindings;
+  const previousKey = bindings[rebindingAction];
+  const otherAction = keyToAction[key];
+  if (otherAction && otherAction !== rebindingAction) {
+    bindings[otherAction] = previousKey;
+  }
+  bindings[rebindingAction] = key;
+  rebindingAction = null;
+  applySettings();
+  saveSettings();
+  renderKeyBindings();
 }
 
 /**
- * Resets the game state and starts the game loop.
+ * Opens the settings screen. A running game is paused underneath it.
  */
-function initGame() {
-  // *** FIX: Reset all input states to prevent unwanted movement on start ***
-  keys = {
-    w: false,
-    a: false,
-    s: false,
-    d: false,
-    up: false,
-    down: false,
-    left: false,
-    right: false,
-  };
-  mouse = { x: 0, y: 0, isFiring: false };
-  resetJoystick();
-  // ************************************************************************
+function openSettings() {
+  pauseGame(); // No-op on the start/game-over screen
+  isSettingsOpen = true;
+  rebindingAction = null;
+  syncSettingsForm();
+  renderKeyBindings();
+  settingsOverlay.style.visibility = "visible";
+  settingsOverlay.style.display = "flex";
+}
 
-  // Reset state
-  isGameOver = false;
-  // Ensure player is created after canvas resize
-  player = new Player(canvas.width / 2, canvas.height / 2, PLAYER_SIZE);
-  bullets = [];
-  missiles = [];
-  zombies = [];
-  items = []; // Reset items array
-  explosions = []; // Reset explosion effects
-  score = 0;
-  lastZombieSpawnTime = 0;
-  bombCount = 0;
+function closeSettings() {
+  isSettingsOpen = false;
+  rebindingAction = null;
+  settingsOverlay.style.visibility = "hidden";
+  settingsOverlay.style.display = "none";
+}
 
-  // Reset message box
-  messagesDiv.style.visibility = "hidden";
-  messagesDiv.style.display = "none";
+masterVolumeInput.addEventListener("input", () => {
+  updateSetting("masterVolume", masterVolumeInput.value / 100);
+});
+musicVolumeInput.addEventListener("input", () => {
+  updateSetting("musicVolume", musicVolumeInput.value / 100);
+});
+sfxVolumeInput.addEventListener("input", () => {
+  updateSetting("sfxVolume", sfxVolumeInput.value / 100);
+});
+muteToggle.addEventListener("change", () => {
+  updateSetting("muted", muteToggle.checked);
+});
+touchSensitivityInput.addEventListener("input", () => {
+  updateSetting("touchAimSensitivity", touchSensitivityInput.value / 100);
+});
+autoAimToggle.addEventListener("change", () => {
+  updateSetting("touchAutoAim", autoAimToggle.checked);
+});
+particleQualitySelect.addEventListener("change", () => {
+  updateSetting("particleQuality", particleQualitySelect.value);
+});
+languageSelect.addEventListener("change", () => {
+  updateSetting("language", languageSelect.value);
+  refreshTranslatedText();
+});
+colorPaletteSelect.addEventListener("change", () => {
+  updateSetting("colorPalette", colorPaletteSelect.value);
+});
+highContrastToggle.addEventListener("change", () => {
+  updateSetting("highContrast", highContrastToggle.checked);
+});
+reducedMotionToggle.addEventListener("change", () => {
+  updateSetting("reducedMotion", reducedMotionToggle.checked);
+});
+hudScaleInput.addEventListener("input", () => {
+  updateSetting("hudScale", hudScaleInput.value / 100);
+});
 
-  // Reset stats
-  updateStatsDisplay();
+// --- Input Handlers (Desktop) ---
 
-  // Start game loop
-  if (gameLoopId) cancelAnimationFrame(gameLoopId);
-  gameLoopId = requestAnimationFrame(gameLoop);
+/**
+ * Maps a KeyboardEvent.key to its bound action (or undefined).
+ */
+function getKeyAction(key) {
+  return keyToAction[key] || ARROW_KEY_ACTIONS[key];
 }
 
-// --- Input Handlers (Desktop) ---
-
 document.addEventListener("keydown", (e) => {
+  // The settings screen owns the keyboard while it's open
+  if (rebindingAction) {
+    e.preventDefault();
+    captureKeyBinding(e.key.toLowerCase());
+    return;
+  }
+  if (isSettingsOpen) {
+    if (e.key === "Escape") closeSettings();
+    return;
+  }
+  if (isOnlineLobbyOpen) {
+    if (e.key === "Escape") closeOnlineLobby();
+    return; // Typing a room code
+  }
+  if (isAchievementsOpen) {
+    if (e.key === "Escape") closeAchievements();
+    return;
+  }
+  if (isBalanceEditorOpen) {
+    if (e.key === "Escape") closeBalanceEditor();
+    return; // Typing values
+  }
+  // Typing in a field (e.g. the game-over initials) isn't a game key
+  if (e.target.closest && e.target.closest("input, textarea, select")) return;
+
+  const action = getKeyAction(e.key.toLowerCase());
+  if (action === "toggleMute") {
+    updateSetting("muted", !settings.muted);
+    return;
+  }
   if (isGameOver) return;
-  const key = e.key.toLowerCase();
-  if (keys.hasOwnProperty(key)) keys[key] = true;
-  if (e.key === "ArrowUp") keys.up = true;
-  if (e.key === "ArrowDown") keys.down = true;
-  if (e.key === "ArrowLeft") keys.left = true;
-  if (e.key === "ArrowRight") keys.right = true;
-  // Fire bomb missile on 'r'
-  if (key === "r" && player) {
-    player.fireBombMissile();
+  // Esc / pause key toggles the pause overlay; ignore everything else while paused
+  if (e.key === "Escape" || action === "pause") {
+    togglePause();
+    return;
+  }
+  if (action === "toggleDebug") {
+    showDebugOverlay = !showDebugOverlay;
+    return;
+  }
+  if (isPaused || !action || players.length === 0) return;
+
+  // Undefined outside local co-op, so the p2 keys do nothing
+  const player2 = isOnlineGame() ? undefined : players[1];
+  if (keys.hasOwnProperty(action)) {
+    keys[action] = true;
+  } else if (action === "fireMissile") {
+    runPlayerCommand(getLocalPlayer(), "fireMissile");
+  } else if (action === "reload") {
+    runPlayerCommand(getLocalPlayer(), "reload");
+  } else if (action.startsWith("weapon")) {
+    runPlayerCommand(getLocalPlayer(), "switchWeapon", WEAPON_ORDER[Number(action.slice(6)) - 1]);
+  } else if (player2 && action === "p2FireMissile") {
+    runPlayerCommand(player2, "fireMissile");
+  } else if (player2 && action === "p2Reload") {
+    runPlayerCommand(player2, "reload");
+  } else if (player2 && action === "p2SwitchWeapon") {
+    runPlayerCommand(player2, "cycleWeapon", 1);
   }
 });
 
 document.addEventListener("keyup", (e) => {
-  if (isGameOver) return;
-  const key = e.key.toLowerCase();
-  if (keys.hasOwnProperty(key)) keys[key] = false;
-  if (e.key === "ArrowUp") keys.up = false;
-  if (e.key === "ArrowDown") keys.down = false;
-  if (e.key === "ArrowLeft") keys.left = false;
-  if (e.key === "ArrowRight") keys.right = false;
+  if (isGameOver || isPaused) return;
+  const action = getKeyAction(e.key.toLowerCase());
+  if (keys.hasOwnProperty(action)) keys[action] = false;
 });
 
 /**
- * Calculates mouse position relative to the canvas.
+ * Calculates mouse position relative to the canvas (screen space), then maps it
+ * into the world through the camera.
  */
 function getMousePos(e) {
   const rect = canvas.getBoundingClientRect();
   // Calculate normalized coordinates relative to canvas size
   const scaleX = canvas.width / rect.width;
   const scaleY = canvas.height / rect.height;
-  mouse.x = (e.clientX - rect.left) * scaleX;
-  mouse.y = (e.clientY - rect.top) * scaleY;
+  mouse.screenX = (e.clientX - rect.left) * scaleX;
+  mouse.screenY = (e.clientY - rect.top) * scaleY;
+  // The mouse/touch takes over aiming from the right stick (unless the pad is player 2's)
+  if (getGamepadPlayer() === getLocalPlayer()) gamepadState.aiming = false;
+  updateMouseWorldPosition();
 }
 
 canvas.addEventListener("mousemove", getMousePos);
 canvas.addEventListener("mousedown", () => {
-  if (!isGameOver) mouse.isFiring = true;
+  if (!isGameOver && !isPaused) mouse.isFiring = true;
 });
 document.addEventListener("mouseup", () => {
   mouse.isFiring = false;
 });
 
+// Mouse wheel cycles weapons (throttled; trackpads fire lots of small events)
+let lastWheelSwitchTime = -Infinity;
+canvas.addEventListener(
+  "wheel",
+  (e) => {
+    e.preventDefault();
+    if (isGameOver || isPaused || players.length === 0 || e.deltaY === 0) return;
+    if (e.timeStamp - lastWheelSwitchTime < WEAPON_WHEEL_COOLDOWN) return;
+    lastWheelSwitchTime = e.timeStamp;
+    runPlayerCommand(getLocalPlayer(), "cycleWeapon", e.deltaY > 0 ? 1 : -1);
+  },
+  { passive: false }
+);
+
 // --- Input Handlers (Mobile/Touch) ---
 
-const fireButton = document.getElementById("fireButton");
-const joystick = document.getElementById("joystick");
-const joystickHandle = joystick.querySelector(".joystick-handle");
-const joystickState = { active: false, startX: 0, startY: 0, dx: 0, dy: 0 };
-const joystickRadius = 50;
+const weaponButton = document.getElementById("weaponButton");
+const missileButton = document.getElementById("missileButton");
+const missileCountElement = document.getElementById("missile-count");
 
-// Touch Fire Button
-fireButton.addEventListener("touchstart", (e) => {
-  e.preventDefault();
-  if (!isGameOver) mouse.isFiring = true;
-  // Set aim to player's center if no dedicated aim touch is active
-  if (!touchAimState.active) {
-    mouse.x = player.x;
-    mouse.y = player.y;
+/**
+ * On-screen thumbstick. Follows the one touch that started on it and exposes the
+ * deflection as dx/dy (-1 to 1, magnitude capped at 1).
+ */
+class VirtualStick {
+  constructor(element, radius) {
+    this.element = element;
+    this.handle = element.querySelector(".joystick-handle");
+    this.radius = radius;
+    this.touchId = null;
+    this.centerX = 0;
+    this.centerY = 0;
+    this.reset();
+
+    element.addEventListener("touchstart", (e) => {
+      e.preventDefault();
+      if (isGameOver || isPaused || this.active) return;
+      const touch = e.changedTouches[0];
+      const rect = element.getBoundingClientRect();
+      this.active = true;
+      this.touchId = touch.identifier;
+      this.centerX = rect.left + rect.width / 2;
+      this.centerY = rect.top + rect.height / 2;
+      this.move(touch.clientX, touch.clientY);
+    });
   }
-});
-fireButton.addEventListener("touchend", (e) => {
-  e.preventDefault();
-  mouse.isFiring = false;
-});
 
-// Touch aiming state (for aiming outside of joystick/fire buttons)
-let touchAimState = { active: false, touchId: null };
-
-// Main touch handler for canvas (only handles aiming/mouse position update)
-canvas.addEventListener("touchstart", (e) => {
-  // Only capture a touch for aiming if the joystick is NOT active
-  if (isGameOver || joystickState.active || touchAimState.active) return;
+  get magnitude() {
+    return Math.hypot(this.dx, this.dy);
+  }
 
-  // Check if the touch is far away from the controls area (rough check)
-  const touch = e.changedTouches[0];
-  const rect = canvas.getBoundingClientRect();
-  const isNearControls = touch.clientY > rect.bottom - 150; // Check if touch is near bottom 150px
+  move(currentX, currentY) {
+    const dxRaw = currentX - this.centerX;
+    const dyRaw = currentY - this.centerY;
+    const distance = Math.min(dist(0, 0, dxRaw, dyRaw), this.radius);
+    const angle = Math.atan2(dyRaw, dxRaw);
+    this.dx = (distance / this.radius) * Math.cos(angle);
+    this.dy = (distance / this.radius) * Math.sin(angle);
+
+    // The handle moves up to half the radius
+    this.handle.style.transform = `translate(${this.dx * this.radius * 0.5}px, ${
+      this.dy * this.radius * 0.5
+    }px)`;
+  }
 
-  if (!isNearControls) {
-    e.preventDefault();
-    touchAimState.active = true;
-    touchAimState.touchId = touch.identifier;
-    getMousePos(touch);
+  reset() {
+    this.active = false;
+    this.touchId = null;
+    this.dx = 0;
+    this.dy = 0;
+    this.handle.style.transform = "translate(0, 0)";
   }
-});
+}
 
-canvas.addEventListener(
+// Twin sticks: left moves, right aims and fires while deflected
+const moveStick = new VirtualStick(document.getElementById("joystick"), 50);
+const aimStick = new VirtualStick(document.getElementById("aimStick"), 50);
+const virtualSticks = [moveStick, aimStick];
+let aimStickFiring = false; // True while the aim stick (not the mouse/pad) holds the trigger
+
+// Sticks keep tracking their finger even after it slides off the stick
+document.addEventListener(
   "touchmove",
   (e) => {
     if (isGameOver) return;
 
     for (let i = 0; i < e.changedTouches.length; i++) {
       const touch = e.changedTouches[i];
-      if (touch.identifier === touchAimState.touchId) {
-        e.preventDefault();
-        getMousePos(touch);
-        break;
-      }
+      virtualSticks.forEach((stick) => {
+        if (stick.active && touch.identifier === stick.touchId) {
+          e.preventDefault();
+          stick.move(touch.clientX, touch.clientY);
+        }
+      });
     }
   },
   { passive: false }
 );
 
-canvas.addEventListener("touchend", (e) => {
-  // Clear touch aiming
+function releaseVirtualSticks(e) {
   for (let i = 0; i < e.changedTouches.length; i++) {
     const touch = e.changedTouches[i];
-    if (touch.identifier === touchAimState.touchId) {
-      touchAimState.active = false;
-      touchAimState.touchId = null;
-      break;
+    virtualSticks.forEach((stick) => {
+      if (stick.active && touch.identifier === stick.touchId) stick.reset();
+    });
+  }
+}
+document.addEventListener("touchend", releaseVirtualSticks);
+document.addEventListener("touchcancel", releaseVirtualSticks);
+
+/**
+ * Closest living zombie to the local (touch) player within `range`, or null.
+ */
+function findNearestZombie(range) {
+  const player = getLocalPlayer();
+  let nearest = null;
+  let nearestDistance = range;
+  for (let i = 0; i < zombies.length; i++) {
+    const zombie = zombies[i];
+    if (zombie.isDead) continue;
+    const distance = dist(player.x, player.y, zombie.x, zombie.y);
+    if (distance < nearestDistance) {
+      nearest = zombie;
+      nearestDistance = distance;
     }
   }
-});
+  return nearest;
+}
+
+/**
+ * Called every tick before the player updates: while the aim stick is deflected
+ * past its deadzone, parks the cursor in that direction (or on the nearest zombie
+ * with auto-aim on) and holds the trigger.
+ */
+function updateTouchAim() {
+  if (aimStick.magnitude < TOUCH_AIM_STICK_DEADZONE) {
+    // Only release firing we started, like the gamepad
+    if (aimStickFiring) mouse.isFiring = false;
+    aimStickFiring = false;
+    return;
+  }
 
-// Joystick logic
-let activeJoystickTouchId = null;
+  const player = getLocalPlayer();
+  let angle = Math.atan2(aimStick.dy, aimStick.dx);
+  if (settings.touchAutoAim) {
+    const target = findNearestZombie(TOUCH_AUTO_AIM_RANGE);
+    if (target) angle = Math.atan2(target.y - player.y, target.x - player.x);
+  }
+  mouse.screenX = player.x - camera.x + Math.cos(angle) * TOUCH_AIM_DISTANCE;
+  mouse.screenY = player.y - camera.y + Math.sin(angle) * TOUCH_AIM_DISTANCE;
+  updateMouseWorldPosition();
+  mouse.isFiring = true;
+  aimStickFiring = true;
+}
 
-joystick.addEventListener("touchstart", (e) => {
+// Touch Weapon Button: cycles to the next weapon
+weaponButton.addEventListener("touchstart", (e) => {
   e.preventDefault();
-  if (isGameOver) return;
+  if (!isGameOver && !isPaused && players.length > 0) {
+    runPlayerCommand(getLocalPlayer(), "cycleWeapon", 1);
+  }
+});
 
-  const touch = e.changedTouches[0];
-  const rect = joystick.getBoundingClientRect();
+// Touch Missile Button: fires at the current aim (the count is kept by updateStatsDisplay)
+missileButton.addEventListener("touchstart", (e) => {
+  e.preventDefault();
+  if (!isGameOver && !isPaused && players.length > 0) {
+    runPlayerCommand(getLocalPlayer(), "fireMissile");
+  }
+});
+
+// Touch aiming state (a finger dragged on the canvas itself)
+let touchAimState = { active: false, touchId: null, lastX: 0, lastY: 0 };
+
+/**
+ * Drags the aim point by the finger's movement, scaled by the touch aim
+ * sensitivity setting (1 = the aim follows the finger exactly).
+ */
+function dragTouchAim(touch) {
+  const rect = canvas.getBoundingClientRect();
+  const sensitivity = settings.touchAimSensitivity;
+  const scaleX = canvas.width / rect.width;
+  const scaleY = canvas.height / rect.height;
+  mouse.screenX = clamp(
+    mouse.screenX + (touch.clientX - touchAimState.lastX) * scaleX * sensitivity,
+    0,
+    canvas.width
+  );
+  mouse.screenY = clamp(
+    mouse.screenY + (touch.clientY - touchAimState.lastY) * scaleY * sensitivity,
+    0,
+    canvas.height
+  );
+  touchAimState.lastX = touch.clientX;
+  touchAimState.lastY = touch.clientY;
+  updateMouseWorldPosition();
+}
 
-  joystickState.active = true;
-  activeJoystickTouchId = touch.identifier;
-  // Calculate the center of the joystick on screen
-  joystickState.startX = rect.left + rect.width / 2;
-  joystickState.startY = rect.top + rect.height / 2;
+// Main touch handler for canvas (aiming only; the sticks live outside the canvas)
+canvas.addEventListener("touchstart", (e) => {
+  if (isGameOver || isPaused || touchAimState.active) return;
 
-  updateJoystick(touch.clientX, touch.clientY);
+  e.preventDefault();
+  const touch = e.changedTouches[0];
+  touchAimState.active = true;
+  touchAimState.touchId = touch.identifier;
+  touchAimState.lastX = touch.clientX;
+  touchAimState.lastY = touch.clientY;
+  getMousePos(touch);
 });
 
-document.addEventListener(
+canvas.addEventListener(
   "touchmove",
   (e) => {
     if (isGameOver) return;
 
     for (let i = 0; i < e.changedTouches.length; i++) {
       const touch = e.changedTouches[i];
-      if (touch.identifier === activeJoystickTouchId) {
+      if (touch.identifier === touchAimState.touchId) {
         e.preventDefault();
-        updateJoystick(touch.clientX, touch.clientY);
+        dragTouchAim(touch);
         break;
       }
     }
@@ -1266,61 +5466,416 @@ document.addEventListener(
   { passive: false }
 );
 
-document.addEventListener("touchend", (e) => {
-  if (isGameOver) return;
-
+canvas.addEventListener("touchend", (e) => {
+  // Clear touch aiming
   for (let i = 0; i < e.changedTouches.length; i++) {
     const touch = e.changedTouches[i];
-    if (touch.identifier === activeJoystickTouchId) {
-      resetJoystick();
+    if (touch.identifier === touchAimState.touchId) {
+      touchAimState.active = false;
+      touchAimState.touchId = null;
       break;
     }
   }
 });
 
+// --- Input Handlers (Gamepad) ---
+
+// Standard-mapping button indices (https://w3c.github.io/gamepad/#remapping)
+const PAD_A = 0;
+const PAD_B = 1;
+const PAD_X = 2;
+const PAD_Y = 3;
+const PAD_LB = 4;
+const PAD_RB = 5;
+const PAD_RT = 7;
+const PAD_START = 9;
+const PAD_UP = 12;
+const PAD_DOWN = 13;
+const PAD_LEFT = 14;
+const PAD_RIGHT = 15;
+
+const gamepadState = {
+  index: null, // navigator.getGamepads() slot of the pad in use
+  moveX: 0,
+  moveY: 0,
+  aiming: false, // True once the right stick has aimed (until the mouse/touch takes over)
+  aimAngle: 0,
+  firing: false,
+  previousButtons: [],
+  menuStickHeld: false, // Left stick used as a d-pad in menus, one step per push
+};
+let gamepadLoopId = null;
+
+/**
+ * Returns the connected pad in use, picking the first available one if needed.
+ */
+function getActiveGamepad() {
+  const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+  if (gamepadState.index !== null && pads[gamepadState.index]) {
+    return pads[gamepadState.index];
+  }
+  for (let i = 0; i < pads.length; i++) {
+    if (pads[i] && pads[i].connected) {
+      gamepadState.index = pads[i].index;
+      return pads[i];
+    }
+  }
+  gamepadState.index = null;
+  return null;
+}
+
+/**
+ * Radial deadzone: stick input inside `deadzone` is ignored and the rest is
+ * rescaled to 0-1, so movement starts smoothly at the edge of the deadzone.
+ * Writes the result into `out` ({ x, y }) and returns its magnitude.
+ */
+function applyStickDeadzone(x, y, deadzone, out) {
+  const magnitude = Math.hypot(x, y);
+  if (magnitude < deadzone) {
+    out.x = 0;
+    out.y = 0;
+    return 0;
+  }
+  const scaled = Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+  out.x = (x / magnitude) * scaled;
+  out.y = (y / magnitude) * scaled;
+  return scaled;
+}
+const stickScratch = { x: 0, y: 0 };
+
+/**
+ * Nudges `shooter`'s aim angle onto the closest zombie within GAMEPAD_AIM_ASSIST_ANGLE
+ * of it (and within GAMEPAD_AIM_ASSIST_RANGE), so thumbsticks can hit small targets.
+ */
+function applyAimAssist(shooter, angle) {
+  let bestAngle = angle;
+  let bestDiff = GAMEPAD_AIM_ASSIST_ANGLE;
+  for (let i = 0; i < zombies.length; i++) {
+    const zombie = zombies[i];
+    if (zombie.isDead) continue;
+    if (dist(shooter.x, shooter.y, zombie.x, zombie.y) > GAMEPAD_AIM_ASSIST_RANGE) continue;
+    const zombieAngle = Math.atan2(zombie.y - shooter.y, zombie.x - shooter.x);
+    const diff = Math.abs(wrapAngle(zombieAngle - angle));
+    if (diff < bestDiff) {
+      bestDiff = diff;
+      bestAngle = zombieAngle;
+    }
+  }
+  return bestAngle;
+}
+
+function isPadButtonDown(pad, index) {
+  const button = pad.buttons[index];
+  return !!button && (button.pressed || button.value > GAMEPAD_TRIGGER_THRESHOLD);
+}
+
+/**
+ * The player the pad controls: player 2 in local co-op, otherwise this browser's
+ * player (undefined before the first game).
+ */
+function getGamepadPlayer() {
+  return players.length > 1 && !isOnlineGame() ? players[1] : getLocalPlayer();
+}
+
+/**
+ * Twin-stick gameplay: left stick moves, right stick aims, RT fires, RB fires a
+ * missile, X reloads, LB/Y cycle weapons and Start pauses. The local player's pad
+ * works through the mouse cursor; local co-op player 2's is read by readPlayerInput().
+ */
+function handleGamepadGameplay(pad, wasPressed) {
+  const owner = getGamepadPlayer();
+  applyStickDeadzone(pad.axes[0] || 0, pad.axes[1] || 0, GAMEPAD_DEADZONE, stickScratch);
+  gamepadState.moveX = stickScratch.x;
+  gamepadState.moveY = stickScratch.y;
+
+  const aim = applyStickDeadzone(
+    pad.axes[2] || 0,
+    pad.axes[3] || 0,
+    GAMEPAD_AIM_DEADZONE,
+    stickScratch
+  );
+  if (aim > 0) {
+    gamepadState.aiming = true;
+    gamepadState.aimAngle = applyAimAssist(owner, Math.atan2(stickScratch.y, stickScratch.x));
+  }
+  const ownsMouse = owner.index === localPlayerIndex;
+  if (ownsMouse && gamepadState.aiming) {
+    // Park the cursor in front of the player, in screen space like the mouse
+    mouse.screenX = owner.x - camera.x + Math.cos(gamepadState.aimAngle) * GAMEPAD_AIM_DISTANCE;
+    mouse.screenY = owner.y - camera.y + Math.sin(gamepadState.aimAngle) * GAMEPAD_AIM_DISTANCE;
+    updateMouseWorldPosition();
+  }
+
+  // Only release firing we started, so the mouse keeps working alongside the pad
+  const triggerDown = isPadButtonDown(pad, PAD_RT);
+  if (ownsMouse && triggerDown) {
+    mouse.isFiring = true;
+  } else if (ownsMouse && gamepadState.firing) {
+    mouse.isFiring = false;
+  }
+  gamepadState.firing = triggerDown;
+
+  if (wasPressed(PAD_RB)) runPlayerCommand(owner, "fireMissile");
+  if (wasPressed(PAD_X)) runPlayerCommand(owner, "reload");
+  if (wasPressed(PAD_Y)) runPlayerCommand(owner, "cycleWeapon", 1);
+  if (wasPressed(PAD_LB)) runPlayerCommand(owner, "cycleWeapon", -1);
+  if (wasPressed(PAD_START)) pauseGame();
+}
+
+/**
+ * The overlay the pad should drive when not playing (settings > lobby > achievements >
+ * custom difficulty > pause > start/game over).
+ */
+function getActiveMenu() {
+  if (isSettingsOpen) return settingsOverlay;
+  if (isOnlineLobbyOpen) return onlineOverlay;
+  if (isAchievementsOpen) return achievementsOverlay;
+  if (isBalanceEditorOpen) return balanceOverlay;
+  if (isPaused) return pauseOverlay;
+  if (players.length === 0 || isGameOver) return messagesDiv;
+  return null;
+}
+
+/**
+ * Menu navigation for TV play: d-pad/left stick move focus between the overlay's
+ * buttons and inputs, left/right adjust sliders, A activates, B backs out.
+ */
+function handleGamepadMenu(pad, wasPressed) {
+  const menu = getActiveMenu();
+  if (!menu) return;
+  if (wasPressed(PAD_B)) {
+    if (isSettingsOpen) closeSettings();
+    else if (isOnlineLobbyOpen) closeOnlineLobby();
+    else if (isAchievementsOpen) closeAchievements();
+    else if (isBalanceEditorOpen) closeBalanceEditor();
+    else if (isPaused) resumeGame();
+    return;
+  }
+  if (wasPressed(PAD_START) && isPaused && !isSettingsOpen && !isAchievementsOpen) {
+    resumeGame();
+    return;
+  }
+
+  const controls = Array.from(menu.querySelectorAll("button, input, select")).filter(
+    (control) => control.offsetParent !== null // Skip hidden ones (e.g. Continue)
+  );
+  if (controls.length === 0) return;
+
+  // Left stick acts as a d-pad: one step per push past the deadzone
+  const stickX = pad.axes[0] || 0;
+  const stickY = pad.axes[1] || 0;
+  const stickPushed = Math.max(Math.abs(stickX), Math.abs(stickY)) > 0.6;
+  const stickStep = stickPushed && !gamepadState.menuStickHeld;
+  gamepadState.menuStickHeld = stickPushed;
+  const vertical = Math.abs(stickY) >= Math.abs(stickX);
+
+  let focusIndex = controls.indexOf(document.activeElement);
+  let moveFocus = 0;
+  if (wasPressed(PAD_DOWN) || (stickStep && vertical && stickY > 0)) moveFocus = 1;
+  if (wasPressed(PAD_UP) || (stickStep && vertical && stickY < 0)) moveFocus = -1;
+  if (moveFocus !== 0 || focusIndex === -1) {
+    focusIndex =
+      focusIndex === -1
+        ? 0
+        : (focusIndex + moveFocus + controls.length) % controls.length;
+    controls[focusIndex].focus();
+  }
+
+  const focused = controls[focusIndex];
+  let adjust = 0;
+  if (wasPressed(PAD_RIGHT) || (stickStep && !vertical && stickX > 0)) adjust = 1;
+  if (wasPressed(PAD_LEFT) || (stickStep && !vertical && stickX < 0)) adjust = -1;
+  if (adjust !== 0 && focused.type === "range") {
+    const steps = focused.step ? 1 : 5; // Volume sliders step by 1; move 5 at a time
+    if (adjust > 0) focused.stepUp(steps);
+    else focused.stepDown(steps);
+    focused.dispatchEvent(new Event("input"));
+  } else if (adjust !== 0 && focused.tagName === "SELECT") {
+    const count = focused.options.length;
+    focused.selectedIndex = (focused.selectedIndex + adjust + count) % count;
+    focused.dispatchEvent(new Event("change"));
+  }
+
+  if (wasPressed(PAD_A) && focused.type !== "range" && focused.tagName !== "SELECT") {
+    focused.click();
+  }
+}
+
+/**
+ * Clears anything the pad is holding down (on disconnect or when it goes idle).
+ */
+function releaseGamepadInput() {
+  gamepadState.moveX = 0;
+  gamepadState.moveY = 0;
+  // The pad was firing through the mouse
+  if (gamepadState.firing && getGamepadPlayer() === getLocalPlayer()) mouse.isFiring = false;
+  gamepadState.firing = false;
+  gamepadState.aiming = false;
+  gamepadState.previousButtons.length = 0;
+}
+
 /**
- * Updates the joystick movement state and handle position.
+ * Polls the active pad once per animation frame. Runs separately from gameLoop
+ * so the pad can drive the menus while the game is paused or over.
  */
-function updateJoystick(currentX, currentY) {
-  const dxRaw = currentX - joystickState.startX;
-  const dyRaw = currentY - joystickState.startY;
-  const distance = Math.min(dist(0, 0, dxRaw, dyRaw), joystickRadius);
-  const angle = Math.atan2(dyRaw, dxRaw);
+function pollGamepad() {
+  const pad = getActiveGamepad();
+  if (!pad) {
+    releaseGamepadInput();
+    gamepadLoopId = null;
+    return;
+  }
+
+  const previous = gamepadState.previousButtons;
+  const wasPressed = (index) => isPadButtonDown(pad, index) && !previous[index];
+
+  const playing =
+    players.length > 0 &&
+    !isGameOver &&
+    !isPaused &&
+    !isSettingsOpen &&
+    !isOnlineLobbyOpen &&
+    !isAchievementsOpen &&
+    !isBalanceEditorOpen;
+  if (playing) {
+    handleGamepadGameplay(pad, wasPressed);
+  } else {
+    // Menus: don't keep walking or shooting underneath the overlay
+    gamepadState.moveX = 0;
+    gamepadState.moveY = 0;
+    handleGamepadMenu(pad, wasPressed);
+  }
+
+  for (let i = 0; i < pad.buttons.length; i++) {
+    previous[i] = isPadButtonDown(pad, i);
+  }
+  gamepadLoopId = requestAnimationFrame(pollGamepad);
+}
 
-  // Set normalized movement vectors (from -1 to 1)
-  joystickState.dx = (distance / joystickRadius) * Math.cos(angle);
-  joystickState.dy = (distance / joystickRadius) * Math.sin(angle);
+function startGamepadPolling() {
+  if (gamepadLoopId === null) gamepadLoopId = requestAnimationFrame(pollGamepad);
+}
 
-  // Update handle position (moves up to 50% of the joystick's radius)
-  joystickHandle.style.transform = `translate(${
-    joystickState.dx * (joystickRadius * 0.5)
-  }px, ${joystickState.dy * (joystickRadius * 0.5)}px)`;
+/**
+ * Short rumble on the active pad, where the browser supports it (Chrome's
+ * vibrationActuator, or Firefox's hapticActuators).
+ */
+function rumbleGamepad(duration, strength) {
+  const pad = gamepadState.index === null ? null : getActiveGamepad();
+  if (!pad) return;
+  if (pad.vibrationActuator && pad.vibrationActuator.playEffect) {
+    pad.vibrationActuator
+      .playEffect("dual-rumble", {
+        duration,
+        strongMagnitude: strength,
+        weakMagnitude: strength,
+      })
+      .catch(() => {}); // Unsupported effect types reject; rumble is optional
+  } else if (pad.hapticActuators && pad.hapticActuators[0]) {
+    pad.hapticActuators[0].pulse(strength, duration);
+  }
 }
 
+// Hot-plugging: start polling when a pad shows up, hand over or stop when it goes
+window.addEventListener("gamepadconnected", (e) => {
+  if (gamepadState.index === null) gamepadState.index = e.gamepad.index;
+  startGamepadPolling();
+});
+window.addEventListener("gamepaddisconnected", (e) => {
+  if (e.gamepad.index !== gamepadState.index) return;
+  releaseGamepadInput();
+  gamepadState.index = null; // getActiveGamepad() falls back to any other pad
+});
+
+// --- Player Input ---
+
+// Reused every call so reading input each tick doesn't allocate
+const playerInput = { moveX: 0, moveY: 0, aimAngle: 0, firing: false };
+
 /**
- * Resets the joystick state.
+ * Collects one player's controls for this tick. This browser's player has the bound
+ * keys, the touch stick and the mouse (which the touch aim stick and a solo gamepad
+ * also drive); local player 2 has the p2 key layout plus the gamepad, and an online
+ * guest's input arrives over the network. Movement is -1..1 per
+ * axis, summed across devices (Player.update caps the speed).
  */
-function resetJoystick() {
-  joystickState.active = false;
-  activeJoystickTouchId = null;
-  joystickState.dx = 0;
-  joystickState.dy = 0;
-  joystickHandle.style.transform = "translate(0, 0)";
+function readPlayerInput(target) {
+  const input = playerInput;
+  const hasPad = target === getGamepadPlayer();
+  input.moveX = hasPad ? gamepadState.moveX : 0;
+  input.moveY = hasPad ? gamepadState.moveY : 0;
+
+  if (target.index === localPlayerIndex) {
+    // Desktop (bound movement keys, WASD by default, or Arrow Keys)
+    if (keys.moveUp) input.moveY -= 1;
+    if (keys.moveDown) input.moveY += 1;
+    if (keys.moveLeft) input.moveX -= 1;
+    if (keys.moveRight) input.moveX += 1;
+    // Mobile (Joystick Movement)
+    if (moveStick.active) {
+      input.moveX += moveStick.dx;
+      input.moveY += moveStick.dy;
+    }
+    input.aimAngle = Math.atan2(mouse.y - target.y, mouse.x - target.x);
+    input.firing = mouse.isFiring;
+    return input;
+  }
+  if (isOnlineGame()) return getRemoteInput(); // The other browser's player
+
+  if (keys.p2MoveUp) input.moveY -= 1;
+  if (keys.p2MoveDown) input.moveY += 1;
+  if (keys.p2MoveLeft) input.moveX -= 1;
+  if (keys.p2MoveRight) input.moveX += 1;
+  if (hasPad && gamepadState.aiming) {
+    input.aimAngle = gamepadState.aimAngle;
+  } else if (input.moveX !== 0 || input.moveY !== 0) {
+    // No aim stick: face the way they walk, nudged onto nearby zombies
+    input.aimAngle = applyAimAssist(target, Math.atan2(input.moveY, input.moveX));
+  } else {
+    input.aimAngle = target.aimAngle; // Standing still keeps the last heading
+  }
+  input.firing = keys.p2Fire || (hasPad && gamepadState.firing);
+  return input;
 }
 
+// --- Auto-pause ---
+
+// Pause whenever the tab is hidden or the window loses focus, so power-ups and
+// items don't run out in the background.
+document.addEventListener("visibilitychange", () => {
+  if (document.hidden) pauseGame();
+});
+window.addEventListener("blur", pauseGame);
+
+// Closing or reloading the tab keeps the run (see Save & Resume)
+window.addEventListener("pagehide", saveSnapshot);
+
 // --- Initialization ---
 
+/**
+ * Moves the start screen's loading bar (`fraction` of the sprite sheets settled).
+ */
+function updateAssetProgress(fraction) {
+  assetProgress.value = fraction;
+}
+
 window.addEventListener("load", () => {
   // Initial setup
+  buildNavGrid();
   resizeCanvas();
   // Set up resize listener
   window.addEventListener("resize", resizeCanvas);
 
   // Set initial text for the start screen
-  document.getElementById("message-title").textContent = "เกมยิงซอมบี้";
-  document.getElementById("message-score").textContent =
-    "WASD/ลูกศรเพื่อเคลื่อนที่, คลิกซ้ายเพื่อยิง";
-  document.getElementById("gameControlButton").textContent = "เริ่มเล่น";
+  renderMessages();
+  renderHighScores();
+  updateContinueButton();
+
+  // Sprite art loads in the background; until (or unless) it does, entities use
+  // their built-in shapes, so the start button works right away
+  preloadAssets(updateAssetProgress).then(() => {
+    assetLoadingElement.style.display = "none";
+  });
 
   // We do NOT call initGame() here. The user click on the button will start the game and the audio.
 });
@@ -0,0 +1,465 @@
+// --- Internationalization ---
+// String catalogs and lookup. Loaded before game.js, which calls t() for every
+// piece of UI text; static text in the HTML is tagged with data-i18n attributes.
+
+const DEFAULT_LANGUAGE = "th";
+
+// Languages offered by the switcher, with the locale used for dates and plural rules
+const I18N_LANGUAGES = {
+  th: { name: "ไทย", locale: "th-TH" },
+  en: { name: "English", locale: "en-US" },
+};
+
+/**
+ * Flat key -> string catalogs. Strings may contain {name} placeholders. An entry can
+ * also be an object keyed by Intl.PluralRules category ("one", "other", ...), picked
+ * by the `count` param. Keys missing from a catalog fall back to DEFAULT_LANGUAGE.
+ */
+const I18N_CATALOGS = {
+  th: {
+    title: "เกมยิงซอมบี้",
+    heading: "เกมยิงซอมบี้ (Zombie Shooter)",
+
+    "hud.score": "คะแนน",
+    "hud.wave": "คลื่น",
+    "hud.weapon": "อาวุธ",
+    "hud.health": "สุขภาพ",
+    "hud.ammo": "{weapon} {ammo}/{magazine}",
+    "hud.reloading": "{weapon} (กำลังรีโหลด...)",
+    "hud.pause": "หยุดชั่วคราว",
+    "hud.settings": "ตั้งค่า",
+    "status.tripleShot": "ยิงสามทาง: {seconds} วิ",
+    "status.damageBoost": "เพิ่มพลังโจมตี: {seconds} วิ",
+    "status.missiles": "มิสไซล์: {count}/{max}",
+    "status.downed": "ล้มแล้ว! ให้เพื่อนยืนข้าง ๆ เพื่อช่วย",
+    "status.reviving": "กำลังช่วยชีวิต {percent}%",
+    "mobile.switchWeapon": "เปลี่ยนปืน",
+
+    "weapons.pistol": "ปืนพก",
+    "weapons.shotgun": "ลูกซอง",
+    "weapons.smg": "ปืนกลมือ",
+    "weapons.sniper": "สไนเปอร์",
+    "weapons.flamethrower": "ปืนพ่นไฟ",
+
+    "wave.banner": "คลื่นที่ {number}",
+    "wave.bossWave": "คลื่นบอส!",
+    "wave.clear": "ผ่านคลื่นที่ {number}!",
+    "wave.nextIn": "คลื่นถัดไปใน {count} วินาที",
+    "wave.boss": "บอส",
+
+    "start.title": "เกมยิงซอมบี้",
+    "start.instructions":
+      "WASD/ลูกศรเพื่อเคลื่อนที่, คลิกซ้ายเพื่อยิง, 1-5/ล้อเมาส์เปลี่ยนอาวุธ, Q รีโหลด",
+    "start.play": "เริ่มเล่น",
+    "start.coop": "เล่น 2 คน (Co-op)",
+    "gameOver.title": "เกมโอเวอร์!",
+    "gameOver.score": "คะแนนสุดท้าย: {score} (คลื่นที่ {wave})",
+    "gameOver.playAgain": "เล่นใหม่",
+    "continue.button": "เล่นต่อ",
+    "continue.details": "เล่นต่อ (คลื่น {wave}, คะแนน {score})",
+
+    "highScores.prompt": "ติดอันดับ! ใส่ชื่อย่อ:",
+    "highScores.save": "บันทึก",
+    "highScores.caption": "ตารางคะแนนสูงสุด ({difficulty})",
+    "highScores.captionCustom": "ตารางคะแนนสูงสุด ({difficulty} ค่าชุดนี้)",
+    "highScores.name": "ชื่อ",
+    "highScores.score": "คะแนน",
+    "highScores.wave": "คลื่น",
+    "highScores.kills": "ฆ่า",
+    "highScores.time": "เวลา",
+    "highScores.date": "วันที่",
+
+    "pause.title": "หยุดชั่วคราว",
+    "pause.hint": "กด Esc หรือ P เพื่อเล่นต่อ",
+    "pause.resume": "เล่นต่อ",
+
+    "settings.open": "ตั้งค่า",
+    "settings.title": "ตั้งค่า",
+    "settings.language": "ภาษา (Language)",
+    "settings.masterVolume": "เสียงรวม",
+    "settings.musicVolume": "เพลง",
+    "settings.sfxVolume": "เอฟเฟกต์เสียง",
+    "settings.mute": "ปิดเสียงทั้งหมด",
+    "settings.touchSensitivity": "ความไวการเล็ง (จอสัมผัส)",
+    "settings.touchAutoAim": "เล็งอัตโนมัติ (จอสัมผัส)",
+    "settings.particleQuality": "คุณภาพเอฟเฟกต์",
+    "settings.quality.low": "ต่ำ",
+    "settings.quality.medium": "กลาง",
+    "settings.quality.high": "สูง",
+    "settings.accessibility": "การเข้าถึง",
+    "settings.colorPalette": "ชุดสี",
+    "settings.palette.default": "ปกติ",
+    "settings.palette.deuteranopia": "ตาบอดสีแดง-เขียว",
+    "settings.palette.tritanopia": "ตาบอดสีน้ำเงิน-เหลือง",
+    "settings.highContrast": "คอนทราสต์สูง",
+    "settings.reducedMotion": "ลดการกะพริบและแสงวาบ",
+    "settings.hudScale": "ขนาดตัวอักษร HUD",
+    "settings.controls": "ปุ่มควบคุม",
+    "settings.controlsHint": "คลิกที่ปุ่มแล้วกดปุ่มใหม่ (Esc เพื่อยกเลิก, ปุ่มลูกศรใช้เดินได้เสมอ)",
+    "settings.pressKey": "กดปุ่ม...",
+    "settings.reset": "ค่าเริ่มต้น",
+    "settings.close": "ปิด",
+
+    "online.open": "เล่นออนไลน์",
+    "online.title": "เล่นออนไลน์",
+    "online.server": "เซิร์ฟเวอร์",
+    "online.roomCode": "รหัสห้อง",
+    "online.create": "สร้างห้อง",
+    "online.join": "เข้าร่วม",
+    "online.start": "เริ่มเกม",
+    "online.close": "ปิด",
+    "online.status.connecting": "กำลังเชื่อมต่อ...",
+    "online.status.waiting": "ห้อง {code}: รอเพื่อนเข้าร่วม",
+    "online.status.ready": "ห้อง {code}: เพื่อนเข้ามาแล้ว กดเริ่มเกมได้เลย",
+    "online.status.joined": "เข้าห้อง {code} แล้ว รอเจ้าของห้องเริ่มเกม",
+    "online.status.peerLeft": "ห้อง {code}: เพื่อนออกไปแล้ว",
+    "online.status.disconnected": "หลุดการเชื่อมต่อ",
+    "online.status.roomNotFound": "ไม่พบห้องนี้",
+    "online.status.roomFull": "ห้องเต็มแล้ว",
+    "online.status.failed": "เชื่อมต่อเซิร์ฟเวอร์ไม่ได้",
+    "online.connectionLost": "การเชื่อมต่อกับเจ้าของห้องขาดหาย",
+
+    "assets.loading": "กำลังโหลดภาพ...",
+
+    "update.available": "มีเวอร์ชันใหม่ของเกมแล้ว",
+    "update.reload": "อัปเดต",
+    "update.later": "ภายหลัง",
+
+    "achievements.open": "ความสำเร็จ",
+    "achievements.title": "ความสำเร็จ",
+    "achievements.summary": "ปลดล็อกแล้ว {unlocked}/{total}",
+    "achievements.unlocked": "ปลดล็อกความสำเร็จ!",
+    "achievements.unlockedOn": "ปลดล็อกเมื่อ {date}",
+    "achievements.close": "ปิด",
+    "achievements.firstBlood.title": "เลือดแรก",
+    "achievements.firstBlood.description": "ฆ่าซอมบี้ตัวแรก",
+    "achievements.fullRack.title": "คลังเต็ม",
+    "achievements.fullRack.description": "ถือมิสไซล์พร้อมกัน 3 ลูก",
+    "achievements.missileMultiKill.title": "ยิงทีเดียวเหมาเข่ง",
+    "achievements.missileMultiKill.description": "ฆ่าซอมบี้ 5 ตัวด้วยมิสไซล์ลูกเดียว",
+    "achievements.bossSlayer.title": "ล้มบอส",
+    "achievements.bossSlayer.description": "ฆ่าบอส",
+    "achievements.waveTen.title": "ยืนหยัด",
+    "achievements.waveTen.description": "ไปถึงคลื่นที่ 10",
+    "achievements.noHealthPack.title": "ไม่ต้องพึ่งยา",
+    "achievements.noHealthPack.description": "รอด 5 นาทีโดยไม่เก็บชุดปฐมพยาบาล",
+    "achievements.zombieHunter.title": "นักล่าซอมบี้",
+    "achievements.zombieHunter.description": "ฆ่าซอมบี้รวม 500 ตัว",
+
+    "difficulty.label": "ระดับความยาก",
+    "difficulty.easy": "ง่าย",
+    "difficulty.normal": "ปกติ",
+    "difficulty.hard": "ยาก",
+    "difficulty.nightmare": "ฝันร้าย",
+    "difficulty.custom": "กำหนดเอง",
+
+    "balance.open": "ปรับค่าเอง",
+    "balance.title": "ความยากแบบกำหนดเอง",
+    "balance.hint": "เริ่มจากค่าระดับปกติ เวลาเป็นมิลลิวินาที ค่าที่ตั้งไว้ใช้กับเกมใหม่ที่เลือกระดับ “กำหนดเอง”",
+    "balance.json": "JSON (คัดลอกไปเก็บ หรือวางแล้วกด “โหลด JSON”)",
+    "balance.reset": "ค่าระดับปกติ",
+    "balance.import": "โหลด JSON",
+    "balance.save": "บันทึก",
+    "balance.close": "ปิด",
+    "balance.invalidJson": "JSON ไม่ถูกต้อง ต้องเป็น object เช่น {\"zombieSpeed\": 1.2}",
+    "balance.invalidFields": "ค่าไม่ถูกต้อง: {fields}",
+    "balance.maxHealth": "พลังชีวิตสูงสุด",
+    "balance.playerSpeed": "ความเร็วผู้เล่น",
+    "balance.healthPackAmount": "เลือดจากชุดปฐมพยาบาล",
+    "balance.reviveTime": "เวลาชุบชีวิต (ms)",
+    "balance.reviveHealth": "เลือดหลังชุบชีวิต",
+    "balance.zombieSpeed": "ความเร็วซอมบี้ (เท่า)",
+    "balance.zombieHealth": "เลือดซอมบี้ (เท่า)",
+    "balance.zombieDamage": "ดาเมจซอมบี้ (เท่า)",
+    "balance.knockbackDistance": "ระยะกระสุนดันซอมบี้",
+    "balance.spawnRate": "อัตราการเกิดซอมบี้ (เท่า)",
+    "balance.waveSize": "จำนวนซอมบี้ต่อคลื่น (เท่า)",
+    "balance.waveIntermission": "เวลาพักระหว่างคลื่น (ms)",
+    "balance.bossWaveInterval": "บอสมาทุกกี่คลื่น",
+    "balance.upgradeChance": "โอกาสดรอปไอเทม (0–1)",
+    "balance.upgradeDuration": "ระยะเวลาบัฟ (ms)",
+    "balance.itemLifetime": "เวลาก่อนไอเทมหายไป (ms)",
+    "balance.damageBoostMultiplier": "ตัวคูณ Damage Boost",
+    "balance.bombRadius": "รัศมีระเบิดมิสไซล์",
+    "balance.bombDamage": "ดาเมจมิสไซล์",
+    "balance.maxMissileStock": "มิสไซล์สะสมสูงสุด",
+
+    "actions.moveUp": "เดินขึ้น",
+    "actions.moveDown": "เดินลง",
+    "actions.moveLeft": "เดินซ้าย",
+    "actions.moveRight": "เดินขวา",
+    "actions.fireMissile": "ยิงมิสไซล์",
+    "actions.reload": "รีโหลด",
+    "actions.weaponSlot": "อาวุธ {slot} ({weapon})",
+    "actions.pause": "หยุดชั่วคราว",
+    "actions.toggleMute": "ปิด/เปิดเสียง",
+    "actions.toggleDebug": "Debug overlay",
+    "actions.p2MoveUp": "P2 เดินขึ้น",
+    "actions.p2MoveDown": "P2 เดินลง",
+    "actions.p2MoveLeft": "P2 เดินซ้าย",
+    "actions.p2MoveRight": "P2 เดินขวา",
+    "actions.p2Fire": "P2 ยิง",
+    "actions.p2FireMissile": "P2 ยิงมิสไซล์",
+    "actions.p2Reload": "P2 รีโหลด",
+    "actions.p2SwitchWeapon": "P2 เปลี่ยนปืน",
+  },
+  en: {
+    title: "Zombie Shooter",
+    heading: "Zombie Shooter",
+
+    "hud.score": "Score",
+    "hud.wave": "Wave",
+    "hud.weapon": "Weapon",
+    "hud.health": "Health",
+    "hud.ammo": "{weapon} {ammo}/{magazine}",
+    "hud.reloading": "{weapon} (Reloading...)",
+    "hud.pause": "Pause",
+    "hud.settings": "Settings",
+    "status.tripleShot": "Triple Shot: {seconds}s",
+    "status.damageBoost": "Damage Boost: {seconds}s",
+    "status.missiles": "Missiles: {count}/{max}",
+    "status.downed": "Down! A teammate can revive you by standing close",
+    "status.reviving": "Reviving {percent}%",
+    "mobile.switchWeapon": "Switch",
+
+    "weapons.pistol": "Pistol",
+    "weapons.shotgun": "Shotgun",
+    "weapons.smg": "SMG",
+    "weapons.sniper": "Sniper",
+    "weapons.flamethrower": "Flamethrower",
+
+    "wave.banner": "Wave {number}",
+    "wave.bossWave": "BOSS WAVE!",
+    "wave.clear": "Wave {number} Clear!",
+    "wave.nextIn": {
+      one: "Next wave in {count} second",
+      other: "Next wave in {count} seconds",
+    },
+    "wave.boss": "BOSS",
+
+    "start.title": "Zombie Shooter",
+    "start.instructions":
+      "WASD/arrows to move, left click to shoot, 1-5/mouse wheel to switch weapons, Q to reload",
+    "start.play": "Play",
+    "start.coop": "2 players (co-op)",
+    "gameOver.title": "Game Over!",
+    "gameOver.score": "Final score: {score} (wave {wave})",
+    "gameOver.playAgain": "Play again",
+    "continue.button": "Continue",
+    "continue.details": {
+      one: "Continue (wave {wave}, {score} point)",
+      other: "Continue (wave {wave}, {score} points)",
+    },
+
+    "highScores.prompt": "New high score! Enter your initials:",
+    "highScores.save": "Save",
+    "highScores.caption": "High Scores ({difficulty})",
+    "highScores.captionCustom": "High Scores ({difficulty}, these values)",
+    "highScores.name": "Name",
+    "highScores.score": "Score",
+    "highScores.wave": "Wave",
+    "highScores.kills": "Kills",
+    "highScores.time": "Time",
+    "highScores.date": "Date",
+
+    "pause.title": "Paused",
+    "pause.hint": "Press Esc or P to resume",
+    "pause.resume": "Resume",
+
+    "settings.open": "Settings",
+    "settings.title": "Settings",
+    "settings.language": "Language",
+    "settings.masterVolume": "Master volume",
+    "settings.musicVolume": "Music",
+    "settings.sfxVolume": "Sound effects",
+    "settings.mute": "Mute all",
+    "settings.touchSensitivity": "Aim sensitivity (touch)",
+    "settings.touchAutoAim": "Auto-aim (touch)",
+    "settings.particleQuality": "Effects quality",
+    "settings.quality.low": "Low",
+    "settings.quality.medium": "Medium",
+    "settings.quality.high": "High",
+    "settings.accessibility": "Accessibility",
+    "settings.colorPalette": "Color palette",
+    "settings.palette.default": "Default",
+    "settings.palette.deuteranopia": "Red-green colorblind",
+    "settings.palette.tritanopia": "Blue-yellow colorblind",
+    "settings.highContrast": "High contrast",
+    "settings.reducedMotion": "Reduce flashing and flicker",
+    "settings.hudScale": "HUD text size",
+    "settings.controls": "Controls",
+    "settings.controlsHint":
+      "Click a binding, then press the new key (Esc cancels, arrow keys always move)",
+    "settings.pressKey": "Press a key...",
+    "settings.reset": "Defaults",
+    "settings.close": "Close",
+
+    "online.open": "Play online",
+    "online.title": "Play online",
+    "online.server": "Server",
+    "online.roomCode": "Room code",
+    "online.create": "Create room",
+    "online.join": "Join",
+    "online.start": "Start",
+    "online.close": "Close",
+    "online.status.connecting": "Connecting...",
+    "online.status.waiting": "Room {code}: waiting for a friend to join",
+    "online.status.ready": "Room {code}: your friend is here, press Start",
+    "online.status.joined": "Joined room {code}, waiting for the host to start",
+    "online.status.peerLeft": "Room {code}: your friend left",
+    "online.status.disconnected": "Disconnected",
+    "online.status.roomNotFound": "Room not found",
+    "online.status.roomFull": "That room is full",
+    "online.status.failed": "Couldn't reach the server",
+    "online.connectionLost": "Lost connection to the host",
+
+    "assets.loading": "Loading art...",
+
+    "update.available": "A new version of the game is ready",
+    "update.reload": "Update",
+    "update.later": "Later",
+
+    "achievements.open": "Achievements",
+    "achievements.title": "Achievements",
+    "achievements.summary": "{unlocked}/{total} unlocked",
+    "achievements.unlocked": "Achievement unlocked!",
+    "achievements.unlockedOn": "Unlocked {date}",
+    "achievements.close": "Close",
+    "achievements.firstBlood.title": "First Blood",
+    "achievements.firstBlood.description": "Kill your first zombie",
+    "achievements.fullRack.title": "Full Rack",
+    "achievements.fullRack.description": "Hold 3 missiles at once",
+    "achievements.missileMultiKill.title": "One Shot, Many Kills",
+    "achievements.missileMultiKill.description": "Kill 5 zombies with a single missile",
+    "achievements.bossSlayer.title": "Boss Slayer",
+    "achievements.bossSlayer.description": "Kill a boss",
+    "achievements.waveTen.title": "Holding the Line",
+    "achievements.waveTen.description": "Reach wave 10",
+    "achievements.noHealthPack.title": "No Medic Needed",
+    "achievements.noHealthPack.description": "Survive 5 minutes without picking up a health pack",
+    "achievements.zombieHunter.title": "Zombie Hunter",
+    "achievements.zombieHunter.description": "Kill 500 zombies in total",
+
+    "difficulty.label": "Difficulty",
+    "difficulty.easy": "Easy",
+    "difficulty.normal": "Normal",
+    "difficulty.hard": "Hard",
+    "difficulty.nightmare": "Nightmare",
+    "difficulty.custom": "Custom",
+
+    "balance.open": "Customize",
+    "balance.title": "Custom difficulty",
+    "balance.hint": "Starts from the Normal values; times are in milliseconds. Applies to new runs on the Custom difficulty.",
+    "balance.json": "JSON (copy it to keep, or paste one and press “Load JSON”)",
+    "balance.reset": "Normal values",
+    "balance.import": "Load JSON",
+    "balance.save": "Save",
+    "balance.close": "Close",
+    "balance.invalidJson": "Invalid JSON; it must be an object like {\"zombieSpeed\": 1.2}",
+    "balance.invalidFields": "Invalid values: {fields}",
+    "balance.maxHealth": "Max health",
+    "balance.playerSpeed": "Player speed",
+    "balance.healthPackAmount": "Health pack healing",
+    "balance.reviveTime": "Revive time (ms)",
+    "balance.reviveHealth": "Health after revive",
+    "balance.zombieSpeed": "Zombie speed (×)",
+    "balance.zombieHealth": "Zombie health (×)",
+    "balance.zombieDamage": "Zombie damage (×)",
+    "balance.knockbackDistance": "Bullet knockback",
+    "balance.spawnRate": "Spawn rate (×)",
+    "balance.waveSize": "Zombies per wave (×)",
+    "balance.waveIntermission": "Break between waves (ms)",
+    "balance.bossWaveInterval": "Boss every N waves",
+    "balance.upgradeChance": "Item drop chance (0–1)",
+    "balance.upgradeDuration": "Power-up duration (ms)",
+    "balance.itemLifetime": "Item lifetime (ms)",
+    "balance.damageBoostMultiplier": "Damage boost multiplier",
+    "balance.bombRadius": "Missile blast radius",
+    "balance.bombDamage": "Missile damage",
+    "balance.maxMissileStock": "Max missiles held",
+
+    "actions.moveUp": "Move up",
+    "actions.moveDown": "Move down",
+    "actions.moveLeft": "Move left",
+    "actions.moveRight": "Move right",
+    "actions.fireMissile": "Fire missile",
+    "actions.reload": "Reload",
+    "actions.weaponSlot": "Weapon {slot} ({weapon})",
+    "actions.pause": "Pause",
+    "actions.toggleMute": "Mute/unmute",
+    "actions.toggleDebug": "Debug overlay",
+    "actions.p2MoveUp": "P2 move up",
+    "actions.p2MoveDown": "P2 move down",
+    "actions.p2MoveLeft": "P2 move left",
+    "actions.p2MoveRight": "P2 move right",
+    "actions.p2Fire": "P2 fire",
+    "actions.p2FireMissile": "P2 fire missile",
+    "actions.p2Reload": "P2 reload",
+    "actions.p2SwitchWeapon": "P2 switch weapon",
+  },
+};
+
+let currentLanguage = DEFAULT_LANGUAGE;
+let pluralRules = new Intl.PluralRules(I18N_LANGUAGES[DEFAULT_LANGUAGE].locale);
+
+/**
+ * First supported language in the browser's preference list, else DEFAULT_LANGUAGE.
+ */
+function detectLanguage() {
+  const preferred =
+    navigator.languages && navigator.languages.length > 0
+      ? navigator.languages
+      : [navigator.language];
+  for (let i = 0; i < preferred.length; i++) {
+    const base = String(preferred[i] || "").toLowerCase().split("-")[0];
+    if (I18N_CATALOGS.hasOwnProperty(base)) return base;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+function getLocale() {
+  return I18N_LANGUAGES[currentLanguage].locale;
+}
+
+/**
+ * Looks up `key` in the current catalog and fills in {placeholders} from `params`.
+ * Unknown keys are returned as-is so a missing string is visible but harmless.
+ */
+function t(key, params = {}) {
+  let entry = I18N_CATALOGS[currentLanguage][key];
+  if (entry === undefined) entry = I18N_CATALOGS[DEFAULT_LANGUAGE][key];
+  if (entry === undefined) {
+    console.warn(`Missing string: ${key}`);
+    return key;
+  }
+  if (typeof entry === "object") {
+    entry = entry[pluralRules.select(params.count)] || entry.other;
+  }
+  return entry.replace(/\{(\w+)\}/g, (match, name) =>
+    params.hasOwnProperty(name) ? String(params[name]) : match
+  );
+}
+
+/**
+ * Fills every element tagged with data-i18n (text) or data-i18n-aria-label.
+ */
+function translateDocument() {
+  document.querySelectorAll("[data-i18n]").forEach((element) => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  document.querySelectorAll("[data-i18n-aria-label]").forEach((element) => {
+    element.setAttribute("aria-label", t(element.dataset.i18nAriaLabel));
+  });
+}
+
+/**
+ * Switches the UI language: <html lang>, the page title and all tagged static text.
+ * Text built in code picks the language up the next time it is rendered.
+ */
+function setLanguage(language) {
+  currentLanguage = I18N_CATALOGS.hasOwnProperty(language) ? language : DEFAULT_LANGUAGE;
+  pluralRules = new Intl.PluralRules(getLocale());
+  document.documentElement.lang = currentLanguage;
+  document.title = t("title");
+  translateDocument();
+}
@@ -0,0 +1,589 @@
+// --- Online Co-op ---
+// Two browsers play one co-op run through server/relay.js. The host's browser runs
+// the only simulation (the game.js code, unchanged) and streams snapshots of it; the
+// guest sends its input every tick, predicts its own movement and interpolates
+// everything else between snapshots. The relay just pairs the two by room code and
+// forwards their messages.
+//
+// Loaded before game.js, so nothing at the top level here may touch game.js globals.
+
+const NET_SNAPSHOT_INTERVAL = 3; // Host ticks between snapshots (20 per second)
+const NET_MAX_PENDING_INPUTS = 120; // Unacknowledged guest inputs kept for replay (2 s)
+const NET_MAX_QUEUED_INPUTS = 6; // Host skips older guest inputs past this (caps input lag)
+const NET_INPUT_TIMEOUT = 30; // Host ticks without guest input before player 2 stops (0.5 s)
+const NET_MAX_COMMANDS = 8; // Commands accepted per input message
+const NET_SERVER_URL_STORAGE_KEY = "zombieShooter.serverUrl";
+const NET_ROOM_CODE_PATTERN = /^[A-Z0-9]{4}$/;
+
+// The page is usually served by the relay itself; opened from disk, assume it runs locally
+const DEFAULT_SERVER_URL =
+  location.protocol === "http:" || location.protocol === "https:"
+    ? `${location.protocol === "https:" ? "wss" : "ws"}://${location.host}/ws`
+    : "ws://localhost:8080/ws";
+
+const onlineOverlay = document.getElementById("online-overlay");
+const serverUrlInput = document.getElementById("server-url");
+const roomCodeInput = document.getElementById("room-code-input");
+const onlineStatus = document.getElementById("online-status");
+const onlineStartButton = document.getElementById("online-start-button");
+
+let isOnlineLobbyOpen = false;
+
+const netSession = {
+  socket: null,
+  role: null, // "host" | "guest" | null
+  roomCode: null,
+  peerConnected: false,
+  playing: false, // An online run is in progress
+  status: null, // { key, params } shown in the lobby
+  // Host
+  tick: 0,
+  remoteInputs: [], // Guest inputs waiting for their tick
+  remoteInput: { moveX: 0, moveY: 0, aimAngle: 0, firing: false }, // Player 2's current input
+  lastQueuedSeq: 0,
+  lastAppliedSeq: 0,
+  starvedTicks: 0, // Host ticks since the last guest input
+  // Guest
+  inputSeq: 0,
+  pendingInputs: [], // { seq, moveX, moveY } sent but not yet in a snapshot, replayed on arrival
+  pendingCommands: [], // Commands to send with the next input
+  ticksSinceSnapshot: 0,
+};
+
+// Remote entities glide from where they were shown to their snapshot position.
+// Records are reused across snapshots so the guest tick doesn't allocate.
+const netMotion = [];
+let netMotionCount = 0;
+
+function isOnlineGame() {
+  return netSession.playing;
+}
+
+function isNetworkGuest() {
+  return netSession.playing && netSession.role === "guest";
+}
+
+function sendNetworkMessage(message) {
+  const socket = netSession.socket;
+  if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+}
+
+// --- Lobby ---
+
+function setOnlineStatus(key, params = {}) {
+  netSession.status = { key, params };
+  renderOnlineStatus();
+}
+
+/**
+ * Shows the lobby status and enables Start once a guest is in the host's room.
+ * Also called on language change.
+ */
+function renderOnlineStatus() {
+  const status = netSession.status;
+  onlineStatus.textContent = status ? t(status.key, status.params) : "";
+  onlineStartButton.disabled = !(netSession.role === "host" && netSession.peerConnected);
+}
+
+function openOnlineLobby() {
+  isOnlineLobbyOpen = true;
+  serverUrlInput.value = loadServerUrl();
+  renderOnlineStatus();
+  onlineOverlay.style.visibility = "visible";
+  onlineOverlay.style.display = "flex";
+}
+
+function closeOnlineLobby() {
+  isOnlineLobbyOpen = false;
+  onlineOverlay.style.visibility = "hidden";
+  onlineOverlay.style.display = "none";
+}
+
+function loadServerUrl() {
+  try {
+    return localStorage.getItem(NET_SERVER_URL_STORAGE_KEY) || DEFAULT_SERVER_URL;
+  } catch (err) {
+    return DEFAULT_SERVER_URL; // Storage blocked
+  }
+}
+
+function saveServerUrl(url) {
+  try {
+    localStorage.setItem(NET_SERVER_URL_STORAGE_KEY, url);
+  } catch (err) {
+    // Storage blocked; the URL just isn't remembered
+  }
+}
+
+/**
+ * Opens a fresh connection to the relay and sends `hello` (create or join) once
+ * it is up. Any previous session is left first.
+ */
+function connectToRelay(hello) {
+  leaveOnlineSession();
+  const url = serverUrlInput.value.trim() || DEFAULT_SERVER_URL;
+  saveServerUrl(url);
+
+  let socket;
+  try {
+    socket = new WebSocket(url);
+  } catch (err) {
+    setOnlineStatus("online.status.failed"); // Malformed URL
+    return;
+  }
+  netSession.socket = socket;
+  setOnlineStatus("online.status.connecting");
+
+  socket.addEventListener("open", () => socket.send(JSON.stringify(hello)));
+  socket.addEventListener("message", (e) => {
+    if (socket !== netSession.socket) return; // Left since
+    let message;
+    try {
+      message = JSON.parse(e.data);
+    } catch (err) {
+      return;
+    }
+    if (message !== null && typeof message === "object") handleNetworkMessage(message);
+  });
+  socket.addEventListener("close", () => {
+    if (socket !== netSession.socket) return;
+    const wasPlaying = netSession.playing;
+    const role = netSession.role;
+    resetOnlineSession();
+    setOnlineStatus(role ? "online.status.disconnected" : "online.status.failed");
+    if (wasPlaying && role === "guest") endGuestGame("online.connectionLost");
+  });
+}
+
+function createOnlineRoom() {
+  connectToRelay({ type: "create" });
+}
+
+function joinOnlineRoom() {
+  const code = roomCodeInput.value.trim().toUpperCase();
+  if (!NET_ROOM_CODE_PATTERN.test(code)) {
+    setOnlineStatus("online.status.roomNotFound");
+    return;
+  }
+  connectToRelay({ type: "join", code });
+}
+
+/**
+ * Host only: starts a fresh two-player run that the guest joins through the
+ * first snapshot.
+ */
+function startOnlineGame() {
+  if (netSession.role !== "host" || !netSession.peerConnected) return;
+  netSession.playing = true;
+  netSession.tick = 0;
+  netSession.remoteInputs.length = 0;
+  netSession.lastQueuedSeq = 0;
+  netSession.lastAppliedSeq = 0;
+  netSession.starvedTicks = 0;
+  resetRemoteInput();
+  localPlayerIndex = 0;
+  closeOnlineLobby();
+  handleStartAudioAndGame(null, 2);
+}
+
+function leaveOnlineSession() {
+  const socket = netSession.socket;
+  resetOnlineSession();
+  if (socket) socket.close();
+}
+
+function resetOnlineSession() {
+  netSession.socket = null;
+  netSession.role = null;
+  netSession.roomCode = null;
+  netSession.peerConnected = false;
+  netSession.playing = false;
+}
+
+function handleNetworkMessage(message) {
+  switch (message.type) {
+    case "created":
+      netSession.role = "host";
+      netSession.roomCode = message.code;
+      setOnlineStatus("online.status.waiting", { code: message.code });
+      break;
+    case "joined":
+      netSession.role = "guest";
+      netSession.roomCode = message.code;
+      netSession.peerConnected = true;
+      setOnlineStatus("online.status.joined", { code: message.code });
+      break;
+    case "peerJoined":
+      netSession.peerConnected = true;
+      setOnlineStatus("online.status.ready", { code: netSession.roomCode });
+      break;
+    case "peerLeft":
+      handlePeerLeft();
+      break;
+    case "error":
+      // roomNotFound / roomFull; anything else reads as a generic failure
+      setOnlineStatus(
+        message.reason === "roomNotFound" || message.reason === "roomFull"
+          ? `online.status.${message.reason}`
+          : "online.status.failed"
+      );
+      leaveOnlineSession();
+      break;
+    case "input":
+      if (netSession.role === "host") receiveGuestInput(message);
+      break;
+    case "snapshot":
+      if (netSession.role === "guest") receiveSnapshot(message);
+      break;
+    case "gameOver":
+      if (isNetworkGuest()) {
+        if (isFiniteNumber(message.score)) score = message.score;
+        if (isFiniteNumber(message.kills)) kills = message.kills;
+        endGuestGame(null);
+      }
+      break;
+  }
+}
+
+function handlePeerLeft() {
+  netSession.peerConnected = false;
+  if (netSession.role === "host") {
+    // Player 2 stands still for the rest of the run; a new guest can join the room
+    resetRemoteInput();
+    netSession.remoteInputs.length = 0;
+    setOnlineStatus("online.status.peerLeft", { code: netSession.roomCode });
+  } else {
+    // The host (and with it the simulation) is gone
+    const wasPlaying = netSession.playing;
+    leaveOnlineSession();
+    setOnlineStatus("online.status.disconnected");
+    if (wasPlaying) endGuestGame("online.connectionLost");
+  }
+}
+
+// --- Host ---
+
+function resetRemoteInput() {
+  const input = netSession.remoteInput;
+  input.moveX = 0;
+  input.moveY = 0;
+  input.firing = false;
+}
+
+/**
+ * Player 2's input on the host (readPlayerInput() hands it to Player.update).
+ */
+function getRemoteInput() {
+  return netSession.remoteInput;
+}
+
+function isValidNetworkCommand(command) {
+  if (command === null || typeof command !== "object") return false;
+  switch (command.name) {
+    case "fireMissile":
+    case "reload":
+      return true;
+    case "switchWeapon":
+      return typeof command.arg === "string" && WEAPON_TYPES.hasOwnProperty(command.arg);
+    case "cycleWeapon":
+      return command.arg === 1 || command.arg === -1;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Queues a guest input message for its tick. Commands run right away, like a key
+ * press on the host would. Anything malformed is dropped: the guest is untrusted.
+ */
+function receiveGuestInput(message) {
+  if (
+    !netSession.playing ||
+    isGameOver ||
+    !Number.isInteger(message.seq) ||
+    message.seq <= netSession.lastQueuedSeq ||
+    !hasFiniteNumbers(message, ["moveX", "moveY", "aimAngle"])
+  ) {
+    return;
+  }
+  netSession.lastQueuedSeq = message.seq;
+
+  if (Array.isArray(message.commands)) {
+    const count = Math.min(message.commands.length, NET_MAX_COMMANDS);
+    for (let i = 0; i < count; i++) {
+      const command = message.commands[i];
+      if (isValidNetworkCommand(command)) runPlayerCommand(players[1], command.name, command.arg);
+    }
+  }
+
+  const queue = netSession.remoteInputs;
+  queue.push({
+    seq: message.seq,
+    moveX: clamp(message.moveX, -1, 1),
+    moveY: clamp(message.moveY, -1, 1),
+    aimAngle: message.aimAngle,
+    firing: message.firing === true,
+  });
+  // Lagged behind (a hitch on the host): skip ahead rather than stay behind
+  if (queue.length > NET_MAX_QUEUED_INPUTS) queue.splice(0, queue.length - NET_MAX_QUEUED_INPUTS);
+}
+
+/**
+ * Host tick: consumes one queued guest input. With none queued (a late packet)
+ * player 2 keeps the last one for a moment; the guest's replay smooths over the
+ * difference. A guest that stops sending (tab hidden) stops moving.
+ */
+function updateNetworkInput() {
+  if (netSession.role !== "host" || !netSession.playing) return;
+  const next = netSession.remoteInputs.shift();
+  if (!next) {
+    if (++netSession.starvedTicks === NET_INPUT_TIMEOUT) resetRemoteInput();
+    return;
+  }
+  netSession.starvedTicks = 0;
+  const input = netSession.remoteInput;
+  input.moveX = next.moveX;
+  input.moveY = next.moveY;
+  input.aimAngle = next.aimAngle;
+  input.firing = next.firing;
+  netSession.lastAppliedSeq = next.seq;
+}
+
+/**
+ * Host tick, after the simulation: every few ticks sends the whole game state to
+ * the guest, along with the last guest input it includes.
+ */
+function sendNetworkSnapshot() {
+  if (netSession.role !== "host" || !netSession.playing) return;
+  if (netSession.tick++ % NET_SNAPSHOT_INTERVAL !== 0 || !netSession.peerConnected) return;
+
+  const state = serializeGame();
+  // Extras the save format doesn't need: ids to match zombies across snapshots, and
+  // explosion visuals
+  state.zombieIds = zombies.map((zombie) => zombie.id);
+  state.explosions = explosions.map((explosion) => ({
+    x: explosion.x,
+    y: explosion.y,
+    radius: explosion.radius,
+    startTime: explosion.startTime,
+  }));
+  sendNetworkMessage({ type: "snapshot", ackSeq: netSession.lastAppliedSeq, state });
+}
+
+/**
+ * Called by gameOver(). On the host the run ends for the guest too.
+ */
+function endNetworkGame() {
+  if (netSession.role === "host" && netSession.playing) {
+    sendNetworkMessage({ type: "gameOver", score, kills });
+  }
+  netSession.playing = false;
+}
+
+// --- Guest ---
+
+/**
+ * Guest side of runPlayerCommand(): the command goes out with the next input.
+ */
+function queueNetworkCommand(command, arg) {
+  if (netSession.pendingCommands.length < NET_MAX_COMMANDS) {
+    netSession.pendingCommands.push({ name: command, arg });
+  }
+}
+
+function isValidNetworkState(state) {
+  return (
+    isValidSnapshot(state) &&
+    state.players.length === 2 &&
+    Array.isArray(state.zombieIds) &&
+    state.zombieIds.length === state.zombies.length &&
+    state.zombieIds.every(Number.isInteger) &&
+    Array.isArray(state.explosions) &&
+    state.explosions.every((e) => hasFiniteNumbers(e, ["x", "y", "radius", "startTime"]))
+  );
+}
+
+function receiveSnapshot(message) {
+  const state = message.state;
+  if (!Number.isInteger(message.ackSeq) || !isValidNetworkState(state)) return;
+
+  if (!netSession.playing) {
+    // The host started a run. Don't cut short a local game the guest wandered off to.
+    if (players.length > 0 && !isGameOver) return;
+    netSession.playing = true;
+    netSession.inputSeq = 0;
+    netSession.pendingInputs.length = 0;
+    netSession.pendingCommands.length = 0;
+    netSession.ticksSinceSnapshot = 0;
+    netMotionCount = 0;
+    localPlayerIndex = 1;
+    closeOnlineLobby();
+    handleStartAudioAndGame(state);
+    restoreNetworkExtras(state);
+    return;
+  }
+  applyGuestSnapshot(state, message.ackSeq);
+}
+
+function restoreNetworkExtras(state) {
+  for (let i = 0; i < zombies.length; i++) zombies[i].id = state.zombieIds[i];
+  state.explosions.forEach((e) => {
+    addExplosion(e.x, e.y, e.radius);
+    explosions[explosions.length - 1].startTime = e.startTime;
+  });
+}
+
+/**
+ * Death effects for a zombie the guest last saw at `shown` (a record from applyGuestSnapshot).
+ */
+function showGuestZombieDeath(shown) {
+  emitDeathBurst(shown);
+  playSfx("hit", shown.x, shown.y);
+  addCorpse(shown.spriteKey, shown.x, shown.y, shown.size, shown.facing);
+}
+
+/**
+ * Replaces the guest's state with a newer snapshot. Remote players and zombies are
+ * set up to glide there from where they are drawn now; the local player takes the
+ * host's position and replays the inputs the host hasn't seen yet. Hits and kills
+ * since the last snapshot get their particle effects here (the host's aren't sent).
+ */
+function applyGuestSnapshot(state, ackSeq) {
+  const local = getLocalPlayer();
+  const predictedPrevX = local.prevX;
+  const predictedPrevY = local.prevY;
+  const shownZombies = new Map();
+  zombies.forEach((zombie) => {
+    shownZombies.set(zombie.id, {
+      x: zombie.x,
+      y: zombie.y,
+      size: zombie.size,
+      type: zombie.type,
+      color: zombie.color,
+      health: zombie.health,
+      spriteKey: zombie.spriteKey,
+      facing: zombie.getFacing(),
+    });
+  });
+  const shownPlayers = players.map((p) => ({ x: p.x, y: p.y }));
+
+  releaseAll(bullets, entityPools.bullets);
+  releaseAll(missiles, entityPools.missiles);
+  releaseAll(zombies, entityPools.zombies);
+  releaseAll(spitProjectiles, entityPools.spitProjectiles);
+  releaseAll(explosions, entityPools.explosions);
+  items.length = 0;
+  restoreSnapshot(state);
+  restoreNetworkExtras(state);
+
+  netMotionCount = 0;
+  netSession.ticksSinceSnapshot = 0;
+  zombies.forEach((zombie) => {
+    const shown = shownZombies.get(zombie.id);
+    if (!shown) return; // Just spawned
+    if (zombie.health < shown.health) {
+      emitDamageNumber(shown.x, shown.y - shown.size / 2, shown.health - zombie.health, 1);
+    }
+    shownZombies.delete(zombie.id);
+    addNetMotion(zombie, shown.x, shown.y);
+  });
+  // Whatever is left was killed since the last snapshot
+  shownZombies.forEach(showGuestZombieDeath);
+  players.forEach((p) => {
+    if (p.index !== localPlayerIndex) addNetMotion(p, shownPlayers[p.index].x, shownPlayers[p.index].y);
+  });
+
+  // Reconcile: the host's position plus everything it hasn't applied yet
+  const reconciled = getLocalPlayer();
+  const pending = netSession.pendingInputs;
+  while (pending.length > 0 && pending[0].seq <= ackSeq) pending.shift();
+  if (!reconciled.downed) {
+    for (let i = 0; i < pending.length; i++) {
+      reconciled.move(pending[i].moveX, pending[i].moveY, FIXED_TIMESTEP);
+    }
+  }
+  reconciled.prevX = predictedPrevX;
+  reconciled.prevY = predictedPrevY;
+}
+
+function addNetMotion(entity, fromX, fromY) {
+  let motion = netMotion[netMotionCount];
+  if (!motion) {
+    motion = { entity: null, fromX: 0, fromY: 0, toX: 0, toY: 0 };
+    netMotion.push(motion);
+  }
+  motion.entity = entity;
+  motion.fromX = fromX;
+  motion.fromY = fromY;
+  motion.toX = entity.x;
+  motion.toY = entity.y;
+  entity.x = entity.prevX = fromX;
+  entity.y = entity.prevY = fromY;
+  netMotionCount++;
+}
+
+/**
+ * Guest tick (replaces updateGame): predicts the local player, sends its input,
+ * moves remote entities toward the latest snapshot and dead-reckons projectiles.
+ */
+function updateNetworkGuest(dt) {
+  gameTime += dt * 1000;
+  updateTouchAim();
+  updateMouseWorldPosition();
+
+  const local = getLocalPlayer();
+  const input = readPlayerInput(local);
+  local.prevX = local.x;
+  local.prevY = local.y;
+  if (!local.downed) {
+    local.move(input.moveX, input.moveY, dt);
+    local.aimAngle = input.aimAngle;
+  }
+
+  const seq = ++netSession.inputSeq;
+  const pending = netSession.pendingInputs;
+  pending.push({ seq, moveX: input.moveX, moveY: input.moveY });
+  if (pending.length > NET_MAX_PENDING_INPUTS) pending.shift();
+  sendNetworkMessage({
+    type: "input",
+    seq,
+    moveX: input.moveX,
+    moveY: input.moveY,
+    aimAngle: input.aimAngle,
+    firing: input.firing,
+    commands: netSession.pendingCommands,
+  });
+  if (netSession.pendingCommands.length > 0) netSession.pendingCommands = [];
+
+  // Snapshots are NET_SNAPSHOT_INTERVAL ticks apart, so that's how long the glide takes
+  netSession.ticksSinceSnapshot++;
+  const glide = Math.min(1, netSession.ticksSinceSnapshot / NET_SNAPSHOT_INTERVAL);
+  for (let i = 0; i < netMotionCount; i++) {
+    const motion = netMotion[i];
+    motion.entity.prevX = motion.entity.x;
+    motion.entity.prevY = motion.entity.y;
+    motion.entity.x = lerp(motion.fromX, motion.toX, glide);
+    motion.entity.y = lerp(motion.fromY, motion.toY, glide);
+  }
+
+  updateAll(bullets, dt);
+  updateAll(missiles, dt);
+  updateAll(spitProjectiles, dt);
+  updateParticles(dt);
+  updateAudio();
+  removeWhere(explosions, isExplosionFinished, entityPools.explosions);
+  updateCamera(dt);
+  updateStatsDisplay();
+}
+
+/**
+ * Ends the guest's run: the host's game over, or the connection dropping (shown
+ * in place of the game-over title).
+ */
+function endGuestGame(reasonKey) {
+  netSession.playing = false;
+  netMotionCount = 0;
+  if (isGameOver || players.length === 0) return;
+  gameOver();
+  if (reasonKey) messageTitle.textContent = t(reasonKey);
+}
@@ -0,0 +1,61 @@
+// --- Offline / Install ---
+// Registers sw.js so the game installs as an app and plays offline. When a new
+// version has been downloaded and cached, a prompt offers to switch to it; the
+// current run is saved on reload (pagehide), so "Continue" picks it back up.
+
+const updatePrompt = document.getElementById("update-prompt");
+
+let waitingWorker = null; // Installed new version, waiting for the player's go-ahead
+let isApplyingUpdate = false;
+
+function registerServiceWorker() {
+  // Service workers need http(s); opened from disk the game just runs online-only
+  if (!("serviceWorker" in navigator) || location.protocol === "file:") return;
+
+  navigator.serviceWorker
+    .register("sw.js")
+    .then((registration) => {
+      // An update that finished installing before this page loaded
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdatePrompt(registration.waiting);
+      }
+      registration.addEventListener("updatefound", () => {
+        const worker = registration.installing;
+        worker.addEventListener("statechange", () => {
+          // Without a controller this is the first install, not an update
+          if (worker.state === "installed" && navigator.serviceWorker.controller) {
+            showUpdatePrompt(worker);
+          }
+        });
+      });
+    })
+    .catch((error) => {
+      console.warn("Service worker registration failed; no offline play", error);
+    });
+
+  // The new version took over: reload into it (only when the player asked for it)
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (isApplyingUpdate) location.reload();
+  });
+}
+
+function showUpdatePrompt(worker) {
+  waitingWorker = worker;
+  updatePrompt.style.display = "flex";
+}
+
+function dismissUpdatePrompt() {
+  updatePrompt.style.display = "none"; // The update applies on the next launch anyway
+}
+
+/**
+ * "Update" on the prompt: activates the waiting version, which reloads the page.
+ */
+function applyUpdate() {
+  if (!waitingWorker) return;
+  isApplyingUpdate = true;
+  updatePrompt.style.display = "none";
+  waitingWorker.postMessage("skipWaiting");
+}
+
+window.addEventListener("load", registerServiceWorker);
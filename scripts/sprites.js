@@ -0,0 +1,177 @@
+// --- Sprites ---
+// Loads the sheets listed in assets/manifest.js and draws animation frames from
+// them. Entities call drawSprite() first and draw their built-in shapes when it
+// returns false (sheet missing, broken or still loading), so the game never
+// depends on art being present.
+//
+// Loaded before game.js; drawing uses its `ctx` at call time.
+
+const sprites = {}; // Manifest key -> { image, spec } for every sheet that loaded
+const assetLoading = { loaded: 0, failed: 0, total: 0, done: false };
+
+function isPositiveNumber(value) {
+  return typeof value === "number" && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * True if a manifest entry is usable. Broken entries are skipped with a warning
+ * instead of throwing mid-draw.
+ */
+function isValidSpriteSpec(spec) {
+  if (
+    spec === null ||
+    typeof spec !== "object" ||
+    typeof spec.src !== "string" ||
+    !Number.isInteger(spec.frameWidth) ||
+    spec.frameWidth <= 0 ||
+    !Number.isInteger(spec.frameHeight) ||
+    spec.frameHeight <= 0 ||
+    (spec.directions !== undefined &&
+      !(Number.isInteger(spec.directions) && spec.directions > 0)) ||
+    (spec.scale !== undefined && !isPositiveNumber(spec.scale)) ||
+    spec.animations === null ||
+    typeof spec.animations !== "object"
+  ) {
+    return false;
+  }
+  return Object.values(spec.animations).every(
+    (animation) =>
+      animation !== null &&
+      typeof animation === "object" &&
+      Number.isInteger(animation.row) &&
+      animation.row >= 0 &&
+      Number.isInteger(animation.frames) &&
+      animation.frames > 0 &&
+      isPositiveNumber(animation.fps)
+  );
+}
+
+/**
+ * Loads every sheet in the manifest. `onProgress(fraction)` runs after each one
+ * settles; the returned promise never rejects (failed sheets just stay missing).
+ */
+function preloadAssets(onProgress) {
+  const entries = Object.entries(ASSET_MANIFEST.sprites);
+  assetLoading.total = entries.length;
+  const settle = (ok) => {
+    if (ok) {
+      assetLoading.loaded++;
+    } else {
+      assetLoading.failed++;
+    }
+    onProgress((assetLoading.loaded + assetLoading.failed) / assetLoading.total);
+  };
+
+  const loads = entries.map(([key, spec]) => {
+    if (!isValidSpriteSpec(spec)) {
+      console.warn(`Skipping sprite "${key}": invalid manifest entry`);
+      settle(false);
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      const image = new Image();
+      image.onload = () => {
+        sprites[key] = { image, spec };
+        settle(true);
+        resolve();
+      };
+      image.onerror = () => {
+        settle(false); // Built-in shapes it is
+        resolve();
+      };
+      image.src = ASSET_MANIFEST.basePath + spec.src;
+    });
+  });
+
+  return Promise.all(loads).then(() => {
+    assetLoading.done = true;
+  });
+}
+
+/**
+ * The animation to play for `name`, or a fallback ("walk", then "idle"), or null.
+ */
+function getSpriteAnimation(spec, name) {
+  return spec.animations[name] || spec.animations.walk || spec.animations.idle || null;
+}
+
+/**
+ * True if the sheet for `key` loaded and has its own `name` animation (no fallback).
+ */
+function hasSpriteAnimation(key, name) {
+  const sprite = sprites[key];
+  return !!sprite && sprite.spec.animations.hasOwnProperty(name);
+}
+
+/**
+ * How long one pass of an animation takes, in ms (0 without that sheet or animation).
+ */
+function getSpriteAnimationDuration(key, name) {
+  if (!hasSpriteAnimation(key, name)) return 0;
+  const animation = sprites[key].spec.animations[name];
+  return (animation.frames / animation.fps) * 1000;
+}
+
+/**
+ * Draws the frame of an animation that is `elapsed` ms in, centered on (x, y) and
+ * `size` px tall (times the sheet's scale), facing `facing` radians. Returns false
+ * if there's nothing to draw, so the caller can use its built-in shapes.
+ */
+function drawSprite(key, animationName, elapsed, x, y, facing, size) {
+  const sprite = sprites[key];
+  if (!sprite) return false;
+  const spec = sprite.spec;
+  const animation = getSpriteAnimation(spec, animationName);
+  if (!animation) return false;
+
+  let frame = Math.floor((Math.max(0, elapsed) / 1000) * animation.fps);
+  // One-shot animations (death) hold their last frame
+  frame =
+    animation.loop === false ? Math.min(frame, animation.frames - 1) : frame % animation.frames;
+
+  const directions = spec.directions || 1;
+  let row = animation.row;
+  let rotation = 0;
+  if (directions > 1) {
+    // Facing rows go clockwise from east, which is increasing angle on screen (y down)
+    const step = (Math.PI * 2) / directions;
+    row += ((Math.round(facing / step) % directions) + directions) % directions;
+  } else if (spec.rotate !== false) {
+    rotation = facing;
+  }
+
+  const height = size * (spec.scale || 1);
+  const width = (height * spec.frameWidth) / spec.frameHeight;
+  const sourceX = frame * spec.frameWidth;
+  const sourceY = row * spec.frameHeight;
+  if (rotation === 0) {
+    ctx.drawImage(
+      sprite.image,
+      sourceX,
+      sourceY,
+      spec.frameWidth,
+      spec.frameHeight,
+      x - width / 2,
+      y - height / 2,
+      width,
+      height
+    );
+  } else {
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(rotation);
+    ctx.drawImage(
+      sprite.image,
+      sourceX,
+      sourceY,
+      spec.frameWidth,
+      spec.frameHeight,
+      -width / 2,
+      -height / 2,
+      width,
+      height
+    );
+    ctx.restore();
+  }
+  return true;
+}
@@ -0,0 +1,441 @@
+// --- Online Co-op Relay ---
+// Serves the game and relays online co-op messages between two browsers.
+//
+//   node server/relay.js [port]
+//
+// No dependencies: plain Node http plus a minimal WebSocket (RFC 6455) server on
+// /ws. The host's browser runs the simulation; this only pairs players by room code
+// and forwards snapshots (host -> guest) and inputs (guest -> host).
+
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const DEFAULT_PORT = 8080;
+const ROOT_DIR = path.resolve(__dirname, "..");
+const INDEX_FILE = "zombie_shooter.html";
+const WS_PATH = "/ws";
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11"; // Fixed by RFC 6455
+const MAX_MESSAGE_SIZE = 1024 * 1024; // Bytes; snapshots of a busy wave are well under this
+const HEARTBEAT_INTERVAL = 15000; // ms between pings; a peer that misses one is dropped
+const ROOM_CODE_LENGTH = 4;
+const ROOM_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // No 0/O or 1/I mix-ups
+
+// Which messages each side may send on to the other
+const HOST_MESSAGES = ["snapshot", "gameOver"];
+const GUEST_MESSAGES = ["input"];
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon",
+  ".woff2": "font/woff2",
+  ".mp3": "audio/mpeg",
+  ".ogg": "audio/ogg",
+  ".wav": "audio/wav",
+};
+
+// Frame opcodes
+const OP_CONTINUATION = 0x0;
+const OP_TEXT = 0x1;
+const OP_BINARY = 0x2;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xa;
+
+const rooms = new Map(); // code -> { code, host, guest }
+const peers = new Set(); // Open WebSocket connections
+
+// --- Static files ---
+
+/**
+ * Serves files from the repo root. "/" is the game; dotfiles and anything outside
+ * the root are refused.
+ */
+function serveStatic(req, res) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.writeHead(405, { Allow: "GET, HEAD" });
+    res.end();
+    return;
+  }
+
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+  } catch (err) {
+    res.writeHead(400);
+    res.end();
+    return;
+  }
+  if (pathname === "/") pathname = `/${INDEX_FILE}`;
+
+  const filePath = path.join(ROOT_DIR, pathname);
+  const relative = path.relative(ROOT_DIR, filePath);
+  if (
+    relative.startsWith("..") ||
+    path.isAbsolute(relative) ||
+    relative.split(path.sep).some((part) => part.startsWith("."))
+  ) {
+    res.writeHead(404);
+    res.end();
+    return;
+  }
+
+  fs.stat(filePath, (err, stats) => {
+    if (err || !stats.isFile()) {
+      res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+      res.end("Not found");
+      return;
+    }
+    res.writeHead(200, {
+      "Content-Type": CONTENT_TYPES[path.extname(filePath)] || "application/octet-stream",
+      "Content-Length": stats.size,
+      "Cache-Control": "no-cache",
+    });
+    if (req.method === "HEAD") {
+      res.end();
+      return;
+    }
+    fs.createReadStream(filePath).pipe(res);
+  });
+}
+
+// --- WebSocket ---
+
+/**
+ * Completes the opening handshake and wraps the socket as a peer. Anything that
+ * isn't a proper WebSocket upgrade on /ws is refused. `head` holds whatever arrived
+ * after the handshake in the same packet (possibly the first frames).
+ */
+function handleUpgrade(req, socket, head) {
+  const key = req.headers["sec-websocket-key"];
+  const pathname = new URL(req.url, "http://localhost").pathname;
+  if (
+    pathname !== WS_PATH ||
+    req.method !== "GET" ||
+    (req.headers.upgrade || "").toLowerCase() !== "websocket" ||
+    req.headers["sec-websocket-version"] !== "13" ||
+    typeof key !== "string"
+  ) {
+    socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n");
+    return;
+  }
+
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  socket.setNoDelay(true); // Inputs are tiny and latency-sensitive
+  createPeer(socket, head);
+}
+
+function createPeer(socket, head) {
+  const peer = {
+    socket,
+    buffer: Buffer.from(head),
+    fragments: [], // Payloads of a fragmented message so far
+    fragmentSize: 0,
+    fragmentOpcode: OP_TEXT, // Opcode of the message the fragments belong to
+    alive: true, // Answered the last ping
+    closed: false,
+    room: null,
+    role: null, // "host" | "guest"
+  };
+  socket.on("data", (chunk) => {
+    peer.buffer = Buffer.concat([peer.buffer, chunk]);
+    readFrames(peer);
+  });
+  socket.on("close", () => dropPeer(peer));
+  socket.on("error", () => dropPeer(peer));
+  peers.add(peer);
+  readFrames(peer);
+  return peer;
+}
+
+/**
+ * Parses every complete frame in the peer's buffer. Protocol errors close the
+ * connection (1002), oversized messages too (1009).
+ */
+function readFrames(peer) {
+  while (!peer.closed) {
+    const buffer = peer.buffer;
+    if (buffer.length < 2) return;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+      if (buffer.length < 4) return;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) return;
+      const high = buffer.readUInt32BE(2);
+      if (high !== 0) {
+        closePeer(peer, 1009);
+        return;
+      }
+      length = buffer.readUInt32BE(6);
+      offset = 10;
+    }
+    // Browsers must mask what they send; reserved bits aren't used by any extension here
+    if (!masked || (buffer[0] & 0x70) !== 0) {
+      closePeer(peer, 1002);
+      return;
+    }
+    if (length > MAX_MESSAGE_SIZE) {
+      closePeer(peer, 1009);
+      return;
+    }
+    if (buffer.length < offset + 4 + length) return; // Wait for the rest
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+    peer.buffer = buffer.subarray(offset + 4 + length);
+    handleFrame(peer, fin, opcode, payload);
+  }
+}
+
+function handleFrame(peer, fin, opcode, payload) {
+  if (opcode >= OP_CLOSE) {
+    // Control frames can arrive between fragments and can't be fragmented themselves
+    if (!fin || payload.length > 125) {
+      closePeer(peer, 1002);
+    } else if (opcode === OP_CLOSE) {
+      closePeer(peer, 1000);
+    } else if (opcode === OP_PING) {
+      writeFrame(peer, OP_PONG, payload);
+    } else if (opcode === OP_PONG) {
+      peer.alive = true;
+    } else {
+      closePeer(peer, 1002);
+    }
+    return;
+  }
+
+  const continuing = peer.fragments.length > 0;
+  if (opcode === OP_CONTINUATION ? !continuing : continuing || opcode > OP_BINARY) {
+    closePeer(peer, 1002);
+    return;
+  }
+  if (opcode !== OP_CONTINUATION) peer.fragmentOpcode = opcode;
+  peer.fragmentSize += payload.length;
+  if (peer.fragmentSize > MAX_MESSAGE_SIZE) {
+    closePeer(peer, 1009);
+    return;
+  }
+  peer.fragments.push(payload);
+  if (!fin) return;
+
+  const message = Buffer.concat(peer.fragments);
+  const isText = peer.fragmentOpcode === OP_TEXT;
+  peer.fragments = [];
+  peer.fragmentSize = 0;
+  if (isText) handleMessage(peer, message.toString("utf8"));
+}
+
+function writeFrame(peer, opcode, payload) {
+  if (peer.closed || peer.socket.destroyed) return;
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 0x10000) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeUInt32BE(0, 2);
+    header.writeUInt32BE(payload.length, 6);
+  }
+  peer.socket.write(Buffer.concat([header, payload]));
+}
+
+function sendText(peer, text) {
+  writeFrame(peer, OP_TEXT, Buffer.from(text, "utf8"));
+}
+
+function send(peer, message) {
+  sendText(peer, JSON.stringify(message));
+}
+
+/**
+ * Sends a close frame and ends the connection. Leaving the room happens in
+ * dropPeer() once the socket has closed.
+ */
+function closePeer(peer, code) {
+  if (peer.closed) return;
+  const payload = Buffer.alloc(2);
+  payload.writeUInt16BE(code, 0);
+  writeFrame(peer, OP_CLOSE, payload);
+  peer.closed = true;
+  peer.socket.end();
+  dropPeer(peer);
+}
+
+function dropPeer(peer) {
+  peer.closed = true;
+  if (!peers.delete(peer)) return; // Already dropped
+  leaveRoom(peer);
+  // closePeer() ended the socket politely; let the close frame go out first
+  if (!peer.socket.writableEnded) peer.socket.destroy();
+}
+
+// --- Rooms ---
+
+function createRoomCode() {
+  let code;
+  do {
+    code = "";
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+      code += ROOM_CODE_ALPHABET[crypto.randomInt(ROOM_CODE_ALPHABET.length)];
+    }
+  } while (rooms.has(code));
+  return code;
+}
+
+function getPartner(peer) {
+  const room = peer.room;
+  if (!room) return null;
+  return peer.role === "host" ? room.guest : room.host;
+}
+
+/**
+ * The guest leaving frees the seat for someone else; the host leaving closes the
+ * room (the game lives in the host's browser).
+ */
+function leaveRoom(peer) {
+  const room = peer.room;
+  if (!room) return;
+  const partner = getPartner(peer);
+  peer.room = null;
+  peer.role = null;
+  if (room.host === peer) {
+    rooms.delete(room.code);
+    if (partner) {
+      partner.room = null;
+      partner.role = null;
+      send(partner, { type: "peerLeft" });
+    }
+  } else {
+    room.guest = null;
+    if (partner) send(partner, { type: "peerLeft" });
+  }
+}
+
+/**
+ * Lobby messages are handled here; game messages are forwarded as-is to the
+ * other player in the room (the browsers validate what they receive).
+ */
+function handleMessage(peer, text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (err) {
+    return;
+  }
+  if (message === null || typeof message !== "object") return;
+
+  switch (message.type) {
+    case "create": {
+      leaveRoom(peer);
+      const room = { code: createRoomCode(), host: peer, guest: null };
+      rooms.set(room.code, room);
+      peer.room = room;
+      peer.role = "host";
+      send(peer, { type: "created", code: room.code });
+      return;
+    }
+    case "join": {
+      leaveRoom(peer);
+      const code = typeof message.code === "string" ? message.code.toUpperCase() : "";
+      const room = rooms.get(code);
+      if (!room) {
+        send(peer, { type: "error", reason: "roomNotFound" });
+      } else if (room.guest) {
+        send(peer, { type: "error", reason: "roomFull" });
+      } else {
+        room.guest = peer;
+        peer.room = room;
+        peer.role = "guest";
+        send(peer, { type: "joined", code });
+        send(room.host, { type: "peerJoined" });
+      }
+      return;
+    }
+    case "leave":
+      leaveRoom(peer);
+      return;
+  }
+
+  const allowed = peer.role === "host" ? HOST_MESSAGES : GUEST_MESSAGES;
+  const partner = getPartner(peer);
+  if (partner && allowed.includes(message.type)) sendText(partner, text);
+}
+
+// --- Server ---
+
+function getLanAddresses() {
+  const addresses = [];
+  Object.values(os.networkInterfaces()).forEach((entries) => {
+    (entries || []).forEach((entry) => {
+      if (entry.family === "IPv4" && !entry.internal) addresses.push(entry.address);
+    });
+  });
+  return addresses;
+}
+
+function startServer(port) {
+  const server = http.createServer(serveStatic);
+  server.on("upgrade", handleUpgrade);
+
+  // Drop connections that stopped answering pings (closed laptops, lost Wi-Fi)
+  const heartbeat = setInterval(() => {
+    peers.forEach((peer) => {
+      if (!peer.alive) {
+        dropPeer(peer);
+        return;
+      }
+      peer.alive = false;
+      writeFrame(peer, OP_PING, Buffer.alloc(0));
+    });
+  }, HEARTBEAT_INTERVAL);
+  server.on("close", () => clearInterval(heartbeat));
+
+  server.listen(port, () => {
+    const { port: boundPort } = server.address(); // Port 0 picks a free one
+    console.log(`Zombie Shooter: http://localhost:${boundPort}/`);
+    getLanAddresses().forEach((address) => {
+      console.log(`  on your network: http://${address}:${boundPort}/`);
+    });
+  });
+  return server;
+}
+
+if (require.main === module) {
+  const port = Number(process.argv[2] || process.env.PORT || DEFAULT_PORT);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    console.error(`Invalid port: ${process.argv[2] || process.env.PORT}`);
+    process.exit(1);
+  }
+  startServer(port);
+}
+
+module.exports = { startServer };
@@ -0,0 +1,92 @@
+// --- Service Worker ---
+// Precaches the whole game (scripts, styles, the bundled Tone.js and font, icons) so
+// it installs as an app and plays offline. Files are served cache first, so bump
+// CACHE_VERSION whenever any of them changes: the new version installs in the
+// background and scripts/pwa.js offers to switch to it.
+//
+// Anything else from this origin (sprite art in assets/sprites/) is cached the first
+// time it loads, so art that was seen online also shows offline.
+
+const CACHE_VERSION = 6;
+const CACHE_PREFIX = "zombie-shooter-";
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+const START_PAGE = "zombie_shooter.html";
+
+const PRECACHE_URLS = [
+  START_PAGE,
+  "manifest.webmanifest",
+  "styles/main.css",
+  "scripts/i18n.js",
+  "scripts/net.js",
+  "scripts/sprites.js",
+  "scripts/balance.js",
+  "scripts/events.js",
+  "scripts/achievements.js",
+  "scripts/game.js",
+  "scripts/pwa.js",
+  "assets/manifest.js",
+  "vendor/tone/Tone.js",
+  "vendor/fonts/chakra-petch/chakra-petch-thai-400-normal.woff2",
+  "vendor/fonts/chakra-petch/chakra-petch-thai-700-normal.woff2",
+  "vendor/fonts/chakra-petch/chakra-petch-latin-400-normal.woff2",
+  "vendor/fonts/chakra-petch/chakra-petch-latin-700-normal.woff2",
+  "icons/icon-180.png",
+  "icons/icon-192.png",
+  "icons/icon-512.png",
+];
+
+self.addEventListener("install", (event) => {
+  // No skipWaiting() here: an update waits until the player accepts the prompt,
+  // so a run in progress never switches scripts underneath itself
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener("activate", (event) => {
+  // Drop the previous versions' caches
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// The update prompt's "Update" button (see scripts/pwa.js)
+self.addEventListener("message", (event) => {
+  if (event.data === "skipWaiting") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) {
+    return;
+  }
+  event.respondWith(respond(request));
+});
+
+/**
+ * Cache first, then the network (keeping a copy of anything that loads). Page
+ * loads fall back to the cached start page, so "/" works offline too.
+ */
+function respond(request) {
+  return caches.open(CACHE_NAME).then((cache) =>
+    cache.match(request, { ignoreSearch: true }).then((cached) => {
+      if (cached) return cached;
+      return fetch(request)
+        .then((response) => {
+          if (response.ok) cache.put(request, response.clone());
+          return response;
+        })
+        .catch((error) => {
+          if (request.mode !== "navigate") throw error;
+          return cache.match(START_PAGE).then((page) => page || Promise.reject(error));
+        });
+    })
+  );
+}